@@ -0,0 +1,116 @@
+// ==========================================
+// 市区町村の隣接関係
+// ==========================================
+//
+// 境界線を共有する市区町村の一覧（public/adjacency.json、npm run generate:search で作成）を
+// グラフとして使い、隣接する市区町村・N隣以内の市区町村・塗った地域のすき間を求めます。
+// 海で隔てられた市区町村（離島など）は隣接しません。
+// adjacency.json がない場合は、市区町村のTopoJSONで境界線（arc）を共有するものから同じグラフを作れます。
+
+import { neighbors } from 'topojson-client';
+
+/**
+ * 隣接グラフ（adjacency.json）を読み込みやすい形にする
+ * @param {Object<string, string[]>} json 市区町村コード（N03_007） → 隣接する市区町村コード
+ * @returns {Map<string, string[]>}
+ */
+export function parseAdjacency(json) {
+    const graph = new Map();
+    Object.entries(json || {}).forEach(([code, neighbors]) => {
+        if (Array.isArray(neighbors)) graph.set(code, neighbors.map(String));
+    });
+    return graph;
+}
+
+/**
+ * 市区町村のTopoJSONから隣接グラフを作る（parseAdjacency と同じ形）
+ * @param {Object} topology 市区町村のTopoJSON（属性 N03_007）
+ * @returns {Map<string, string[]>}
+ */
+export function buildAdjacencyFromTopology(topology) {
+    const object = topology.objects.municipalities || Object.values(topology.objects)[0];
+    const geometries = object.geometries.filter(geometry => geometry.arcs && geometry.properties?.N03_007);
+    const codes = geometries.map(geometry => geometry.properties.N03_007);
+
+    const graph = new Map();
+    neighbors(geometries).forEach((indexes, i) => {
+        graph.set(codes[i], Array.from(new Set(indexes.map(index => codes[index]))).sort());
+    });
+    return graph;
+}
+
+/**
+ * 起点からの隣数（幅優先探索、起点は 0）
+ * @param {Map<string, string[]>} graph
+ * @param {Iterable<string>} origins 起点の市区町村コード
+ * @param {number} [maxHops] この隣数までで打ち切る
+ * @returns {Map<string, number>}
+ */
+export function hopDistances(graph, origins, maxHops = Infinity) {
+    const distances = new Map();
+    let frontier = [];
+    for (const code of origins) {
+        if (distances.has(code)) continue;
+        distances.set(code, 0);
+        frontier.push(code);
+    }
+
+    for (let hop = 1; hop <= maxHops && frontier.length > 0; hop++) {
+        const next = [];
+        frontier.forEach(code => {
+            (graph.get(code) || []).forEach(neighbor => {
+                if (distances.has(neighbor)) return;
+                distances.set(neighbor, hop);
+                next.push(neighbor);
+            });
+        });
+        frontier = next;
+    }
+    return distances;
+}
+
+/**
+ * 起点からN隣以内の市区町村（起点を含まない）
+ */
+export function expandNeighbors(graph, origins, hops = 1) {
+    return Array.from(hopDistances(graph, origins, hops))
+        .filter(([, distance]) => distance > 0)
+        .map(([code]) => code);
+}
+
+/**
+ * 塗った地域のすき間（塗っていない市区町村のまとまりで、隣接する市区町村がすべて塗られているもの）
+ * 塗っていない残りの地域もすき間と同じ形になるので、maxSize 以下の市区町村数のまとまりだけを返す
+ * @param {Map<string, string[]>} graph
+ * @param {Set<string>} colored 塗った市区町村コード
+ * @param {number} maxSize すき間とみなす最大の市区町村数
+ * @returns {string[][]} すき間ごとの市区町村コード（市区町村数の多い順）
+ */
+export function findGaps(graph, colored, maxSize = 3) {
+    const visited = new Set();
+    const gaps = [];
+
+    graph.forEach((neighbors, start) => {
+        if (colored.has(start) || visited.has(start)) return;
+        // 塗っていない市区町村のまとまりをたどり、塗った市区町村に接しているかを調べる
+        const component = [];
+        let touchesColored = false;
+        const stack = [start];
+        visited.add(start);
+        while (stack.length > 0) {
+            const code = stack.pop();
+            component.push(code);
+            (graph.get(code) || []).forEach(neighbor => {
+                if (colored.has(neighbor)) {
+                    touchesColored = true;
+                } else if (!visited.has(neighbor)) {
+                    visited.add(neighbor);
+                    stack.push(neighbor);
+                }
+            });
+        }
+        if (touchesColored && component.length <= maxSize) gaps.push(component.sort());
+    });
+
+    return gaps.sort((a, b) => b.length - a.length || a[0].localeCompare(b[0]));
+}
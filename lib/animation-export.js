@@ -0,0 +1,97 @@
+// ==========================================
+// アニメーションの書き出し（GIF / WebM）
+// ==========================================
+//
+// コマごとに描画したキャンバスをつなげて、アニメーションGIFまたはWebM動画にします。
+// WebMはブラウザの MediaRecorder で録画するため、書き出しにはコマ数 × 表示時間だけかかります。
+
+import { GIFEncoder, quantize, applyPalette } from 'gifenc';
+
+export const ANIMATION_FORMATS = {
+    gif: { label: 'アニメーションGIF', extension: 'gif' },
+    webm: { label: 'WebM動画', extension: 'webm' }
+};
+
+// GIFは容量が大きくなりやすいので幅を抑える
+const GIF_MAX_WIDTH = 960;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 幅が maxWidth を超える場合は縮小したキャンバスを返す
+function fitCanvas(canvas, maxWidth) {
+    if (canvas.width <= maxWidth) return canvas;
+
+    const scaled = document.createElement('canvas');
+    scaled.width = maxWidth;
+    scaled.height = Math.round((canvas.height * maxWidth) / canvas.width);
+    scaled.getContext('2d').drawImage(canvas, 0, 0, scaled.width, scaled.height);
+    return scaled;
+}
+
+async function encodeGif(frameCount, renderFrame, delay) {
+    const gif = GIFEncoder();
+
+    for (let i = 0; i < frameCount; i++) {
+        const canvas = fitCanvas(await renderFrame(i), GIF_MAX_WIDTH);
+        const { data, width, height } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+        const palette = quantize(data, 256);
+        gif.writeFrame(applyPalette(data, palette), width, height, { palette, delay });
+    }
+
+    gif.finish();
+    return new Blob([gif.bytes()], { type: 'image/gif' });
+}
+
+async function recordWebM(frameCount, renderFrame, delay) {
+    if (typeof MediaRecorder === 'undefined') {
+        throw new Error('このブラウザは動画の書き出しに対応していません');
+    }
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+        .find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) {
+        throw new Error('このブラウザはWebMの書き出しに対応していません');
+    }
+
+    const first = await renderFrame(0);
+    const output = document.createElement('canvas');
+    output.width = first.width;
+    output.height = first.height;
+    const ctx = output.getContext('2d');
+
+    // 0fps のストリームにして、コマを描いたときだけフレームを送る
+    const stream = output.captureStream(0);
+    const [track] = stream.getVideoTracks();
+    const recorder = new MediaRecorder(stream, { mimeType });
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+    };
+    const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+    recorder.start();
+    for (let i = 0; i < frameCount; i++) {
+        const canvas = i === 0 ? first : await renderFrame(i);
+        ctx.drawImage(canvas, 0, 0, output.width, output.height);
+        track.requestFrame?.();
+        await sleep(delay);
+    }
+    recorder.stop();
+    await stopped;
+    track.stop();
+
+    return new Blob(chunks, { type: 'video/webm' });
+}
+
+/**
+ * アニメーションを書き出す
+ * @param {'gif' | 'webm'} format
+ * @param {number} frameCount コマ数
+ * @param {(index: number) => Promise<HTMLCanvasElement>} renderFrame コマを描画したキャンバスを返す関数
+ * @param {number} delay 1コマの表示時間（ミリ秒）
+ * @returns {Promise<Blob>}
+ */
+export function exportAnimation(format, frameCount, renderFrame, delay) {
+    return format === 'webm'
+        ? recordWebM(frameCount, renderFrame, delay)
+        : encodeGif(frameCount, renderFrame, delay);
+}
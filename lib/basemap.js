@@ -0,0 +1,86 @@
+// ==========================================
+// 背景地図と市区町村タイルの切り替え
+// ==========================================
+//
+// 閉じたネットワークでも使えるよう、背景地図のスタイルと市区町村のPMTilesを選べるようにします。
+// 「背景なし」は同梱の prefectures-geo.json だけで陸地を描くスタイルです（背景のタイルの通信なし）。
+// ラベルの漢字・かなはブラウザのフォントで描き、英数字・記号は同梱のグリフ（public/fonts/）で描きます。
+//
+// 設定の形式: { style: BASEMAP_STYLES のキー, styleUrl, tiles: TILE_SOURCES のキー, tilesUrl }
+
+// ラベルの英数字・記号のグリフ（同梱の Noto Sans Regular / Bold。scripts/generate-glyphs.cjs で生成）
+// text-field のあるレイヤーにはスタイルの glyphs が必須なので、「背景なし」でも指定する
+const GLYPHS_URL = `${import.meta.env.BASE_URL}fonts/{fontstack}/{range}.pbf`;
+
+export const BASEMAP_STYLES = {
+    bright: { label: 'OpenFreeMap', url: 'https://tiles.openfreemap.org/styles/bright' },
+    blank: { label: '背景なし（同梱の都道府県データのみ）' },
+    custom: { label: 'スタイルのURLを指定' }
+};
+
+export const TILE_SOURCES = {
+    default: '標準（インターネット上のPMTiles）',
+    url: 'PMTilesのURLを指定',
+    file: 'ローカルのPMTilesファイル'
+};
+
+export const DEFAULT_BASEMAP_SETTINGS = {
+    style: 'bright',
+    styleUrl: '',
+    tiles: 'default',
+    tilesUrl: ''
+};
+
+/**
+ * 同梱のデータだけを使う背景なしのスタイル（海の色の背景に都道府県の陸地）
+ * @param {string} landUrl 都道府県のGeoJSON（prefectures-geo.json）のURL
+ */
+export function buildBlankStyle(landUrl) {
+    return {
+        version: 8,
+        name: '背景なし',
+        glyphs: GLYPHS_URL,
+        sources: {
+            'basemap-land': { type: 'geojson', data: landUrl }
+        },
+        layers: [
+            { id: 'basemap-sea', type: 'background', paint: { 'background-color': '#e4edf2' } },
+            { id: 'basemap-land', type: 'fill', source: 'basemap-land', paint: { 'fill-color': '#fafafa' } }
+        ]
+    };
+}
+
+/**
+ * 設定に対応するスタイル（URL またはスタイルのオブジェクト）
+ */
+export function resolveBasemapStyle(settings, landUrl) {
+    if (settings.style === 'blank') return buildBlankStyle(landUrl);
+    if (settings.style === 'custom' && settings.styleUrl) return settings.styleUrl;
+    return BASEMAP_STYLES.bright.url;
+}
+
+/**
+ * 新しい背景地図のスタイルに、前のスタイルの上に重ねていたソース・レイヤーを引き継ぐ
+ * （map.setStyle の transformStyle 用。背景地図の文字ラベルは非表示にする）
+ * @param {Object} previous 切り替え前のスタイル
+ * @param {Object} next 新しい背景地図のスタイル
+ * @param {{ layers: Set<string>, sources: Set<string> }} basemapIds 切り替え前の背景地図のレイヤー・ソースのID
+ */
+export function mergeOverlayStyle(previous, next, basemapIds) {
+    const layers = next.layers.map(layer => {
+        const hasTextField = layer.type === 'symbol' && layer.layout && 'text-field' in layer.layout;
+        return hasTextField ? { ...layer, layout: { ...layer.layout, visibility: 'none' } } : layer;
+    });
+    const overlayLayers = previous.layers.filter(layer => !basemapIds.layers.has(layer.id));
+    const overlaySources = Object.fromEntries(
+        Object.entries(previous.sources).filter(([id]) => !basemapIds.sources.has(id))
+    );
+
+    return {
+        ...next,
+        // ラベルのフォントのため、グリフは新しいスタイルのものがなければ前のものを使う
+        glyphs: next.glyphs || previous.glyphs,
+        sources: { ...next.sources, ...overlaySources },
+        layers: [...layers, ...overlayLayers]
+    };
+}
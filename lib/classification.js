@@ -0,0 +1,233 @@
+// ==========================================
+// 数値の階級区分とカラーランプ
+// ==========================================
+
+// 階級区分の方法
+export const CLASSIFICATION_METHODS = {
+    quantile: '分位数',
+    equalInterval: '等間隔',
+    jenks: '自然分類 (Jenks)',
+    manual: '手動',
+    continuous: '連続（グラデーション）'
+};
+
+// カラーランプ（ColorBrewer / viridis を元にした代表色）
+export const COLOR_RAMPS = {
+    blues: { label: '青', type: 'sequential', colors: ['#eff3ff', '#bdd7e7', '#6baed6', '#3182bd', '#08519c'] },
+    greens: { label: '緑', type: 'sequential', colors: ['#edf8e9', '#bae4b3', '#74c476', '#31a354', '#006d2c'] },
+    oranges: { label: 'オレンジ', type: 'sequential', colors: ['#feedde', '#fdbe85', '#fd8d3c', '#e6550d', '#a63603'] },
+    reds: { label: '赤', type: 'sequential', colors: ['#fee5d9', '#fcae91', '#fb6a4a', '#de2d26', '#a50f15'] },
+    purples: { label: '紫', type: 'sequential', colors: ['#f2f0f7', '#cbc9e2', '#9e9ac8', '#756bb1', '#54278f'] },
+    viridis: { label: 'Viridis', type: 'sequential', colors: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'] },
+    redBlue: { label: '赤〜青（発散）', type: 'diverging', colors: ['#b2182b', '#ef8a62', '#fddbc7', '#f7f7f7', '#d1e5f0', '#67a9cf', '#2166ac'] },
+    redYellowBlue: { label: '赤〜黄〜青（発散）', type: 'diverging', colors: ['#d73027', '#fc8d59', '#fee090', '#ffffbf', '#e0f3f8', '#91bfdb', '#4575b4'] },
+    purpleOrange: { label: '紫〜橙（発散）', type: 'diverging', colors: ['#b35806', '#f1a340', '#fee0b6', '#f7f7f7', '#d8daeb', '#998ec3', '#542788'] }
+};
+
+/**
+ * セルの文字列を数値に変換（「1,234」「12.5%」「１２３」なども許容）
+ * 数値でなければ null
+ */
+export function parseNumber(value) {
+    const text = String(value ?? '')
+        .normalize('NFKC')
+        .replace(/[,\s%]/g, '');
+    if (text === '' || !/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text)) return null;
+    const number = Number(text);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * 値の配列から階級の境界値を求める
+ * 戻り値は昇順の境界値（n階級なら n-1 個）。値 v は「境界値 <= v」となる最後の階級に入る
+ */
+export function classify(values, method, classCount, manualBreaks = []) {
+    const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+    if (sorted.length === 0) return [];
+
+    let breaks;
+    switch (method) {
+        case 'equalInterval':
+            breaks = equalIntervalBreaks(sorted, classCount);
+            break;
+        case 'jenks':
+            breaks = jenksBreaks(sorted, classCount);
+            break;
+        case 'manual':
+            // 値の範囲外の境界値は空の階級になるので除く
+            breaks = manualBreaks.filter(value =>
+                Number.isFinite(value) && value > sorted[0] && value <= sorted[sorted.length - 1]
+            );
+            break;
+        case 'quantile':
+        default:
+            breaks = quantileBreaks(sorted, classCount);
+    }
+
+    // 重複を除いて昇順に（stepの境界値は厳密に増加している必要がある）
+    return Array.from(new Set(breaks)).sort((a, b) => a - b);
+}
+
+function equalIntervalBreaks(sorted, classCount) {
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
+    const interval = (max - min) / classCount;
+    if (interval === 0) return [];
+    return Array.from({ length: classCount - 1 }, (_, i) => roundBreak(min + interval * (i + 1), interval));
+}
+
+function quantileBreaks(sorted, classCount) {
+    const breaks = [];
+    for (let i = 1; i < classCount; i++) {
+        const value = sorted[Math.floor((i * sorted.length) / classCount)];
+        if (value > sorted[0]) breaks.push(value);
+    }
+    return breaks;
+}
+
+// Fisher-Jenksの自然分類（分散が最小になる区切りを動的計画法で求める）
+function jenksBreaks(sorted, classCount) {
+    const n = sorted.length;
+    const k = Math.min(classCount, new Set(sorted).size);
+    if (k < 2) return [];
+
+    const lowerClassLimits = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(0));
+    const varianceCombinations = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(Infinity));
+    for (let j = 1; j <= k; j++) {
+        lowerClassLimits[1][j] = 1;
+        varianceCombinations[1][j] = 0;
+    }
+
+    for (let l = 2; l <= n; l++) {
+        let sum = 0;
+        let sumSquares = 0;
+        let variance = 0;
+
+        for (let m = 1; m <= l; m++) {
+            const lowerIndex = l - m + 1;
+            const value = sorted[lowerIndex - 1];
+            sum += value;
+            sumSquares += value * value;
+            variance = sumSquares - (sum * sum) / m;
+
+            const previous = lowerIndex - 1;
+            if (previous === 0) continue;
+            for (let j = 2; j <= k; j++) {
+                const candidate = variance + varianceCombinations[previous][j - 1];
+                if (varianceCombinations[l][j] >= candidate) {
+                    lowerClassLimits[l][j] = lowerIndex;
+                    varianceCombinations[l][j] = candidate;
+                }
+            }
+        }
+        lowerClassLimits[l][1] = 1;
+        varianceCombinations[l][1] = variance;
+    }
+
+    const breaks = [];
+    let upper = n;
+    for (let j = k; j >= 2; j--) {
+        const lowerIndex = lowerClassLimits[upper][j];
+        breaks.unshift(sorted[lowerIndex - 1]);
+        upper = lowerIndex - 1;
+    }
+    return breaks;
+}
+
+// 境界値の表示が長くならないよう、階級の幅の有効数字3桁の位で丸める
+// （値そのものの桁で丸めると、10000.1〜10000.5 のような狭い範囲の境界値が重なる）
+function roundBreak(value, interval) {
+    const exponent = Math.floor(Math.log10(interval)) - 2;
+    const rounded = Math.round(value / 10 ** exponent) * 10 ** exponent;
+    // 浮動小数点の誤差（0.30000000000000004 など）を除く
+    return Number(rounded.toFixed(Math.max(0, -exponent)));
+}
+
+// #RRGGBB同士を線形補間
+function mixColors(from, to, t) {
+    const a = parseInt(from.slice(1), 16);
+    const b = parseInt(to.slice(1), 16);
+    const channel = (shift) => {
+        const x = (a >> shift) & 0xff;
+        const y = (b >> shift) & 0xff;
+        return Math.round(x + (y - x) * t);
+    };
+    const rgb = (channel(16) << 16) | (channel(8) << 8) | channel(0);
+    return '#' + rgb.toString(16).padStart(6, '0');
+}
+
+/**
+ * カラーランプから n 色を取り出す
+ */
+export function getRampColors(rampName, n, reverse = false) {
+    const ramp = COLOR_RAMPS[rampName] || COLOR_RAMPS.blues;
+    const stops = reverse ? ramp.colors.slice().reverse() : ramp.colors;
+    if (n <= 1) return [stops[Math.floor(stops.length / 2)]];
+
+    return Array.from({ length: n }, (_, i) => {
+        const position = (i / (n - 1)) * (stops.length - 1);
+        const index = Math.min(Math.floor(position), stops.length - 2);
+        return mixColors(stops[index], stops[index + 1], position - index);
+    });
+}
+
+/**
+ * 階級区分の step 式を構築
+ */
+export function buildStepExpression(input, breaks, colors) {
+    const expression = ['step', input, colors[0]];
+    breaks.forEach((value, i) => expression.push(value, colors[i + 1]));
+    return expression;
+}
+
+/**
+ * 値が属する階級の色（step 式と同じ判定）
+ */
+export function getStepColor(value, breaks, colors) {
+    const index = breaks.filter(limit => value >= limit).length;
+    return colors[index];
+}
+
+/**
+ * 連続グラデーションの値と色の組 [[値, 色], ...]
+ * 発散型のランプは center を中央の色に合わせる（min === max なら1組だけ）
+ */
+export function getInterpolateStops(min, max, rampName, reverse = false, center = null) {
+    const ramp = COLOR_RAMPS[rampName] || COLOR_RAMPS.blues;
+    const colors = getRampColors(rampName, ramp.colors.length, reverse);
+    if (min === max) return [[min, colors[colors.length - 1]]];
+
+    if (ramp.type === 'diverging' && center !== null && center > min && center < max) {
+        const half = (colors.length - 1) / 2;
+        return colors.map((color, i) => [
+            i <= half
+                ? min + ((center - min) * i) / half
+                : center + ((max - center) * (i - half)) / half,
+            color
+        ]);
+    }
+    return colors.map((color, i) => [min + ((max - min) * i) / (colors.length - 1), color]);
+}
+
+/**
+ * 連続グラデーションでの値の色（interpolate 式と同じ補間）
+ */
+export function getInterpolateColor(value, stops) {
+    if (value <= stops[0][0]) return stops[0][1];
+    const index = stops.findIndex(([limit]) => value < limit);
+    if (index === -1) return stops[stops.length - 1][1];
+
+    const [from, fromColor] = stops[index - 1];
+    const [to, toColor] = stops[index];
+    return mixColors(fromColor, toColor, (value - from) / (to - from));
+}
+
+/**
+ * 連続グラデーションの interpolate 式を構築
+ */
+export function buildInterpolateExpression(input, min, max, rampName, reverse = false, center = null) {
+    const stops = getInterpolateStops(min, max, rampName, reverse, center);
+    if (stops.length === 1) return stops[0][1];
+
+    return ['interpolate', ['linear'], input, ...stops.flat()];
+}
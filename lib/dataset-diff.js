@@ -0,0 +1,50 @@
+// ==========================================
+// 2つのデータの比較
+// ==========================================
+//
+// 市区町村コードごとのカテゴリ（列名）を比較元（前）と比較先（後）で突き合わせ、
+// 追加・削除・カテゴリ変更・変更なしに分類します。
+// カテゴリの並び順は比較に使わない（同じ組み合わせなら変更なし）。
+
+export const DIFF_STATUSES = {
+    added: { label: '追加', color: '#2ca25f' },
+    removed: { label: '削除', color: '#de2d26' },
+    changed: { label: 'カテゴリ変更', color: '#f5a623' },
+    unchanged: { label: '変更なし', color: '#9ecae1' }
+};
+
+/**
+ * 比較元と比較先のカテゴリを市区町村コードごとに比較
+ * @param {Map<string, string[]>} before 市区町村コード → カテゴリ
+ * @param {Map<string, string[]>} after 市区町村コード → カテゴリ
+ * @returns {Array<{ code: string, status: string, before: string[], after: string[] }>} コード順
+ */
+export function diffCodeCategories(before, after) {
+    const codes = new Set([...before.keys(), ...after.keys()]);
+
+    return Array.from(codes).sort().map(code => {
+        const previous = before.get(code) || [];
+        const current = after.get(code) || [];
+
+        let status;
+        if (previous.length === 0) {
+            status = 'added';
+        } else if (current.length === 0) {
+            status = 'removed';
+        } else {
+            const same = previous.length === current.length && previous.every(category => current.includes(category));
+            status = same ? 'unchanged' : 'changed';
+        }
+        return { code, status, before: previous, after: current };
+    });
+}
+
+/**
+ * 分類ごとの件数
+ * @returns {Object<string, number>} DIFF_STATUSES のキー → 件数
+ */
+export function countDiffStatuses(entries) {
+    const counts = Object.fromEntries(Object.keys(DIFF_STATUSES).map(status => [status, 0]));
+    entries.forEach(entry => { counts[entry.status]++; });
+    return counts;
+}
@@ -0,0 +1,20 @@
+// ==========================================
+// ファイルのダウンロード
+// ==========================================
+//
+// Blob をリンクのクリックでダウンロードさせます。
+// click() の直後にオブジェクトURLを破棄すると、ブラウザによってはダウンロードが始まる前に
+// URLが無効になるため、破棄はイベントループの次の周回まで遅らせます。
+
+/**
+ * Blob をファイルとしてダウンロード
+ * @param {Blob} blob 保存する内容
+ * @param {string} fileName 保存するファイル名
+ */
+export function downloadBlob(blob, fileName) {
+    const link = document.createElement('a');
+    link.download = fileName;
+    link.href = URL.createObjectURL(blob);
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
@@ -0,0 +1,55 @@
+// ==========================================
+// 斜線の塗りつぶしパターン
+// ==========================================
+//
+// 複数のカテゴリに含まれる市区町村を、各カテゴリの色を順に並べた斜線で塗るための画像です。
+// 地図の fill-pattern 用の画像と、SVG出力用の <pattern> を同じ見た目で作ります。
+
+// 1色あたりの帯の幅（CSSピクセル）
+export const STRIPE_WIDTH = 4;
+
+// #RRGGBB / #RGB を [r, g, b] にする
+function hexToRgb(hex) {
+    const value = hex.length === 4
+        ? hex.slice(1).split('').map(c => c + c).join('')
+        : hex.slice(1, 7);
+    const n = parseInt(value, 16);
+    return [(n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff];
+}
+
+/**
+ * 斜線パターンの画像（map.addImage に渡せる形式）
+ * 帯は右上から左下への向きで、縦横に並べても継ぎ目が出ない
+ * @param {string[]} colors 帯の色（並べる順）
+ * @param {number} pixelRatio 画像の解像度の倍率
+ * @returns {{ width: number, height: number, data: Uint8ClampedArray }}
+ */
+export function createStripePattern(colors, pixelRatio = 1) {
+    const stripe = Math.max(1, Math.round(STRIPE_WIDTH * pixelRatio));
+    const size = stripe * colors.length;
+    const rgbs = colors.map(hexToRgb);
+    const data = new Uint8ClampedArray(size * size * 4);
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const [r, g, b] = rgbs[Math.floor(((x + y) % size) / stripe)];
+            const offset = (y * size + x) * 4;
+            data[offset] = r;
+            data[offset + 1] = g;
+            data[offset + 2] = b;
+            data[offset + 3] = 255;
+        }
+    }
+
+    return { width: size, height: size, data };
+}
+
+/**
+ * SVG出力用の斜線パターン定義（fill="url(#id)" で参照する）
+ */
+export function createStripePatternSvg(id, colors) {
+    const size = STRIPE_WIDTH * colors.length;
+    const bands = colors.map((color, i) =>
+        `<rect x="${i * STRIPE_WIDTH}" y="0" width="${STRIPE_WIDTH}" height="${size}" fill="${color}"/>`).join('');
+    return `<pattern id="${id}" patternUnits="userSpaceOnUse" width="${size}" height="${size}" patternTransform="rotate(45)">${bands}</pattern>`;
+}
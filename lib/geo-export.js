@@ -0,0 +1,174 @@
+// ==========================================
+// 塗り分け結果の書き出し（GeoJSON / TopoJSON / KML）
+// ==========================================
+//
+// 市区町村の形状は scripts/generate-municipalities-topo.cjs で作成した
+// public/municipalities-topo.json（TopoJSON）を使います。
+// このファイルがない場合は、呼び出し側が渡す代わりの読み込み（市区町村タイルからの作成）を使います。
+// 隣接する市区町村は境界線（arc）を共有しているので、カテゴリごとの結合は
+// 共有している境界線を取り除くだけで行えます。
+
+import { feature, mergeArcs } from 'topojson-client';
+
+export const EXPORT_FORMATS = {
+    geojson: { label: 'GeoJSON', extension: 'geojson', type: 'application/geo+json' },
+    topojson: { label: 'TopoJSON', extension: 'topojson', type: 'application/json' },
+    kml: { label: 'KML', extension: 'kml', type: 'application/vnd.google-earth.kml+xml' }
+};
+
+const OBJECT_NAME = 'municipalities';
+
+let topologyPromise = null;
+
+/**
+ * 市区町村のTopoJSONを読み込む（2回目以降は読み込み済みのものを返す）
+ * @param {string} url TopoJSONのURL
+ * @param {(() => Promise<Object>) | null} fallback ファイルがないときに代わりにTopoJSONを作る関数
+ */
+export function loadMunicipalityTopology(url, fallback = null) {
+    if (!topologyPromise) {
+        topologyPromise = fetch(url).then(response => {
+            // 開発サーバーはないファイルにも index.html を返すので、種類も確認する
+            if (response.ok && !(response.headers.get('Content-Type') || '').includes('text/html')) {
+                return response.json();
+            }
+            if (fallback) return fallback();
+            throw new Error(`市区町村の形状データがありません（${response.status}）。npm run generate:municipalities で作成してください`);
+        });
+        // 失敗した場合は次回また読み込み直す
+        topologyPromise.catch(() => { topologyPromise = null; });
+    }
+    return topologyPromise;
+}
+
+/**
+ * 読み込んだTopoJSONを破棄する（市区町村タイルを差し替えて、タイルから作り直す場合）
+ */
+export function resetMunicipalityTopology() {
+    topologyPromise = null;
+}
+
+/**
+ * 書き出す市区町村だけを含むTopoJSONを作成
+ * @param {Object} topology 市区町村のTopoJSON
+ * @param {Array<{ code: string, properties: Object }>} items 市区町村コードと付与する属性
+ * @param {{ dissolve?: boolean }} options dissolve: properties.category ごとに1つの形状に結合
+ */
+export function buildExportTopology(topology, items, { dissolve = false } = {}) {
+    const source = topology.objects[OBJECT_NAME] || Object.values(topology.objects)[0];
+    const byCode = new Map(source.geometries.map(geometry => [geometry.properties?.N03_007, geometry]));
+
+    const entries = items
+        .map(item => ({ ...item, geometry: byCode.get(item.code) }))
+        .filter(item => item.geometry?.arcs);
+
+    let geometries;
+    if (dissolve) {
+        const groups = new Map();
+        entries.forEach(item => {
+            const key = item.properties.category;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(item);
+        });
+        geometries = Array.from(groups.values(), group => ({
+            ...mergeArcs(topology, group.map(item => item.geometry)),
+            properties: { category: group[0].properties.category, color: group[0].properties.color, count: group.length }
+        }));
+    } else {
+        geometries = entries.map(({ code, geometry, properties }) => {
+            const { N03_001: pref = '', N03_003: gun = '', N03_004: city = '', N03_005: ward = '' } = geometry.properties;
+            return {
+                type: geometry.type,
+                arcs: geometry.arcs,
+                properties: { code, pref, name: gun + city + ward, ...properties }
+            };
+        });
+    }
+
+    return pruneArcs(topology, geometries);
+}
+
+// 使用している境界線だけを残し、番号を振り直したTopoJSONにする
+function pruneArcs(topology, geometries) {
+    const arcs = [];
+    const indexMap = new Map();
+
+    const remap = (index) => {
+        const original = index < 0 ? ~index : index;
+        if (!indexMap.has(original)) {
+            indexMap.set(original, arcs.length);
+            arcs.push(topology.arcs[original]);
+        }
+        const mapped = indexMap.get(original);
+        return index < 0 ? ~mapped : mapped;
+    };
+    const remapRings = rings => rings.map(ring => ring.map(remap));
+
+    return {
+        type: 'Topology',
+        ...(topology.transform ? { transform: topology.transform } : {}),
+        objects: {
+            [OBJECT_NAME]: {
+                type: 'GeometryCollection',
+                geometries: geometries.map(geometry => ({
+                    ...geometry,
+                    arcs: geometry.type === 'Polygon' ? remapRings(geometry.arcs) : geometry.arcs.map(remapRings)
+                }))
+            }
+        },
+        arcs
+    };
+}
+
+/**
+ * 書き出し用のTopoJSONをGeoJSONのFeatureCollectionにする
+ */
+export function toGeoJSON(exportTopology) {
+    return feature(exportTopology, exportTopology.objects[OBJECT_NAME]);
+}
+
+function escapeXml(value) {
+    return String(value ?? '').replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c]);
+}
+
+// #RRGGBB を KML の aabbggrr にする
+function toKmlColor(hex, alpha) {
+    const [, r, g, b] = hex.match(/^#(..)(..)(..)$/) || [null, 'cc', 'cc', 'cc'];
+    return alpha + b + g + r;
+}
+
+/**
+ * FeatureCollectionをKML文字列にする（塗りの色は properties.color）
+ */
+export function toKML(featureCollection, documentName = '') {
+    const ring = coordinates => coordinates.map(([lng, lat]) => `${lng},${lat}`).join(' ');
+    const polygon = ([outer, ...holes]) => '<Polygon>' +
+        `<outerBoundaryIs><LinearRing><coordinates>${ring(outer)}</coordinates></LinearRing></outerBoundaryIs>` +
+        holes.map(hole => `<innerBoundaryIs><LinearRing><coordinates>${ring(hole)}</coordinates></LinearRing></innerBoundaryIs>`).join('') +
+        '</Polygon>';
+
+    const placemarks = featureCollection.features
+        .filter(item => item.geometry)
+        .map(item => {
+            const { properties, geometry } = item;
+            const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+            const data = Object.entries(properties)
+                .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`)
+                .join('');
+            const color = properties.color || '#cccccc';
+
+            return '<Placemark>' +
+                `<name>${escapeXml(properties.name || properties.category)}</name>` +
+                `<Style><LineStyle><color>${toKmlColor(color, 'ff')}</color><width>1</width></LineStyle>` +
+                `<PolyStyle><color>${toKmlColor(color, 'cc')}</color></PolyStyle></Style>` +
+                `<ExtendedData>${data}</ExtendedData>` +
+                `<MultiGeometry>${polygons.map(polygon).join('')}</MultiGeometry>` +
+                '</Placemark>';
+        });
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>' +
+        `<name>${escapeXml(documentName)}</name>\n` +
+        placemarks.join('\n') +
+        '\n</Document></kml>\n';
+}
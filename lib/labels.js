@@ -0,0 +1,75 @@
+// ==========================================
+// 市区町村・都道府県のラベル
+// ==========================================
+//
+// 背景地図の文字ラベルは消しているので、search-data.json の中心座標から独自のラベルを作ります。
+// 政令市の区のように同じ名前のレコードは1つのラベルにまとめ、先頭の市区町村コードをラベルのIDにします。
+// 重なったラベルは地図側（symbolレイヤー）で間引き、priority の小さいものを優先して残します。
+
+export const LABEL_MODES = {
+    none: '表示しない',
+    colored: '色を塗った市区町村',
+    selected: '選んだ市区町村',
+    all: 'すべての市区町村'
+};
+
+// 都道府県ラベルのIDの接頭辞（市区町村コードと区別する）
+export const PREFECTURE_LABEL_PREFIX = 'pref:';
+
+// 点の平均位置
+function averagePoint(points) {
+    const sum = points.reduce(([x, y], [px, py]) => [x + px, y + py], [0, 0]);
+    return [sum[0] / points.length, sum[1] / points.length];
+}
+
+// 同じ都道府県・名前のレコードをまとめる
+function groupRecords(records, keyOf) {
+    const groups = new Map();
+    records.forEach(record => {
+        const key = keyOf(record);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(record);
+    });
+    return Array.from(groups.values());
+}
+
+/**
+ * 市区町村ラベルの点
+ * @param {Array} records search-data.json のレコード
+ * @param {Object} options
+ * @param {(codes: string[]) => boolean} options.include ラベルを付けるか
+ * @param {(codes: string[]) => boolean} options.emphasize 優先して表示するか（色を塗った市区町村など）
+ * @param {Object<string, [number, number]>} options.overrides ラベルID → 手動で動かした位置
+ * @returns {Object} GeoJSONのFeatureCollection（properties: id, name, priority）
+ */
+export function buildMunicipalityLabels(records, { include, emphasize, overrides = {} }) {
+    const features = groupRecords(records, record => record.pref + record.full)
+        .map(group => ({ group, codes: group.map(record => record.code) }))
+        .filter(({ codes }) => include(codes))
+        .map(({ group, codes }) => {
+            const id = codes[0];
+            const override = overrides[id];
+            return {
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: override || averagePoint(group.map(record => record.center)) },
+                // 手動で動かしたラベル → 優先するラベル → その他 の順に残す
+                properties: { id, name: group[0].full, priority: override ? 0 : emphasize(codes) ? 1 : 2 }
+            };
+        });
+    return { type: 'FeatureCollection', features };
+}
+
+/**
+ * 都道府県ラベルの点（含まれる市区町村の中心の平均）
+ */
+export function buildPrefectureLabels(records, overrides = {}) {
+    const features = groupRecords(records, record => record.pref).map(group => {
+        const id = PREFECTURE_LABEL_PREFIX + group[0].pref;
+        return {
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: overrides[id] || averagePoint(group.map(record => record.center)) },
+            properties: { id, name: group[0].pref, priority: 0 }
+        };
+    });
+    return { type: 'FeatureCollection', features };
+}
@@ -0,0 +1,135 @@
+// ==========================================
+// スプレッドシートの自動更新
+// ==========================================
+//
+// 一定の間隔でCSVを取得し直し、内容が変わっていたときだけ onChange を呼びます。
+// サーバーが ETag / Last-Modified を返す場合は条件付きリクエスト（304なら本文を読まない）、
+// 返さない場合やCORSで読めない場合は本文のハッシュで変更を判定します。
+// 取得に失敗したら間隔を倍にして（最大 MAX_BACKOFF）再試行します。
+
+// 選べる更新間隔（秒、0 は自動更新しない）
+export const REFRESH_INTERVALS = [
+    { value: 0, label: 'しない' },
+    { value: 15, label: '15秒ごと' },
+    { value: 30, label: '30秒ごと' },
+    { value: 60, label: '1分ごと' },
+    { value: 300, label: '5分ごと' }
+];
+
+// 失敗が続いたときの最大の待ち時間（ミリ秒）
+const MAX_BACKOFF = 10 * 60 * 1000;
+
+/**
+ * 文字列のハッシュ（FNV-1a 32bit、変更の判定用）
+ */
+export function hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * 自動更新を作成
+ * @param {Object} options
+ * @param {() => string | null} options.getUrl 取得するCSVのURL（null なら今回は取得しない）
+ * @param {() => string | null} options.getHash 表示中のデータのハッシュ（hashText）
+ * @param {(text: string) => Promise<void>} options.onChange 内容が変わったときに呼ばれる
+ * @param {(status: { state: string, checkedAt?: Date, updatedAt?: Date, error?: Error, retryIn?: number }) => void} options.onStatus
+ *   state: 'checking' | 'unchanged' | 'updated' | 'error' | 'stopped'
+ */
+export function createLiveRefresh({ getUrl, getHash, onChange, onStatus }) {
+    let interval = 0;
+    let timer = null;
+    let failures = 0;
+    let running = false;
+    // 条件付きリクエストに使う値（URLごと）
+    let validators = { url: null, etag: null, lastModified: null };
+    // 条件付きリクエストのヘッダーがCORSで許可されない場合は使わない
+    let conditional = true;
+
+    function schedule(delay) {
+        clearTimeout(timer);
+        timer = interval > 0 ? setTimeout(check, delay) : null;
+    }
+
+    async function request(url) {
+        const headers = {};
+        if (conditional && validators.url === url) {
+            if (validators.etag) headers['If-None-Match'] = validators.etag;
+            if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+        }
+
+        try {
+            return await fetch(url, { headers, cache: 'no-cache' });
+        } catch (error) {
+            if (Object.keys(headers).length === 0) throw error;
+            // ヘッダー付きのリクエストが拒否された可能性があるので、付けずにやり直す
+            // （ネットワークの一時的な失敗ならこちらも失敗するので、そのときは次回もヘッダーを付ける）
+            const response = await fetch(url, { cache: 'no-cache' });
+            conditional = false;
+            return response;
+        }
+    }
+
+    async function check() {
+        const url = getUrl();
+        if (!url || running) {
+            schedule(interval * 1000);
+            return;
+        }
+
+        running = true;
+        let nextDelay = interval * 1000;
+        onStatus({ state: 'checking' });
+        try {
+            const response = await request(url);
+            const checkedAt = new Date();
+
+            if (response.status === 304) {
+                failures = 0;
+                onStatus({ state: 'unchanged', checkedAt });
+                return;
+            }
+            if (!response.ok) {
+                throw new Error(`CSV読み込みエラー: ${response.status}`);
+            }
+
+            validators = {
+                url,
+                etag: response.headers.get('ETag'),
+                lastModified: response.headers.get('Last-Modified')
+            };
+            const text = await response.text();
+            failures = 0;
+
+            if (hashText(text) === getHash()) {
+                onStatus({ state: 'unchanged', checkedAt });
+            } else {
+                await onChange(text);
+                onStatus({ state: 'updated', checkedAt, updatedAt: checkedAt });
+            }
+        } catch (error) {
+            failures++;
+            nextDelay = Math.min(interval * 1000 * 2 ** failures, MAX_BACKOFF);
+            onStatus({ state: 'error', error, retryIn: nextDelay });
+        } finally {
+            running = false;
+            schedule(nextDelay);
+        }
+    }
+
+    return {
+        /**
+         * 更新間隔を設定（秒、0 で停止）。設定した間隔の後に最初の確認をする
+         */
+        setInterval(seconds) {
+            interval = seconds;
+            failures = 0;
+            schedule(interval * 1000);
+            if (interval === 0) onStatus({ state: 'stopped' });
+        }
+    };
+}
@@ -0,0 +1,93 @@
+// ==========================================
+// ローカルファイル読み込み
+// ==========================================
+//
+// CSV / TSV / Excel(.xlsx) をブラウザ内だけで読み込みます（アップロードはしません）。
+// 古い形式（.xls）や .ods はCSVで保存し直してから読み込んでください。
+
+import Papa from 'papaparse';
+
+// Excel形式として扱う拡張子
+const WORKBOOK_EXTENSIONS = ['xlsx', 'xlsm'];
+
+// 読めない表計算ソフトの形式（テキストとして読むと意味のないエラーになるので先に断る）
+const UNSUPPORTED_EXTENSIONS = ['xls', 'ods', 'numbers'];
+
+// 対応している拡張子（ファイル選択ダイアログ用）
+export const ACCEPTED_FILE_TYPES = ['.csv', '.tsv', '.txt', ...WORKBOOK_EXTENSIONS.map(ext => '.' + ext)].join(',');
+
+function getExtension(fileName) {
+    const match = fileName.toLowerCase().match(/\.([a-z0-9]+)$/);
+    return match ? match[1] : '';
+}
+
+/**
+ * バイト列を文字列にデコード
+ * UTF-8として不正ならExcelが出力しがちなShift_JISとして読み直す
+ */
+function decodeText(buffer) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch {
+        return new TextDecoder('shift_jis').decode(buffer);
+    }
+}
+
+/**
+ * セルの値をCSVの文字列に（日付は YYYY-MM-DD、時刻があれば YYYY-MM-DD HH:MM）
+ * 日付はExcelの表示どおりの日時がUTCとして入っている
+ */
+function formatCell(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) {
+        const iso = value.toISOString();
+        return iso.slice(11, 16) === '00:00' ? iso.slice(0, 10) : iso.slice(0, 16).replace('T', ' ');
+    }
+    return String(value);
+}
+
+// シートの行をCSVにする（空行は除く）
+function sheetToCsv(data) {
+    const rows = data
+        .map(row => row.map(formatCell))
+        .filter(row => row.some(cell => cell !== ''));
+    return Papa.unparse(rows);
+}
+
+/**
+ * ローカルファイルを読み込む
+ * @returns {Promise<{ name: string, sheetNames: string[], getText: (sheetName?: string) => string, delimiter: string }>}
+ *   sheetNames はExcelの場合のみ。delimiter が空ならPapaParseの自動判定に任せる
+ */
+export async function readSpreadsheetFile(file) {
+    const extension = getExtension(file.name);
+    if (UNSUPPORTED_EXTENSIONS.includes(extension)) {
+        throw new Error(`.${extension} 形式には対応していません。.xlsx またはCSVで保存し直してから読み込んでください`);
+    }
+    const buffer = await file.arrayBuffer();
+
+    if (WORKBOOK_EXTENSIONS.includes(extension)) {
+        // Excelを読むときだけ読み込む
+        const { default: readExcelFile } = await import('read-excel-file/browser');
+        const sheets = await readExcelFile(buffer);
+        if (sheets.length === 0) {
+            throw new Error('シートが見つかりません');
+        }
+
+        const sheetNames = sheets.map(({ sheet }) => sheet);
+        return {
+            name: file.name,
+            sheetNames,
+            getText: (sheetName = sheetNames[0]) => sheetToCsv(sheets.find(({ sheet }) => sheet === sheetName)?.data || []),
+            delimiter: ','
+        };
+    }
+
+    const text = decodeText(buffer);
+    return {
+        name: file.name,
+        sheetNames: [],
+        getText: () => text,
+        delimiter: extension === 'tsv' ? '\t' : ''
+    };
+}
@@ -0,0 +1,152 @@
+// ==========================================
+// 照合結果レポート
+// ==========================================
+//
+// シート読み込み後、列ごとに一致・該当なし・複数候補のセル値を一覧表示し、
+// 問題のある値をCSVでダウンロードできるようにします。
+// 合併・再編前の市区町村名から読み替えた値は、読み替えの内容を表示します。
+
+import Papa from 'papaparse';
+import { downloadBlob } from './download';
+
+const STATUS_LABELS = {
+    matched: '一致',
+    mapped: '旧市区町村から読み替え',
+    ambiguous: '複数候補',
+    unmatched: '該当なし'
+};
+
+// 照合結果の状態（読み替えて一致したものは mapped）
+function statusOf(result) {
+    return result.mapping ? 'mapped' : result.status;
+}
+
+// 読み替えの説明（例: "旧 埼玉県浦和市・2000年"）
+function formatMapping(mapping) {
+    return `旧 ${mapping.from}・${mapping.year}年`;
+}
+
+// 候補の表示名（例: "東京都府中市 (13206)"、政令市は区域数、読み替えた候補は旧市区町村を表示）
+function formatCandidate(candidate) {
+    const codes = candidate.codes.length === 1 ? candidate.codes[0] : `${candidate.codes.length}区域`;
+    const mapping = candidate.mapping ? `（${formatMapping(candidate.mapping)}）` : '';
+    return `${candidate.pref}${candidate.full} (${codes})${mapping}`;
+}
+
+// 問題のあるセル値の説明文（複数候補はその候補、該当なしは「もしかして」）
+function describeProblem(result, matcher) {
+    if (result.status === 'ambiguous') {
+        return result.candidates.map(formatCandidate).join(' / ');
+    }
+    const suggestions = matcher.suggest(result.input);
+    return suggestions.length > 0 ? 'もしかして: ' + suggestions.map(formatCandidate).join(' / ') : '';
+}
+
+/**
+ * 照合結果を集計（mapped は matched のうち旧市区町村から読み替えた数）
+ * @returns {{ codes: Set<string>, counts: Object<string, number> }}
+ */
+export function summarizeMatchResults(matchResults) {
+    const codes = new Set();
+    const counts = { matched: 0, mapped: 0, ambiguous: 0, unmatched: 0 };
+
+    matchResults.forEach(results => {
+        results.forEach(result => {
+            counts[result.status]++;
+            if (result.mapping) counts.mapped++;
+            result.codes.forEach(code => codes.add(code));
+        });
+    });
+
+    return { codes, counts };
+}
+
+/**
+ * 問題のあるセル値と、旧市区町村から読み替えたセル値をCSV文字列にする
+ */
+export function buildProblemsCsv(matchResults, matcher) {
+    const rows = [];
+    matchResults.forEach((results, headerName) => {
+        results
+            .filter(result => statusOf(result) !== 'matched')
+            .forEach(result => rows.push({
+                '列': headerName,
+                '値': result.input,
+                '状態': STATUS_LABELS[statusOf(result)],
+                '候補': result.mapping ? formatCandidate(result.candidates[0]) : describeProblem(result, matcher)
+            }));
+    });
+    return Papa.unparse(rows, { columns: ['列', '値', '状態', '候補'] });
+}
+
+/**
+ * 照合結果レポートを描画
+ */
+export function renderMatchReport(container, matchResults, matcher) {
+    container.innerHTML = '';
+    if (matchResults.size === 0) return;
+
+    const { counts } = summarizeMatchResults(matchResults);
+    const problemCount = counts.ambiguous + counts.unmatched;
+
+    // 全体の集計
+    const summary = document.createElement('div');
+    summary.className = 'match-report-summary';
+    summary.textContent = `一致 ${counts.matched}` +
+        (counts.mapped > 0 ? `（うち旧市区町村から読み替え ${counts.mapped}）` : '') +
+        ` / 複数候補 ${counts.ambiguous} / 該当なし ${counts.unmatched}`;
+    container.appendChild(summary);
+
+    if (problemCount + counts.mapped > 0) {
+        const downloadBtn = document.createElement('button');
+        downloadBtn.type = 'button';
+        downloadBtn.className = 'match-report-download';
+        downloadBtn.textContent = counts.mapped > 0 ? '問題・読み替えの一覧をCSVで保存' : '問題の一覧をCSVで保存';
+        downloadBtn.addEventListener('click', () => {
+            // Excelで文字化けしないようBOMを付ける
+            const blob = new Blob(['\uFEFF' + buildProblemsCsv(matchResults, matcher)], { type: 'text/csv' });
+            downloadBlob(blob, `unmatched-${new Date().toISOString().slice(0, 10)}.csv`);
+        });
+        container.appendChild(downloadBtn);
+    }
+
+    // 列ごとの詳細（問題のある値 → 読み替えた値 → 一致した値の順に表示）
+    matchResults.forEach((results, headerName) => {
+        const problems = results.filter(result => result.status !== 'matched');
+        const mapped = results.filter(result => statusOf(result) === 'mapped');
+        const matched = results.filter(result => statusOf(result) === 'matched');
+
+        const details = document.createElement('details');
+        details.className = 'match-report-column';
+        details.open = problems.length + mapped.length > 0;
+
+        const title = document.createElement('summary');
+        title.textContent = `${headerName}: 一致 ${matched.length + mapped.length}` +
+            (mapped.length > 0 ? ` / 読み替え ${mapped.length}` : '') +
+            (problems.length > 0 ? ` / 問題 ${problems.length}` : '');
+        details.appendChild(title);
+
+        const list = document.createElement('ul');
+        [...problems, ...mapped, ...matched].forEach(result => {
+            const item = document.createElement('li');
+            item.className = `match-status-${statusOf(result)}`;
+
+            const input = document.createElement('span');
+            input.className = 'match-input';
+            input.textContent = result.input;
+            item.appendChild(input);
+
+            const detail = document.createElement('span');
+            detail.className = 'match-detail';
+            detail.textContent = result.status === 'matched'
+                ? '→ ' + formatCandidate(result.candidates[0])
+                : `${STATUS_LABELS[result.status]} ${describeProblem(result, matcher)}`;
+            item.appendChild(detail);
+
+            list.appendChild(item);
+        });
+        details.appendChild(list);
+
+        container.appendChild(details);
+    });
+}
@@ -0,0 +1,277 @@
+// ==========================================
+// 市区町村マッチング
+// ==========================================
+//
+// シートのセル値（市区町村コード / 都道府県+市区町村名 / 市区町村名）を
+// search-data.json のレコードに照合し、N03_007 コードの集合に解決します。
+// 新旧対応表（crosswalk.json）を渡すと、一致しなかった値を合併・再編前の市区町村名・コードとして
+// 後継の市区町村に読み替え、結果の mapping に読み替えの内容を残します。
+
+// 都道府県名（JIS都道府県コード順）
+export const PREFECTURE_NAMES = [
+    '北海道', '青森県', '岩手県', '宮城県', '秋田県', '山形県', '福島県',
+    '茨城県', '栃木県', '群馬県', '埼玉県', '千葉県', '東京都', '神奈川県',
+    '新潟県', '富山県', '石川県', '福井県', '山梨県', '長野県', '岐阜県',
+    '静岡県', '愛知県', '三重県', '滋賀県', '京都府', '大阪府', '兵庫県',
+    '奈良県', '和歌山県', '鳥取県', '島根県', '岡山県', '広島県', '山口県',
+    '徳島県', '香川県', '愛媛県', '高知県', '福岡県', '佐賀県', '長崎県',
+    '熊本県', '大分県', '宮崎県', '鹿児島県', '沖縄県'
+];
+
+// 「都」「府」「県」を除いた短縮名（北海道はそのまま）
+const PREFECTURE_SHORT_NAMES = PREFECTURE_NAMES.map(name =>
+    name === '北海道' ? name : name.slice(0, -1)
+);
+
+/**
+ * 照合用に文字列を正規化
+ * 全角英数の半角化・空白の除去・「ヶ」「ケ」などの表記ゆれを吸収する
+ */
+export function normalizeName(value) {
+    return String(value ?? '')
+        .normalize('NFKC')
+        .replace(/\s+/g, '')
+        .replace(/ヶ/g, 'ケ')
+        .replace(/ヵ/g, 'カ');
+}
+
+/**
+ * 都道府県名を正式名称に解決（「東京」→「東京都」）
+ * 解決できなければ null
+ */
+export function resolvePrefecture(value) {
+    const name = normalizeName(value);
+    if (!name) return null;
+
+    const index = PREFECTURE_NAMES.indexOf(name);
+    if (index >= 0) return PREFECTURE_NAMES[index];
+
+    const shortIndex = PREFECTURE_SHORT_NAMES.indexOf(name);
+    if (shortIndex >= 0) return PREFECTURE_NAMES[shortIndex];
+
+    return null;
+}
+
+/**
+ * 都道府県列の値でセル値を修飾する
+ * 例: ("東京都", "府中市") → "東京都府中市"
+ * コードや既に都道府県名で始まる値はそのまま返す
+ */
+export function qualifyEntry(entry, prefValue) {
+    const pref = resolvePrefecture(prefValue);
+    if (!pref || isCodeLike(entry)) return entry;
+
+    return normalizeName(entry).startsWith(pref) ? entry : pref + entry;
+}
+
+// 市区町村コードらしい値か（4〜6桁の数字）
+function isCodeLike(value) {
+    return /^\d{4,6}$/.test(normalizeName(value));
+}
+
+// 先頭が都道府県名なら [都道府県名, 残り] を返す
+function splitPrefecture(name, names) {
+    for (let i = 0; i < names.length; i++) {
+        if (name.startsWith(names[i]) && name.length > names[i].length) {
+            return [PREFECTURE_NAMES[i], name.slice(names[i].length)];
+        }
+    }
+    return null;
+}
+
+// 名称 → レコードの一覧に追加
+function addNameTo(byName, name, record) {
+    const key = normalizeName(name);
+    if (!key) return;
+    const list = byName.get(key) || [];
+    if (!list.includes(record)) list.push(record);
+    byName.set(key, list);
+}
+
+/**
+ * search-data.json のレコードからマッチャーを作成
+ * @param {Array} records search-data.json のレコード
+ * @param {Array} crosswalk 新旧対応表の entries（{ code, pref, gun, city, ward, full, year, successors }）
+ */
+export function createMunicipalityMatcher(records, crosswalk = []) {
+    const byCode = new Map();
+    const byName = new Map();
+    const addName = (name, record) => addNameTo(byName, name, record);
+
+    // 旧市区町村（コードは新しい年度のものを優先）
+    const oldByCode = new Map();
+    const oldByName = new Map();
+    [...crosswalk].sort((a, b) => b.year - a.year).forEach(entry => {
+        if (!oldByCode.has(entry.code)) oldByCode.set(entry.code, entry);
+        addNameTo(oldByName, entry.full + entry.ward, entry);
+        addNameTo(oldByName, entry.city + entry.ward, entry);
+    });
+
+    records.forEach(record => {
+        byCode.set(record.code, record);
+
+        addName(record.full, record);
+        addName(record.city, record);
+        // 政令市の区名があれば「横浜市中区」「上益城郡益城町」の形でも引けるようにする
+        if (record.ward) {
+            addName(record.city + record.ward, record);
+            addName(record.full + record.ward, record);
+        }
+    });
+
+    // コードで検索（先頭の0落ち・検査数字付き6桁も許容）
+    const findByCode = (digits) => {
+        const candidates = digits.length === 4 ? [digits.padStart(5, '0')]
+            : digits.length === 6 ? [digits.slice(0, 5)]
+            : [digits];
+        for (const code of candidates) {
+            if (byCode.has(code)) return byCode.get(code);
+        }
+        return null;
+    };
+
+    // 名称で検索し、都道府県で絞り込む
+    const findByName = (name, pref, names = byName) => {
+        const list = names.get(name) || [];
+        return pref ? list.filter(r => r.pref === pref) : list;
+    };
+
+    // 正式名称の都道府県 → 短縮名の都道府県 → 都道府県なし の順に解釈を試し、候補のあった解釈の候補を返す
+    // （「京都市」が「京都」+「市」と解釈されないよう、候補がなければ次へ）
+    const findByInterpretations = (name, names = byName) => {
+        const interpretations = [
+            splitPrefecture(name, PREFECTURE_NAMES),
+            splitPrefecture(name, PREFECTURE_SHORT_NAMES),
+            [null, name]
+        ];
+        for (const interpretation of interpretations) {
+            if (!interpretation) continue;
+            const [pref, rest] = interpretation;
+            const list = findByName(rest, pref, names);
+            if (list.length > 0) return list;
+        }
+        return [];
+    };
+
+    // 旧市区町村を後継の市区町村に読み替える（旧市区町村が複数あれば後継ごとに候補にする）
+    const resolveOld = (name) => {
+        const entries = /^\d{4,6}$/.test(name)
+            ? [oldByCode.get(name.length === 4 ? name.padStart(5, '0') : name.slice(0, 5))].filter(Boolean)
+            : findByInterpretations(name, oldByName);
+        if (entries.length === 0) return null;
+
+        const groups = entries.map(entry => ({
+            ...(groupCandidates(entry.successors.map(code => byCode.get(code)).filter(Boolean))[0] || { pref: entry.pref, full: entry.full }),
+            codes: entry.successors.slice(),
+            mapping: { year: entry.year, from: entry.pref + entry.full + entry.ward, code: entry.code }
+        }));
+        const unique = groups.filter((group, i) =>
+            groups.findIndex(other => other.codes.join() === group.codes.join()) === i
+        );
+        return unique;
+    };
+
+    // 都道府県+郡市区町村名が同じレコードを1つの自治体としてまとめる
+    const groupCandidates = (list) => {
+        const groups = new Map();
+        list.forEach(record => {
+            const key = record.pref + record.full;
+            if (!groups.has(key)) {
+                groups.set(key, { pref: record.pref, full: record.full, codes: [] });
+            }
+            groups.get(key).codes.push(record.code);
+        });
+        return Array.from(groups.values());
+    };
+
+    /**
+     * セル値を解決
+     * @returns {{ input: string, status: 'matched'|'ambiguous'|'unmatched', codes: string[], candidates: Array, mapping?: Object }}
+     *   mapping: 旧市区町村から読み替えた場合の { year: 旧市区町村があった年度, from: 旧名称, code: 旧コード }
+     */
+    const resolve = (input) => {
+        const name = normalizeName(input);
+        const result = (status, candidates) => ({
+            input,
+            status,
+            codes: status === 'matched' ? candidates[0].codes.slice() : [],
+            candidates,
+            ...(status === 'matched' && candidates[0].mapping && { mapping: candidates[0].mapping })
+        });
+
+        if (!name) return result('unmatched', []);
+
+        const isCode = /^\d{4,6}$/.test(name);
+        if (isCode) {
+            const record = findByCode(name);
+            if (record) return result('matched', groupCandidates([record]));
+        } else {
+            const groups = groupCandidates(findByInterpretations(name));
+            if (groups.length === 1) return result('matched', groups);
+            if (groups.length > 1) return result('ambiguous', groups);
+        }
+
+        // 現在の市区町村になければ、合併・再編前の市区町村として読み替える
+        const mapped = resolveOld(name);
+        if (mapped?.length === 1) return result('matched', mapped);
+        if (mapped?.length > 1) return result('ambiguous', mapped);
+
+        return result('unmatched', []);
+    };
+
+    /**
+     * 一致しなかったセル値に近い市区町村名を提案（「もしかして」）
+     * 編集距離が名称の長さの1/3以内、または部分一致するものを近い順に返す
+     */
+    const suggest = (input, limit = 3) => {
+        const name = normalizeName(input);
+        if (!name || /^\d+$/.test(name)) return [];
+
+        const split = splitPrefecture(name, PREFECTURE_NAMES) || splitPrefecture(name, PREFECTURE_SHORT_NAMES);
+        const [pref, rest] = split || [null, name];
+        const maxDistance = Math.max(1, Math.floor(rest.length / 3));
+
+        const scored = [];
+        byName.forEach((list, key) => {
+            const distance = key.includes(rest) || rest.includes(key)
+                ? Math.abs(key.length - rest.length)
+                : levenshtein(rest, key, maxDistance);
+            if (distance > maxDistance) return;
+
+            groupCandidates(pref ? list.filter(r => r.pref === pref) : list)
+                .forEach(group => scored.push({ ...group, distance }));
+        });
+
+        const seen = new Set();
+        return scored
+            .sort((a, b) => a.distance - b.distance || a.codes[0].localeCompare(b.codes[0]))
+            .filter(group => {
+                const key = group.pref + group.full;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .slice(0, limit);
+    };
+
+    return { resolve, suggest };
+}
+
+// 編集距離（maxを超えたら打ち切る）
+export function levenshtein(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
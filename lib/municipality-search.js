@@ -0,0 +1,125 @@
+// ==========================================
+// 市区町村の検索
+// ==========================================
+//
+// 名称（漢字）と読み（かな・ローマ字）で市区町村を探し、近い順に並べます。
+//   完全一致 → 前方一致 → 部分一致 → 誤字を含む一致（編集距離）の順
+// 政令市は区ごとの候補に加えて、市全体の候補も出します（「横浜市」で全区）。
+// 読みは search-data.json の kana（市区町村名+区名の読み）を使い、なければ名称だけで探します。
+
+import { normalizeName, levenshtein } from './municipality-matcher';
+import { isKana, isRomaji, kanaToRomaji, normalizeRomaji } from './reading';
+
+// 一致の種類ごとの順位（小さいほど上）
+const RANK = { exact: 0, prefix: 1, partial: 2, fuzzy: 3 };
+
+// 誤字として許す編集距離（短い入力ほど厳しく）
+function maxTypos(length) {
+    return length <= 2 ? 0 : length <= 5 ? 1 : 2;
+}
+
+// 複数の範囲を囲む範囲
+function unionBounds(list) {
+    return [
+        [Math.min(...list.map(b => b[0][0])), Math.min(...list.map(b => b[0][1]))],
+        [Math.max(...list.map(b => b[1][0])), Math.max(...list.map(b => b[1][1]))]
+    ];
+}
+
+// 文字列に共通する先頭部分（市の読みがないときに区の読みから求める）
+function commonPrefix(list) {
+    return list.reduce((prefix, text) => {
+        let i = 0;
+        while (i < prefix.length && prefix[i] === text[i]) i++;
+        return prefix.slice(0, i);
+    });
+}
+
+// 候補の1つの表記と入力の一致の度合い（一致しなければ null）
+function scoreKey(key, query) {
+    if (!key) return null;
+    if (key === query) return RANK.exact;
+    if (key.startsWith(query)) return RANK.prefix;
+    if (key.includes(query)) return RANK.partial;
+
+    // 入力途中の誤字も拾えるよう、先頭の同じ長さの部分とも比べる
+    const max = maxTypos(query.length);
+    if (max === 0) return null;
+    const distance = Math.min(
+        levenshtein(query, key, max),
+        levenshtein(query, key.slice(0, query.length), max)
+    );
+    return distance <= max ? RANK.fuzzy + distance : null;
+}
+
+/**
+ * search-data.json のレコードから検索を作成
+ * @returns {{ search: (query: string, limit?: number) => Array<{ name, pref, kana, codes, bounds, wards }> }}
+ *   kana: 読み（なければ空文字）、wards: 政令市全体の候補なら区の数（それ以外は 0）
+ */
+export function createMunicipalitySearch(records) {
+    const entries = records.map(record => {
+        const ward = record.ward || '';
+        return {
+            name: record.full + ward,
+            pref: record.pref,
+            kana: record.kana || '',
+            codes: [record.code],
+            bounds: record.bounds,
+            wards: 0,
+            names: [record.full + ward, record.city + ward, ward, record.pref + record.full + ward].map(normalizeName),
+            romaji: record.kana ? kanaToRomaji(record.kana) : ''
+        };
+    });
+
+    // 政令市全体の候補（区のあるレコードを都道府県+市名でまとめる）
+    const cities = new Map();
+    records.filter(record => record.ward).forEach(record => {
+        const key = record.pref + record.full;
+        if (!cities.has(key)) cities.set(key, []);
+        cities.get(key).push(record);
+    });
+    cities.forEach(group => {
+        const [first] = group;
+        entries.push({
+            name: first.full,
+            pref: first.pref,
+            kana: first.cityKana || '',
+            codes: group.map(record => record.code),
+            bounds: unionBounds(group.map(record => record.bounds)),
+            wards: group.length,
+            names: [first.full, first.city, first.pref + first.full].map(normalizeName),
+            romaji: kanaToRomaji(first.cityKana || commonPrefix(group.map(record => record.kana || '')))
+        });
+    });
+
+    /**
+     * 入力に近い候補を順位順に返す
+     */
+    const search = (query, limit = 10) => {
+        const byReading = isKana(query) || isRomaji(query);
+        const reading = isKana(query) ? kanaToRomaji(query) : isRomaji(query) ? normalizeRomaji(query) : '';
+        const name = normalizeName(query);
+        if (!name) return [];
+
+        const scored = [];
+        entries.forEach(entry => {
+            const scores = entry.names.map(key => scoreKey(key, name));
+            if (byReading && reading) scores.push(scoreKey(entry.romaji, reading));
+            const valid = scores.filter(score => score !== null);
+            if (valid.length > 0) scored.push({ entry, score: Math.min(...valid) });
+        });
+
+        // 同じ順位なら政令市全体を区より先に、次にコード順
+        return scored
+            .sort((a, b) => a.score - b.score
+                || Math.sign(b.entry.wards) - Math.sign(a.entry.wards)
+                || a.entry.codes[0].localeCompare(b.entry.codes[0]))
+            .slice(0, limit)
+            .map(({ entry }) => ({
+                name: entry.name, pref: entry.pref, kana: entry.kana, codes: entry.codes, bounds: entry.bounds, wards: entry.wards
+            }));
+    };
+
+    return { search };
+}
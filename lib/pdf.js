@@ -0,0 +1,66 @@
+// ==========================================
+// 画像1枚だけのPDFを作成
+// ==========================================
+//
+// 印刷用レイアウトを描画したキャンバスのJPEGを、用紙サイズの1ページに貼り付けます。
+
+const MM_TO_PT = 72 / 25.4;
+
+/**
+ * JPEGをページいっぱいに配置したPDFを作成
+ * @param {Uint8Array} jpegBytes JPEGデータ
+ * @param {number} imageWidth 画像の幅（ピクセル）
+ * @param {number} imageHeight 画像の高さ（ピクセル）
+ * @param {number} pageWidthMm 用紙の幅（mm）
+ * @param {number} pageHeightMm 用紙の高さ（mm）
+ * @returns {Blob}
+ */
+export function createImagePdf(jpegBytes, imageWidth, imageHeight, pageWidthMm, pageHeightMm) {
+    const pageWidth = (pageWidthMm * MM_TO_PT).toFixed(2);
+    const pageHeight = (pageHeightMm * MM_TO_PT).toFixed(2);
+    const content = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q`;
+
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+
+    const write = (data) => {
+        const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+    const beginObject = (id) => {
+        offsets[id] = length;
+        write(`${id} 0 obj\n`);
+    };
+
+    write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+
+    beginObject(1);
+    write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+
+    beginObject(2);
+    write('<< /Type /Pages /Kids [3 0 R] /Count 1 >>\nendobj\n');
+
+    beginObject(3);
+    write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+        '/Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>\nendobj\n');
+
+    beginObject(4);
+    write(`<< /Type /XObject /Subtype /Image /Width ${imageWidth} /Height ${imageHeight} ` +
+        `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpegBytes.length} >>\nstream\n`);
+    write(jpegBytes);
+    write('\nendstream\nendobj\n');
+
+    beginObject(5);
+    write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`);
+
+    // 相互参照表（各オブジェクトの位置は10桁固定）
+    const xrefOffset = length;
+    write(`xref\n0 ${offsets.length}\n0000000000 65535 f \n`);
+    offsets.slice(1).forEach(offset => write(`${String(offset).padStart(10, '0')} 00000 n \n`));
+    write(`trailer\n<< /Size ${offsets.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    return new Blob(chunks, { type: 'application/pdf' });
+}
@@ -0,0 +1,81 @@
+// ==========================================
+// 共有用リンク（パーマリンク）
+// ==========================================
+//
+// データソースURL・列ごとの色・表示範囲・表示モード・重なりの扱いをURLのハッシュに保存し、
+// リンクを開いた人が同じ地図を再現できるようにします。
+//
+// 例: #src=https%3A%2F%2F...&view=139.7%2C35.68%2C9&mode=category&colors=[["A","#ff0000"]]
+
+const HEX_COLOR_PATTERN = /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+
+/**
+ * 状態をハッシュ文字列にする
+ * @param {{ src?: string, colors?: Array<[string, string]>, view?: { center: [number, number], zoom: number }, mode?: string, value?: Object, overlap?: Object }} state
+ */
+export function encodePermalink(state) {
+    const params = new URLSearchParams();
+
+    if (state.src) params.set('src', state.src);
+    if (state.view) {
+        const [lng, lat] = state.view.center;
+        params.set('view', [lng.toFixed(4), lat.toFixed(4), state.view.zoom.toFixed(2)].join(','));
+    }
+    if (state.mode) params.set('mode', state.mode);
+    if (state.colors && state.colors.length > 0) params.set('colors', JSON.stringify(state.colors));
+    if (state.value) params.set('value', JSON.stringify(state.value));
+    if (state.overlap) params.set('overlap', JSON.stringify(state.overlap));
+
+    return '#' + params.toString();
+}
+
+/**
+ * ハッシュ文字列から状態を復元（共有リンクでなければ null）
+ * 壊れた項目は無視して、読める項目だけを返す
+ */
+export function decodePermalink(hash) {
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    if (!['src', 'view', 'mode', 'colors', 'value', 'overlap'].some(key => params.has(key))) return null;
+
+    const state = {};
+
+    if (params.get('src')) state.src = params.get('src');
+
+    const view = (params.get('view') || '').split(',').map(Number);
+    if (view.length === 3 && view.every(Number.isFinite)) {
+        state.view = { center: [view[0], view[1]], zoom: view[2] };
+    }
+
+    if (params.get('mode')) state.mode = params.get('mode');
+
+    const parseJson = (key) => {
+        try {
+            return JSON.parse(params.get(key));
+        } catch (e) {
+            console.warn(`共有リンクの ${key} を読み込めませんでした`, e);
+            return null;
+        }
+    };
+
+    if (params.has('colors')) {
+        const colors = parseJson('colors');
+        if (Array.isArray(colors)) {
+            // 色は #RRGGBB / #RGB だけ受け付ける（スタイルやHTMLに埋め込むため）
+            state.colors = colors.filter(entry =>
+                Array.isArray(entry) && entry.length === 2 && typeof entry[0] === 'string' && HEX_COLOR_PATTERN.test(entry[1])
+            );
+        }
+    }
+
+    if (params.has('value')) {
+        const value = parseJson('value');
+        if (value && typeof value === 'object') state.value = value;
+    }
+
+    if (params.has('overlap')) {
+        const overlap = parseJson('overlap');
+        if (overlap && typeof overlap === 'object') state.overlap = overlap;
+    }
+
+    return state;
+}
@@ -0,0 +1,183 @@
+// ==========================================
+// 施設などの地点（緯度経度・住所）
+// ==========================================
+//
+// 市区町村ではなく施設を並べたシートを、行ごとの地点として地図に表示するための処理です。
+// 緯度・経度の列があればその位置に、なければ住所の列を市区町村に照合して、
+// search-data.json の市区町村の中心に置きます（住所から番地までの位置は求めない）。
+// 地点ごとに含まれる市区町村コードも求め、市区町村ごとの地点の件数として数値モードで塗れるようにします。
+
+import { feature } from 'topojson-client';
+import { parseNumber } from './classification';
+import { normalizeName } from './municipality-matcher';
+import { pointInGeometry } from './selection';
+
+// 数値モードの「数値の列」で地点の件数を選ぶときの値（シートの列名と区別する）
+export const POINT_COUNT_COLUMN = '__point_count__';
+
+// 見出しから列を推測するパターン（正規化・小文字化した見出しと比較）
+const LAT_PATTERN = /^(lat|latitude|y)$|緯度/;
+const LNG_PATTERN = /^(lng|lon|long|longitude|x)$|経度/;
+const ADDRESS_PATTERN = /住所|所在地|address/;
+
+// 日本周辺の範囲（緯度・経度の列を取り違えた値などを除く）
+const LAT_RANGE = [20, 46];
+const LNG_RANGE = [122, 154];
+
+const normalizeField = field => normalizeName(field).toLowerCase();
+
+/**
+ * 見出しから緯度・経度・住所の列を推測（見つからなければ空文字）
+ * @param {string[]} fields
+ * @returns {{ latColumn: string, lngColumn: string, addressColumn: string }}
+ */
+export function detectPointColumns(fields) {
+    const find = pattern => fields.find(field => pattern.test(normalizeField(field))) || '';
+    return {
+        latColumn: find(LAT_PATTERN),
+        lngColumn: find(LNG_PATTERN),
+        addressColumn: find(ADDRESS_PATTERN)
+    };
+}
+
+// 範囲内の数値なら値、それ以外は null
+function parseCoordinate(value, [min, max]) {
+    const number = parseNumber(value);
+    return number !== null && number >= min && number <= max ? number : null;
+}
+
+/**
+ * 住所を市区町村に照合
+ * 「市」「区」「町」「村」で終わる先頭部分を長い順に照合し、最初に1つに決まったものを使う
+ * 例: 「北海道札幌市中央区北1条西2丁目」→「北海道札幌市中央区」
+ * @param {string} address
+ * @param {(entry: string) => Object} resolve 市区町村名の解決（matcher.resolve の結果を返す）
+ * @returns {Object} resolve の結果（input は住所のまま）
+ */
+export function resolveAddress(address, resolve) {
+    const name = normalizeName(address);
+    const prefixes = [];
+    for (let i = name.length; i > 0; i--) {
+        if (i === name.length || /[市区町村]/.test(name[i - 1])) prefixes.push(name.slice(0, i));
+    }
+
+    let ambiguous = null;
+    for (const prefix of prefixes) {
+        const result = resolve(prefix);
+        if (result.status === 'matched') return { ...result, input: address };
+        if (result.status === 'ambiguous' && !ambiguous) ambiguous = { ...result, input: address };
+    }
+    return ambiguous || { input: address, status: 'unmatched', codes: [], candidates: [] };
+}
+
+/**
+ * 市区町村のTopoJSONから、位置を含む市区町村コードを求める関数を作成
+ * @param {Object} topology 市区町村のTopoJSON
+ * @returns {(point: [number, number]) => string | null}
+ */
+export function createMunicipalityLocator(topology) {
+    const object = topology.objects.municipalities || Object.values(topology.objects)[0];
+    const items = feature(topology, object).features
+        .filter(item => item.geometry && item.properties?.N03_007)
+        .map(item => {
+            const rings = item.geometry.type === 'Polygon' ? [item.geometry.coordinates[0]]
+                : item.geometry.coordinates.map(polygon => polygon[0]);
+            const points = rings.flat();
+            const xs = points.map(([x]) => x);
+            const ys = points.map(([, y]) => y);
+            return {
+                code: item.properties.N03_007,
+                geometry: item.geometry,
+                bounds: [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)]
+            };
+        });
+
+    return ([x, y]) => {
+        const found = items.find(({ bounds: [west, south, east, north], geometry }) =>
+            x >= west && x <= east && y >= south && y <= north && pointInGeometry([x, y], geometry)
+        );
+        return found ? found.code : null;
+    };
+}
+
+/**
+ * 行を地点にする
+ * @param {Array<Object>} rows シートの行
+ * @param {Object} options
+ * @param {string} options.latColumn 緯度の列
+ * @param {string} options.lngColumn 経度の列
+ * @param {string} options.addressColumn 住所の列
+ * @param {boolean} options.useAddress 緯度経度がない行を住所の市区町村の中心に置く
+ * @param {(row: Object) => string} options.addressOf 行の住所（都道府県の列での修飾など）
+ * @param {(entry: string) => Object} options.resolve 市区町村名の解決
+ * @param {(codes: string[]) => [number, number] | null} options.centerOf 市区町村の中心
+ * @param {((point: [number, number]) => string | null) | null} options.locate 位置を含む市区町村コード（なければ住所から求める）
+ * @returns {{ collection: Object, pointCodes: string[][], counts: { coordinates: number, address: number, skipped: number } }}
+ *   collection: GeoJSONのFeatureCollection（properties: row 行番号, source 'coordinates' | 'address'）
+ *   pointCodes: 地点ごとの市区町村コード（政令市の住所は区まで決まらなければすべての区。件数には含めない）
+ */
+export function buildPoints(rows, { latColumn, lngColumn, addressColumn, useAddress, addressOf, resolve, centerOf, locate }) {
+    const features = [];
+    const pointCodes = [];
+    const counts = { coordinates: 0, address: 0, skipped: 0 };
+
+    rows.forEach((row, index) => {
+        const address = addressColumn ? (row[addressColumn] || '').trim() : '';
+        const lat = latColumn ? parseCoordinate(row[latColumn], LAT_RANGE) : null;
+        const lng = lngColumn ? parseCoordinate(row[lngColumn], LNG_RANGE) : null;
+        const resolveCodes = () => {
+            const result = address ? resolveAddress(addressOf(row), resolve) : null;
+            return result?.status === 'matched' ? result.codes : [];
+        };
+
+        let coordinates = null;
+        let codes = [];
+        let source = 'coordinates';
+        if (lat !== null && lng !== null) {
+            coordinates = [lng, lat];
+            const code = locate ? locate(coordinates) : null;
+            codes = code ? [code] : resolveCodes();
+        } else if (useAddress && address) {
+            codes = resolveCodes();
+            coordinates = codes.length > 0 ? centerOf(codes) : null;
+            source = 'address';
+        }
+
+        // 空行は数えない
+        if (!coordinates) {
+            if (address || row[latColumn] || row[lngColumn]) counts.skipped++;
+            return;
+        }
+
+        counts[source]++;
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates },
+            properties: { row: index, source }
+        });
+        pointCodes.push(codes);
+    });
+
+    return { collection: { type: 'FeatureCollection', features }, pointCodes, counts };
+}
+
+/**
+ * 市区町村（または集計単位）ごとの地点の件数
+ * 単位が1つに決まらない地点（区まで分からない政令市の住所を区ごとに数える場合など）は数えない
+ * @param {string[][]} pointCodes 地点ごとの市区町村コード
+ * @param {(code: string) => string[]} [unitsOf] 市区町村コード → 単位名（省略時は市区町村ごと）
+ * @returns {{ counts: Map<string, number>, ambiguous: number }} ambiguous: 数えなかった地点の数
+ */
+export function countPoints(pointCodes, unitsOf = code => [code]) {
+    const counts = new Map();
+    let ambiguous = 0;
+    pointCodes.forEach(codes => {
+        const units = new Set(codes.flatMap(unitsOf));
+        if (units.size > 1) {
+            ambiguous++;
+            return;
+        }
+        units.forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+    });
+    return { counts, ambiguous };
+}
@@ -0,0 +1,62 @@
+// ==========================================
+// ポップアップの内容
+// ==========================================
+//
+// シートの行データをポップアップに表示するためのHTMLを作ります。
+// セルの値はすべてエスケープし、http(s) のURLだけをリンクにします。
+//
+// テンプレートの例: "{{担当者}}（期限: {{期限}}）"
+//   {{列名}} はその列の値に置き換わる（存在しない列は空欄）
+
+const URL_PATTERN = /https?:\/\/[^\s<>"']+/g;
+
+/**
+ * HTMLに埋め込む文字列をエスケープ
+ */
+export function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/**
+ * 文字列をエスケープし、URLをリンクにする
+ */
+export function linkify(text) {
+    const value = String(text ?? '');
+    let html = '';
+    let last = 0;
+
+    for (const match of value.matchAll(URL_PATTERN)) {
+        const url = match[0];
+        html += escapeHtml(value.slice(last, match.index));
+        html += `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(url)}</a>`;
+        last = match.index + url.length;
+    }
+    return html + escapeHtml(value.slice(last));
+}
+
+/**
+ * テンプレートの {{列名}} を値に置き換えたHTML
+ * @param {string} template
+ * @param {Object<string, string>} fields 列名 → 値
+ */
+export function renderTemplate(template, fields) {
+    return String(template)
+        .split(/(\{\{[^{}]+\}\})/)
+        .map(part => {
+            const placeholder = part.match(/^\{\{\s*([^{}]+?)\s*\}\}$/);
+            return placeholder ? linkify(fields[placeholder[1]] ?? '') : escapeHtml(part);
+        })
+        .join('')
+        .replace(/\n/g, '<br>');
+}
+
+/**
+ * 列名と値の表
+ * @param {Array<[string, string]>} entries
+ */
+export function renderFieldTable(entries) {
+    const rows = entries.map(([key, value]) =>
+        `<tr><th>${escapeHtml(key)}</th><td>${linkify(value)}</td></tr>`
+    );
+    return `<table class="popup-fields">${rows.join('')}</table>`;
+}
@@ -0,0 +1,122 @@
+// ==========================================
+// プロジェクトの保存（IndexedDB）
+// ==========================================
+//
+// プロジェクトごとにデータソース・色・表示範囲・表示設定を保存します。
+// プロジェクトの形式:
+//   {
+//     id, name, updatedAt,
+//     source: { type: 'url', url } | { type: 'text', name, text, delimiter } | null,
+//     colors: [[ヘッダー名, 色]], view: { center, zoom },
+//     displayMode, valueSettings, legendSettings, overlapSettings, popupSettings, timeSeriesSettings,
+//     liveRefreshInterval, aggregationSettings, labelSettings, pointSettings, adjacencySettings,
+//     boundaryYear（null は最新の行政区域）
+//   }
+
+const DB_NAME = 'geojson-map';
+const DB_VERSION = 1;
+const STORE_NAME = 'projects';
+
+// 書き出しファイルの識別子
+const FILE_FORMAT = 'geojson-map-project';
+const FILE_VERSION = 1;
+
+let databasePromise = null;
+
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return databasePromise;
+}
+
+// オブジェクトストアへの1回の操作をPromiseにする
+async function withStore(mode, operation) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * 新しいプロジェクトIDを作成
+ */
+export function createProjectId() {
+    if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+    return Date.now().toString(36) + Math.random().toString(36).slice(2);
+}
+
+/**
+ * 保存済みプロジェクトの一覧（更新日時の新しい順）
+ */
+export async function listProjects() {
+    const projects = await withStore('readonly', store => store.getAll());
+    return projects.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * プロジェクトを取得（なければ undefined）
+ */
+export function getProject(id) {
+    return withStore('readonly', store => store.get(id));
+}
+
+/**
+ * プロジェクトを保存（更新日時を記録する）
+ */
+export async function saveProject(project) {
+    const saved = { ...project, updatedAt: Date.now() };
+    await withStore('readwrite', store => store.put(saved));
+    return saved;
+}
+
+/**
+ * プロジェクトを削除
+ */
+export function deleteProject(id) {
+    return withStore('readwrite', store => store.delete(id));
+}
+
+/**
+ * 書き出し用のJSON文字列にする
+ */
+export function serializeProject(project) {
+    return JSON.stringify({ format: FILE_FORMAT, version: FILE_VERSION, project }, null, 2);
+}
+
+/**
+ * 書き出したJSONからプロジェクトを読み込む（IDは新しく振り直す）
+ */
+export function parseProjectFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('JSONとして読み込めません');
+    }
+
+    if (data?.format !== FILE_FORMAT || !data.project || typeof data.project !== 'object') {
+        throw new Error('プロジェクトファイルではありません');
+    }
+    if (data.version > FILE_VERSION) {
+        throw new Error('新しいバージョンで書き出されたファイルです');
+    }
+
+    return {
+        ...data.project,
+        id: createProjectId(),
+        name: String(data.project.name || '読み込んだプロジェクト'),
+        colors: Array.isArray(data.project.colors) ? data.project.colors : []
+    };
+}
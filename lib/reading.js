@@ -0,0 +1,116 @@
+// ==========================================
+// 読み（かな・ローマ字）
+// ==========================================
+//
+// 市区町村名を読みで検索するための変換です。
+// かなの読みとローマ字の入力は、どちらも「ゆるいローマ字」にそろえて比べます。
+//   ・ヘボン式と訓令式の違いを吸収（shi → si、chi → ti、tsu → tu、fu → hu、ji → zi など）
+//   ・長音は1文字にまとめる（とうきょう / tokyo / tōkyō → tokyo）
+
+// かな1文字のローマ字（訓令式）
+const KANA_ROMAJI = {
+    あ: 'a', い: 'i', う: 'u', え: 'e', お: 'o',
+    か: 'ka', き: 'ki', く: 'ku', け: 'ke', こ: 'ko',
+    さ: 'sa', し: 'si', す: 'su', せ: 'se', そ: 'so',
+    た: 'ta', ち: 'ti', つ: 'tu', て: 'te', と: 'to',
+    な: 'na', に: 'ni', ぬ: 'nu', ね: 'ne', の: 'no',
+    は: 'ha', ひ: 'hi', ふ: 'hu', へ: 'he', ほ: 'ho',
+    ま: 'ma', み: 'mi', む: 'mu', め: 'me', も: 'mo',
+    や: 'ya', ゆ: 'yu', よ: 'yo',
+    ら: 'ra', り: 'ri', る: 'ru', れ: 're', ろ: 'ro',
+    わ: 'wa', ゐ: 'i', ゑ: 'e', を: 'o', ん: 'n',
+    が: 'ga', ぎ: 'gi', ぐ: 'gu', げ: 'ge', ご: 'go',
+    ざ: 'za', じ: 'zi', ず: 'zu', ぜ: 'ze', ぞ: 'zo',
+    だ: 'da', ぢ: 'zi', づ: 'zu', で: 'de', ど: 'do',
+    ば: 'ba', び: 'bi', ぶ: 'bu', べ: 'be', ぼ: 'bo',
+    ぱ: 'pa', ぴ: 'pi', ぷ: 'pu', ぺ: 'pe', ぽ: 'po',
+    ゔ: 'vu', ぁ: 'a', ぃ: 'i', ぅ: 'u', ぇ: 'e', ぉ: 'o', ゎ: 'wa'
+};
+
+// 拗音（ゃ・ゅ・ょ）の母音
+const SMALL_Y = { ゃ: 'a', ゅ: 'u', ょ: 'o' };
+
+// ヘボン式などのつづりを訓令式にそろえる（長いものから順に置き換える）
+const ROMAJI_VARIANTS = [
+    [/tsu/g, 'tu'], [/shi/g, 'si'], [/chi/g, 'ti'], [/sh/g, 'sy'], [/ch/g, 'ty'],
+    [/fu/g, 'hu'], [/ji/g, 'zi'], [/j/g, 'zy'], [/di/g, 'zi'], [/du/g, 'zu'],
+    // 撥音の m（shimbashi）と、長音の h（ohta）
+    [/m(?=[bmp])/g, 'n'], [/oh(?=[^aiueoy]|$)/g, 'o']
+];
+
+/**
+ * カタカナ・半角カナをひらがなにする
+ */
+export function toHiragana(text) {
+    return String(text ?? '')
+        .normalize('NFKC')
+        .replace(/[ァ-ヶ]/g, char => String.fromCharCode(char.charCodeAt(0) - 0x60));
+}
+
+/**
+ * かなだけの文字列か（長音記号・中黒・空白を含んでもよい）
+ */
+export function isKana(text) {
+    return /^[ぁ-ゖァ-ヺー・\s]+$/.test(String(text ?? '').normalize('NFKC'));
+}
+
+/**
+ * ローマ字の入力らしい文字列か（長音記号付きの母音・アポストロフィ・ハイフンを含んでもよい）
+ */
+export function isRomaji(text) {
+    return /^[a-zāīūēôōâîûê'\-\s]+$/i.test(String(text ?? '').normalize('NFKC'));
+}
+
+// 長音をまとめる（ou → o、同じ母音の連続 → 1文字）
+function collapseLongVowels(romaji) {
+    return romaji.replace(/ou/g, 'o').replace(/([aiueo])\1+/g, '$1');
+}
+
+/**
+ * かなをゆるいローマ字にする
+ */
+export function kanaToRomaji(text) {
+    const kana = toHiragana(text).replace(/[・\s]/g, '');
+    let romaji = '';
+    let doubleNext = false;
+
+    for (let i = 0; i < kana.length; i++) {
+        const char = kana[i];
+        if (char === 'っ') {
+            doubleNext = true;
+            continue;
+        }
+        if (char === 'ー') {
+            romaji += romaji.slice(-1);
+            continue;
+        }
+
+        let syllable = KANA_ROMAJI[char] ?? '';
+        // きゃ → kya、しゃ → sya（訓令式なので子音 + y + 母音）
+        if (SMALL_Y[kana[i + 1]] && syllable.length > 1) {
+            syllable = syllable.slice(0, -1) + 'y' + SMALL_Y[kana[i + 1]];
+            i++;
+        }
+        if (doubleNext && syllable) {
+            syllable = syllable[0] + syllable;
+            doubleNext = false;
+        }
+        romaji += syllable;
+    }
+    return collapseLongVowels(romaji);
+}
+
+/**
+ * ローマ字の入力をゆるいローマ字にする
+ */
+export function normalizeRomaji(text) {
+    let romaji = String(text ?? '')
+        .normalize('NFKD')
+        .replace(/[̀-ͯ]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z]/g, '');
+    ROMAJI_VARIANTS.forEach(([pattern, replacement]) => {
+        romaji = romaji.replace(pattern, replacement);
+    });
+    return collapseLongVowels(romaji);
+}
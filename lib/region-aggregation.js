@@ -0,0 +1,129 @@
+// ==========================================
+// 都道府県・地域単位の集計
+// ==========================================
+//
+// 市区町村を都道府県や独自の地域（営業エリアなど）にまとめて塗るための処理です。
+// 集計単位ごとに含まれる市区町村コードを求め、シートのセル値（単位名 / 市区町村名）を単位に解決します。
+//
+// 地域の定義（1行に1地域）:
+//   関東: 東京都, 神奈川県, 千葉県
+//   札幌圏: 札幌市, 江別市, 北広島市
+// 「:」の前が地域名、後ろが都道府県名・市区町村名（「,」「、」区切り）
+
+import { mesh } from 'topojson-client';
+import { PREFECTURE_NAMES, normalizeName, resolvePrefecture } from './municipality-matcher';
+
+export const GRANULARITIES = {
+    municipality: '市区町村',
+    prefecture: '都道府県',
+    region: '地域（独自の定義）'
+};
+
+// 1つの単位に複数の行があるときの数値のまとめ方
+export const AGGREGATION_METHODS = {
+    sum: { label: '合計', aggregate: values => values.reduce((total, value) => total + value, 0) },
+    mean: { label: '平均', aggregate: values => values.reduce((total, value) => total + value, 0) / values.length },
+    max: { label: '最大', aggregate: values => Math.max(...values) },
+    min: { label: '最小', aggregate: values => Math.min(...values) },
+    count: { label: '件数', aggregate: values => values.length }
+};
+
+// 地方区分の初期値
+export const DEFAULT_REGION_DEFINITIONS = [
+    ['北海道', PREFECTURE_NAMES.slice(0, 1)],
+    ['東北', PREFECTURE_NAMES.slice(1, 7)],
+    ['関東', PREFECTURE_NAMES.slice(7, 14)],
+    ['中部', PREFECTURE_NAMES.slice(14, 23)],
+    ['近畿', PREFECTURE_NAMES.slice(23, 30)],
+    ['中国', PREFECTURE_NAMES.slice(30, 35)],
+    ['四国', PREFECTURE_NAMES.slice(35, 39)],
+    ['九州・沖縄', PREFECTURE_NAMES.slice(39)]
+].map(([name, members]) => `${name}: ${members.join(', ')}`).join('\n');
+
+/**
+ * 地域の定義を解析
+ * @returns {Array<{ name: string, members: string[] }>}
+ */
+export function parseRegionDefinitions(text) {
+    return String(text ?? '')
+        .split('\n')
+        .map(line => line.match(/^\s*([^:：]+?)\s*[:：](.*)$/))
+        .filter(Boolean)
+        .map(([, name, members]) => ({
+            name,
+            members: members.split(/[,、，]/).map(member => member.trim()).filter(Boolean)
+        }));
+}
+
+/**
+ * 集計単位ごとの市区町村コード
+ * @param {'prefecture' | 'region'} granularity
+ * @param {Array} records search-data.json のレコード
+ * @param {Array<{ name: string, members: string[] }>} regions 地域の定義（region のとき）
+ * @param {(member: string) => { codes: string[] }} resolveMunicipality 市区町村名の解決
+ * @returns {{ units: Map<string, string[]>, unresolved: string[] }} unresolved: 解決できなかった地域の構成要素
+ */
+export function buildAggregationUnits(granularity, records, regions, resolveMunicipality) {
+    const units = new Map();
+    const unresolved = [];
+    const codesOfPrefecture = pref => records.filter(record => record.pref === pref).map(record => record.code);
+
+    if (granularity === 'prefecture') {
+        PREFECTURE_NAMES.forEach(pref => units.set(pref, codesOfPrefecture(pref)));
+        return { units, unresolved };
+    }
+
+    regions.forEach(({ name, members }) => {
+        const codes = new Set(units.get(name) || []);
+        members.forEach(member => {
+            const pref = resolvePrefecture(member);
+            const memberCodes = pref ? codesOfPrefecture(pref) : resolveMunicipality(member).codes;
+            if (memberCodes.length === 0) unresolved.push(`${name}: ${member}`);
+            memberCodes.forEach(code => codes.add(code));
+        });
+        units.set(name, Array.from(codes));
+    });
+    return { units, unresolved };
+}
+
+/**
+ * 市区町村コード → 含まれる単位名（地域が重なっていれば複数）
+ */
+export function buildCodeUnits(units) {
+    const codeUnits = new Map();
+    units.forEach((codes, name) => {
+        codes.forEach(code => {
+            if (!codeUnits.has(code)) codeUnits.set(code, []);
+            codeUnits.get(code).push(name);
+        });
+    });
+    return codeUnits;
+}
+
+/**
+ * セル値が単位名ならその名前（都道府県は「東京」のような短縮名も可）
+ */
+export function findUnitName(units, value) {
+    const pref = resolvePrefecture(value);
+    if (pref && units.has(pref)) return pref;
+
+    const name = normalizeName(value);
+    return Array.from(units.keys()).find(unit => normalizeName(unit) === name) || null;
+}
+
+/**
+ * 地域の外周と、隣り合う地域との境界線（市区町村のTopoJSONから作成）
+ * @param {Object} topology 市区町村のTopoJSON
+ * @param {Map<string, string[]>} codeUnits 市区町村コード → 単位名
+ * @returns {Object} GeoJSONのMultiLineString
+ */
+export function buildRegionOutlines(topology, codeUnits) {
+    const object = topology.objects.municipalities || Object.values(topology.objects)[0];
+    const unitOf = geometry => codeUnits.get(geometry.properties?.N03_007)?.[0] || null;
+
+    // 両側の地域が異なる境界線と、地域の外周（海岸線など、片側にしか市区町村がない線）
+    return mesh(topology, object, (a, b) => {
+        const unitA = unitOf(a);
+        return a === b ? Boolean(unitA) : unitA !== unitOf(b);
+    });
+}
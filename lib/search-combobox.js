@@ -0,0 +1,157 @@
+// ==========================================
+// 検索候補のコンボボックス
+// ==========================================
+//
+// 入力欄と候補の一覧を WAI-ARIA のコンボボックス（リストボックス型）として動かします。
+//   ↑↓: 候補の移動 / Enter: 決定（未選択なら先頭） / Escape: 一覧を閉じる（閉じていれば入力を消す）
+// 候補の件数は status（aria-live）の要素で読み上げます。
+
+/**
+ * 文字列のうち入力と一致する部分を <mark> で囲んで追加（見つからなければそのまま）
+ */
+export function appendHighlighted(parent, text, query) {
+    const target = String(text).normalize('NFKC');
+    const needle = String(query).normalize('NFKC').replace(/\s+/g, '');
+    const index = needle ? target.indexOf(needle) : -1;
+    if (index < 0) {
+        parent.append(text);
+        return;
+    }
+
+    const mark = document.createElement('mark');
+    mark.textContent = target.slice(index, index + needle.length);
+    parent.append(target.slice(0, index), mark, target.slice(index + needle.length));
+}
+
+/**
+ * コンボボックスを作成
+ * @param {Object} options
+ * @param {HTMLInputElement} options.input 入力欄
+ * @param {HTMLElement} options.listbox 候補の一覧（id が必要）
+ * @param {HTMLElement} options.status 件数を読み上げる要素
+ * @param {(query: string) => Array} options.search 候補を返す
+ * @param {(result: Object, query: string) => Node} options.renderOption 候補の中身
+ * @param {(result: Object) => void} options.onSelect 候補を決定したとき
+ * @param {() => void} [options.onClear] 入力を空にしたとき
+ */
+export function createSearchCombobox({ input, listbox, status, search, renderOption, onSelect, onClear = () => {} }) {
+    let results = [];
+    let activeIndex = -1;
+
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-controls', listbox.id);
+    input.setAttribute('aria-expanded', 'false');
+    input.setAttribute('autocomplete', 'off');
+    listbox.setAttribute('role', 'listbox');
+    status.setAttribute('role', 'status');
+    status.setAttribute('aria-live', 'polite');
+
+    const optionId = index => `${listbox.id}-option-${index}`;
+
+    function close() {
+        results = [];
+        activeIndex = -1;
+        listbox.replaceChildren();
+        input.setAttribute('aria-expanded', 'false');
+        input.removeAttribute('aria-activedescendant');
+    }
+
+    function setActive(index) {
+        const previous = listbox.querySelector('[aria-selected="true"]');
+        previous?.setAttribute('aria-selected', 'false');
+
+        activeIndex = index;
+        if (index < 0) {
+            input.removeAttribute('aria-activedescendant');
+            return;
+        }
+        const option = document.getElementById(optionId(index));
+        option.setAttribute('aria-selected', 'true');
+        option.scrollIntoView({ block: 'nearest' });
+        input.setAttribute('aria-activedescendant', option.id);
+    }
+
+    function select(index) {
+        const result = results[index];
+        if (!result) return;
+        close();
+        onSelect(result);
+    }
+
+    function update() {
+        const query = input.value.trim();
+        if (!query) {
+            close();
+            status.textContent = '';
+            onClear();
+            return;
+        }
+
+        results = search(query);
+        activeIndex = -1;
+        input.removeAttribute('aria-activedescendant');
+
+        if (results.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'search-no-results';
+            empty.textContent = '該当する市区町村がありません';
+            // 読み上げは status で行う
+            empty.setAttribute('aria-hidden', 'true');
+            listbox.replaceChildren(empty);
+            input.setAttribute('aria-expanded', 'false');
+            status.textContent = '該当する市区町村がありません';
+            return;
+        }
+
+        listbox.replaceChildren(...results.map((result, index) => {
+            const option = document.createElement('div');
+            option.id = optionId(index);
+            option.className = 'search-result-item';
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', 'false');
+            option.appendChild(renderOption(result, query));
+            // フォーカスを入力欄に残したまま決定する
+            option.addEventListener('pointerdown', e => e.preventDefault());
+            option.addEventListener('click', () => select(index));
+            return option;
+        }));
+        input.setAttribute('aria-expanded', 'true');
+        status.textContent = `${results.length} 件の候補があります。上下キーで選んで Enter で決定します`;
+    }
+
+    input.addEventListener('input', update);
+    input.addEventListener('focus', () => {
+        if (input.value.trim() && results.length === 0) update();
+    });
+    input.addEventListener('keydown', (e) => {
+        // かな漢字変換中の Enter・矢印キーは変換の操作
+        if (e.isComposing) return;
+
+        const open = results.length > 0;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (!open) {
+                update();
+                return;
+            }
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            setActive((activeIndex + step + results.length + (activeIndex < 0 && step < 0 ? 1 : 0)) % results.length);
+        } else if (e.key === 'Enter' && open) {
+            e.preventDefault();
+            select(activeIndex >= 0 ? activeIndex : 0);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            if (open) {
+                close();
+            } else {
+                input.value = '';
+                update();
+            }
+        }
+    });
+    // 一覧の外にフォーカスが移ったら閉じる
+    input.addEventListener('blur', close);
+
+    return { close };
+}
@@ -0,0 +1,57 @@
+// ==========================================
+// 地図上での市区町村選択
+// ==========================================
+//
+// 範囲選択・投げ縄の当たり判定と、選択結果をCSV（1列 = 1カテゴリ）にする処理です。
+// 書き出したCSVは loadCSV / ファイル読み込みでそのまま読み戻せます。
+
+import Papa from 'papaparse';
+
+/**
+ * 点が多角形の内側にあるか（偶奇判定）
+ * @param {[number, number]} point
+ * @param {Array<[number, number]>} ring 閉じていなくてもよい
+ */
+export function pointInRing([x, y], ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * 点がGeoJSONのPolygon / MultiPolygonの内側にあるか（穴は除く）
+ */
+export function pointInGeometry(point, geometry) {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+        : geometry.type === 'MultiPolygon' ? geometry.coordinates
+            : [];
+
+    return polygons.some(([outer, ...holes]) =>
+        pointInRing(point, outer) && !holes.some(hole => pointInRing(point, hole))
+    );
+}
+
+/**
+ * カテゴリごとの市区町村リストをCSV文字列にする
+ * 1行目に各カテゴリの色を入れておくと、読み込み時にその色が使われる
+ * @param {Map<string, Iterable<string>>} categories ヘッダー名 → 市区町村名（またはコード）
+ * @param {Map<string, string>} [colors] ヘッダー名 → 色
+ */
+export function buildCategoryCsv(categories, colors = new Map()) {
+    const fields = Array.from(categories.keys());
+    const columns = fields.map(field => [
+        ...(colors.has(field) ? [colors.get(field)] : []),
+        ...categories.get(field)
+    ]);
+
+    const rowCount = Math.max(0, ...columns.map(column => column.length));
+    const data = Array.from({ length: rowCount }, (_, i) => columns.map(column => column[i] ?? ''));
+
+    return Papa.unparse({ fields, data });
+}
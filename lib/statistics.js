@@ -0,0 +1,179 @@
+// ==========================================
+// カテゴリごとの統計
+// ==========================================
+//
+// 塗り分けのカテゴリ（数値モードでは階級）ごとに、市区町村数・都道府県・面積・人口と全国に占める割合を集計します。
+// 面積・人口は public/municipality-stats.json（npm run generate:stats で作成）を使い、なければ空欄にします。
+// このファイルがない場合、面積だけは市区町村の形状データ（TopoJSON）から計算できます。
+
+import Papa from 'papaparse';
+import { feature } from 'topojson-client';
+
+// 地球の半径（m、GRS80の長半径。scripts/generate-municipality-stats.cjs と同じ）
+const EARTH_RADIUS = 6378137;
+
+// 表の列（format: 表示用の書式）
+export const STATISTICS_COLUMNS = [
+    { key: 'label', label: 'カテゴリ' },
+    { key: 'count', label: '市区町村数', format: value => value.toLocaleString() },
+    { key: 'prefectureCount', label: '都道府県数', format: value => value.toLocaleString() },
+    { key: 'area', label: '面積 (km²)', format: value => value === null ? '–' : Math.round(value).toLocaleString() },
+    { key: 'areaShare', label: '面積の全国比', format: formatShare },
+    { key: 'population', label: '人口', format: value => value === null ? '–' : value.toLocaleString() },
+    { key: 'populationShare', label: '人口の全国比', format: formatShare }
+];
+
+function formatShare(value) {
+    return value === null ? '–' : `${(value * 100).toFixed(1)}%`;
+}
+
+// 値の合計（値のない市区町村は数えない。1つも値がなければ null）
+function sumValues(codes, valueOf) {
+    const values = codes.map(valueOf).filter(value => value !== null && value !== undefined);
+    return values.length > 0 ? values.reduce((total, value) => total + value, 0) : null;
+}
+
+/**
+ * 統計データ（municipality-stats.json）を読み込みやすい形にする
+ * @returns {{ source: string | null, area: Map<string, number>, population: Map<string, number> }}
+ */
+export function parseMunicipalityStats(json) {
+    const area = new Map();
+    const population = new Map();
+    Object.entries(json?.municipalities || {}).forEach(([code, [areaValue, populationValue]]) => {
+        if (areaValue !== null) area.set(code, areaValue);
+        if (populationValue !== null) population.set(code, populationValue);
+    });
+    return { source: json?.source || null, area, population };
+}
+
+// リングの面積（m²、球面上の近似）
+function ringArea(ring) {
+    const toRad = Math.PI / 180;
+    let total = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        const [lng1, lat1] = ring[i];
+        const [lng2, lat2] = ring[i + 1];
+        total += (lng2 - lng1) * toRad * (2 + Math.sin(lat1 * toRad) + Math.sin(lat2 * toRad));
+    }
+    return Math.abs(total * EARTH_RADIUS * EARTH_RADIUS / 2);
+}
+
+// ポリゴンの面積（外周から穴を引く）
+function polygonArea(rings) {
+    return rings.reduce((area, ring, i) => area + (i === 0 ? 1 : -1) * ringArea(ring), 0);
+}
+
+/**
+ * 市区町村のTopoJSONから面積だけの統計データを作る（parseMunicipalityStats と同じ形、人口はなし）
+ */
+export function computeAreaStats(topology) {
+    const object = topology.objects.municipalities || Object.values(topology.objects)[0];
+    const area = new Map();
+    feature(topology, object).features.forEach(({ properties, geometry }) => {
+        const code = properties?.N03_007;
+        if (!code || !geometry) return;
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+        const value = polygons.reduce((total, rings) => total + polygonArea(rings), 0);
+        // km²、小数第2位まで（generate:stats と同じ）
+        area.set(code, (area.get(code) || 0) + Math.round(value / 1e4) / 100);
+    });
+    return { source: null, area, population: new Map() };
+}
+
+/**
+ * カテゴリごとの統計
+ * @param {Array<{ label: string, color: string, codes: string[] }>} groups カテゴリと市区町村コード
+ * @param {Array} records search-data.json のレコード
+ * @param {ReturnType<typeof parseMunicipalityStats> | null} stats 面積・人口（なければ null）
+ * @returns {Array<Object>} STATISTICS_COLUMNS のキーと color, prefectures（都道府県名の配列）
+ */
+export function buildStatistics(groups, records, stats) {
+    const prefOf = new Map(records.map(record => [record.code, record.pref]));
+    const areaOf = code => stats?.area.get(code);
+    const populationOf = code => stats?.population.get(code);
+    const totalArea = stats ? sumValues(records.map(record => record.code), areaOf) : null;
+    const totalPopulation = stats ? sumValues(records.map(record => record.code), populationOf) : null;
+
+    return groups.map(({ label, color, codes }) => {
+        const prefectures = Array.from(new Set(codes.map(code => prefOf.get(code)).filter(Boolean)));
+        const area = sumValues(codes, areaOf);
+        const population = sumValues(codes, populationOf);
+        return {
+            label,
+            color,
+            count: codes.length,
+            prefectures,
+            prefectureCount: prefectures.length,
+            area,
+            areaShare: area !== null && totalArea ? area / totalArea : null,
+            population,
+            populationShare: population !== null && totalPopulation ? population / totalPopulation : null
+        };
+    });
+}
+
+/**
+ * 列で並べ替え（値のないものは常に後ろ）
+ * @param {{ key: string, direction: 'asc' | 'desc' }} sort
+ */
+export function sortStatistics(rows, { key, direction }) {
+    const sign = direction === 'asc' ? 1 : -1;
+    return [...rows].sort((a, b) => {
+        if (a[key] === null || b[key] === null) return (a[key] === null) - (b[key] === null);
+        return sign * (typeof a[key] === 'string' ? a[key].localeCompare(b[key], 'ja') : a[key] - b[key]);
+    });
+}
+
+/**
+ * 統計をCSV文字列にする（都道府県名は「・」区切り、割合は%）
+ */
+export function buildStatisticsCsv(rows) {
+    const columns = [...STATISTICS_COLUMNS.map(column => column.label), '都道府県'];
+    const shareOf = value => value === null ? '' : (value * 100).toFixed(2);
+    return Papa.unparse({
+        fields: columns,
+        data: rows.map(row => [
+            row.label, row.count, row.prefectureCount, row.area ?? '', shareOf(row.areaShare),
+            row.population ?? '', shareOf(row.populationShare), row.prefectures.join('・')
+        ])
+    });
+}
+
+/**
+ * 統計の表を描画（見出しをクリックすると onSort(key) で並べ替え）
+ */
+export function renderStatisticsTable(container, rows, sort, onSort) {
+    container.innerHTML = '';
+    if (rows.length === 0) return;
+
+    const table = document.createElement('table');
+    table.className = 'statistics-table';
+
+    const headRow = table.createTHead().insertRow();
+    STATISTICS_COLUMNS.forEach(({ key, label }) => {
+        const th = document.createElement('th');
+        th.textContent = label + (sort.key === key ? (sort.direction === 'asc' ? ' ▲' : ' ▼') : '');
+        th.addEventListener('click', () => onSort(key));
+        headRow.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    sortStatistics(rows, sort).forEach(row => {
+        const tr = body.insertRow();
+        STATISTICS_COLUMNS.forEach(({ key, format }) => {
+            const td = tr.insertCell();
+            if (key === 'label') {
+                const swatch = document.createElement('span');
+                swatch.className = 'statistics-swatch';
+                swatch.style.background = row.color;
+                td.append(swatch, row.label);
+            } else {
+                td.textContent = format(row[key]);
+            }
+            if (key === 'prefectureCount') td.title = row.prefectures.join('、');
+        });
+    });
+
+    container.appendChild(table);
+}
@@ -0,0 +1,177 @@
+// ==========================================
+// 市区町村タイルから形状データを作成
+// ==========================================
+//
+// 市区町村のTopoJSON（public/municipalities-topo.json）がない場合に、地図に表示している
+// 市区町村のPMTilesから、同じ属性（N03_001〜N03_007）を持つTopoJSONを作ります。
+// 1つのズームレベルのタイルをすべて読み、タイルの範囲で切り取った形状を市区町村コードごとに結合します。
+// 精度はそのズームのタイルと同じで、タイルの境目で形状がわずかにずれると、結合した輪郭に境目の線が残ります。
+
+import { VectorTile, classifyRings } from '@mapbox/vector-tile';
+import { PbfReader } from 'pbf';
+import { topology } from 'topojson-server';
+import { mergeArcs } from 'topojson-client';
+
+// 形状を読むズームレベル（低いズームのタイルは小さな市区町村が省かれることがある）
+export const TILE_GEOMETRY_ZOOM = 8;
+
+// 同時に取得するタイルの数
+const CONCURRENCY = 8;
+
+const OBJECT_NAME = 'municipalities';
+const PROPERTY_KEYS = ['N03_001', 'N03_003', 'N03_004', 'N03_005', 'N03_007'];
+
+/**
+ * リングを 0〜extent の正方形で切り取る（Sutherland–Hodgman）
+ * 境界との交点は整数に丸める（隣のタイルの同じ線と交点がそろうよう、線の向きによらず同じ計算をする）
+ * @param {Array<{ x: number, y: number }>} ring 閉じたリング（最初と最後が同じ点）
+ * @returns {Array<{ x: number, y: number }>} 閉じたリング（切り取った結果がなければ空）
+ */
+export function clipRing(ring, extent) {
+    const edges = [
+        { axis: 'x', value: 0, inside: p => p.x >= 0 },
+        { axis: 'x', value: extent, inside: p => p.x <= extent },
+        { axis: 'y', value: 0, inside: p => p.y >= 0 },
+        { axis: 'y', value: extent, inside: p => p.y <= extent }
+    ];
+    const intersect = (a, b, { axis, value }) => {
+        const [p, q] = a.x < b.x || (a.x === b.x && a.y < b.y) ? [a, b] : [b, a];
+        const other = axis === 'x' ? 'y' : 'x';
+        const t = (value - p[axis]) / (q[axis] - p[axis]);
+        return { [axis]: value, [other]: Math.round(p[other] + (q[other] - p[other]) * t) };
+    };
+
+    let points = ring.slice(0, -1);
+    edges.forEach(edge => {
+        if (points.length === 0) return;
+        const output = [];
+        points.forEach((current, i) => {
+            const previous = points[(i + points.length - 1) % points.length];
+            if (edge.inside(current)) {
+                if (!edge.inside(previous)) output.push(intersect(previous, current, edge));
+                output.push(current);
+            } else if (edge.inside(previous)) {
+                output.push(intersect(previous, current, edge));
+            }
+        });
+        points = output;
+    });
+
+    return points.length >= 3 ? [...points, points[0]] : [];
+}
+
+// タイル内の座標を経度・緯度にする（タイルの境目で同じ値になるよう、全体のピクセル座標から計算）
+function toLngLat(point, z, x, y, extent) {
+    const size = extent * 2 ** z;
+    const lng = ((x * extent + point.x) / size) * 360 - 180;
+    const lat = Math.atan(Math.sinh(Math.PI * (1 - (2 * (y * extent + point.y)) / size))) * 180 / Math.PI;
+    return [lng, lat];
+}
+
+// 経度・緯度の範囲に含まれるタイルの番号
+function tileRange(header, z) {
+    const n = 2 ** z;
+    const clamp = value => Math.min(n - 1, Math.max(0, Math.floor(value)));
+    const tileX = lng => clamp(((lng + 180) / 360) * n);
+    const tileY = lat => {
+        const rad = (lat * Math.PI) / 180;
+        return clamp(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * n);
+    };
+    const tiles = [];
+    for (let x = tileX(header.minLon); x <= tileX(header.maxLon); x++) {
+        for (let y = tileY(header.maxLat); y <= tileY(header.minLat); y++) {
+            tiles.push([x, y]);
+        }
+    }
+    return tiles;
+}
+
+/**
+ * ベクトルタイル1枚から、市区町村ごとの形状（タイルの範囲で切り取ったもの）を取り出す
+ * @returns {Array<{ properties: Object, coordinates: Array }>} coordinates は MultiPolygon の座標
+ */
+export function readTilePieces(data, z, x, y, layerName = OBJECT_NAME) {
+    const layer = new VectorTile(new PbfReader(new Uint8Array(data))).layers[layerName];
+    if (!layer) return [];
+
+    const pieces = [];
+    for (let i = 0; i < layer.length; i++) {
+        const feature = layer.feature(i);
+        // 3 = Polygon
+        if (feature.type !== 3 || !feature.properties.N03_007) continue;
+
+        const rings = feature.loadGeometry()
+            .map(ring => clipRing(ring, layer.extent))
+            .filter(ring => ring.length >= 4);
+        const coordinates = classifyRings(rings)
+            .map(polygon => polygon.map(ring => ring.map(point => toLngLat(point, z, x, y, layer.extent))));
+        if (coordinates.length === 0) continue;
+
+        const properties = Object.fromEntries(PROPERTY_KEYS.map(key => [key, feature.properties[key] ?? '']));
+        pieces.push({ properties, coordinates });
+    }
+    return pieces;
+}
+
+/**
+ * タイルから取り出した形状を市区町村コードごとに結合したTopoJSONにする
+ * （オブジェクト名は municipalities、属性は N03_001〜N03_007）
+ */
+export function buildPiecesTopology(pieces) {
+    const pieceTopology = topology({
+        pieces: {
+            type: 'FeatureCollection',
+            features: pieces.map(({ properties, coordinates }) => ({
+                type: 'Feature',
+                properties,
+                geometry: { type: 'MultiPolygon', coordinates }
+            }))
+        }
+    }, 1e6);
+
+    const groups = new Map();
+    pieceTopology.objects.pieces.geometries.forEach(geometry => {
+        if (!geometry.arcs) return;
+        const code = geometry.properties.N03_007;
+        if (!groups.has(code)) groups.set(code, []);
+        groups.get(code).push(geometry);
+    });
+
+    const geometries = Array.from(groups.values(), group => ({
+        ...mergeArcs(pieceTopology, group),
+        properties: group[0].properties
+    })).filter(geometry => geometry.arcs.length > 0);
+
+    return {
+        type: 'Topology',
+        transform: pieceTopology.transform,
+        objects: { [OBJECT_NAME]: { type: 'GeometryCollection', geometries } },
+        arcs: pieceTopology.arcs
+    };
+}
+
+/**
+ * 市区町村タイルのPMTilesから、市区町村のTopoJSONを作る
+ * @param {import('pmtiles').PMTiles} pmtiles 市区町村タイル
+ * @param {{ zoom?: number, onProgress?: (done: number, total: number) => void }} options
+ */
+export async function buildTileTopology(pmtiles, { zoom = TILE_GEOMETRY_ZOOM, onProgress = () => {} } = {}) {
+    const header = await pmtiles.getHeader();
+    const z = Math.min(header.maxZoom, Math.max(header.minZoom, zoom));
+    const tiles = tileRange(header, z);
+
+    const pieces = [];
+    for (let start = 0; start < tiles.length; start += CONCURRENCY) {
+        const batch = tiles.slice(start, start + CONCURRENCY);
+        const responses = await Promise.all(batch.map(([x, y]) => pmtiles.getZxy(z, x, y)));
+        responses.forEach((response, i) => {
+            if (response) pieces.push(...readTilePieces(response.data, z, ...batch[i]));
+        });
+        onProgress(Math.min(start + CONCURRENCY, tiles.length), tiles.length);
+    }
+
+    if (pieces.length === 0) {
+        throw new Error('市区町村タイルから形状を読み取れませんでした');
+    }
+    return buildPiecesTopology(pieces);
+}
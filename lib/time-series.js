@@ -0,0 +1,57 @@
+// ==========================================
+// 時系列（日付の列）
+// ==========================================
+//
+// シートの日付の列から、アニメーションの各コマになる日付を取り出し、
+// コマごとに表示する行を絞り込みます。
+// 日付は「2024-04-01」「2024/4/1」「2024年4月1日」「2024-04」「2024年4月」「2024」の形式に対応し、
+// 並べ替えられるよう「2024-04-01」「2024-04」「2024」のキーにそろえます。
+
+const DATE_PATTERNS = [
+    /^(\d{4})[-/.](\d{1,2})(?:[-/.](\d{1,2}))?/,
+    /^(\d{4})年(?:(\d{1,2})月(?:(\d{1,2})日)?)?/
+];
+
+/**
+ * 日付の文字列を並べ替え用のキーにする（読めなければ null）
+ */
+export function parseDateKey(value) {
+    const text = String(value ?? '').normalize('NFKC').trim();
+
+    for (const pattern of DATE_PATTERNS) {
+        const match = text.match(pattern);
+        if (!match) continue;
+
+        const [, year, month, day] = match;
+        return [year, month, day]
+            .filter(Boolean)
+            .map((part, i) => (i === 0 ? part : part.padStart(2, '0')))
+            .join('-');
+    }
+
+    return /^\d{4}$/.test(text) ? text : null;
+}
+
+/**
+ * 日付の列から、コマになる日付のキーを古い順に取り出す
+ */
+export function buildDateFrames(rows, column) {
+    const keys = new Set();
+    rows.forEach(row => {
+        const key = parseDateKey(row[column]);
+        if (key) keys.add(key);
+    });
+    return Array.from(keys).sort();
+}
+
+/**
+ * コマの日付で行を絞り込む
+ * @param {boolean} cumulative true: その日付までの行すべて / false: その日付の行だけ
+ */
+export function filterRowsByDate(rows, column, frameKey, cumulative) {
+    return rows.filter(row => {
+        const key = parseDateKey(row[column]);
+        if (!key) return false;
+        return cumulative ? key <= frameKey : key === frameKey;
+    });
+}
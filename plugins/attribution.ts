@@ -0,0 +1,24 @@
+import type { Map } from 'maplibre-gl';
+
+/**
+ * マップの各ソースに設定された権利表示をテキストで取得
+ * （HTMLのリンクなどはタグを除いた文字列にする）
+ */
+export function getAttributionText(map: Map) {
+  const attributions = [];
+  const sources = map.getStyle()?.sources || {};
+
+  Object.keys(sources).forEach(id => {
+    const html = map.getSource(id)?.attribution;
+    if (!html) return;
+
+    const text = new DOMParser().parseFromString(html, 'text/html').body.textContent
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (text && !attributions.includes(text)) {
+      attributions.push(text);
+    }
+  });
+
+  return attributions.join(' | ');
+}
@@ -0,0 +1,139 @@
+/**
+ * 2つの地図を並べて比較する表示
+ *
+ * 比較用の地図（左側）を作成し、元の地図（右側）と表示範囲を同期します。
+ *   swipe: 2つの地図を重ね、境界線をドラッグして左右の見える範囲を変える
+ *   side:  2つの地図を左右に並べる
+ * options.createMap(container) で比較用の地図を作成する（スタイルやレイヤーは呼び出し側で用意）
+ * options.labels: [左の地図の名前, 右の地図の名前]（省略可）
+ */
+export class MapCompareView {
+  constructor(map, options) {
+    this._map = map;
+    this._mode = options.mode || 'swipe';
+    this._position = 0.5;
+
+    // 比較用の地図は元の地図と同じ位置に重ねる
+    const mapContainer = map.getContainer();
+    this._container = document.createElement('div');
+    this._container.className = 'compare-map';
+    mapContainer.parentNode.insertBefore(this._container, mapContainer.nextSibling);
+    this._compareMap = options.createMap(this._container);
+
+    // スワイプの境界線
+    this._handle = document.createElement('div');
+    this._handle.className = 'compare-swipe';
+    this._handle.title = 'ドラッグして比較する範囲を変更';
+    mapContainer.parentNode.insertBefore(this._handle, this._container.nextSibling);
+
+    // 各地図の名前
+    this._labels = (options.labels || []).map((text, i) => {
+      const label = document.createElement('div');
+      label.className = `compare-label compare-label-${i === 0 ? 'left' : 'right'}`;
+      label.textContent = text;
+      (i === 0 ? this._container : mapContainer).appendChild(label);
+      return label;
+    });
+
+    this._syncing = false;
+    this._onMainMove = () => this._sync(this._map, this._compareMap);
+    this._onCompareMove = () => this._sync(this._compareMap, this._map);
+    this._onPointerDown = this._onPointerDown.bind(this);
+    this._onPointerMove = this._onPointerMove.bind(this);
+    this._onPointerUp = this._onPointerUp.bind(this);
+    this._onResize = () => {
+      this._layout();
+      this._resize();
+    };
+
+    this._map.on('move', this._onMainMove);
+    this._compareMap.on('move', this._onCompareMove);
+    this._handle.addEventListener('pointerdown', this._onPointerDown);
+    window.addEventListener('resize', this._onResize);
+
+    this._sync(this._map, this._compareMap);
+    this._layout();
+    this._resize();
+  }
+
+  getCompareMap() {
+    return this._compareMap;
+  }
+
+  setMode(mode) {
+    this._mode = mode;
+    this._layout();
+    this._resize();
+  }
+
+  remove() {
+    this._map.off('move', this._onMainMove);
+    window.removeEventListener('resize', this._onResize);
+    this._onPointerUp();
+    this._compareMap.remove();
+    this._container.remove();
+    this._handle.remove();
+    this._labels.forEach(label => label.remove());
+
+    const mapContainer = this._map.getContainer();
+    mapContainer.style.marginLeft = '';
+    mapContainer.style.width = '';
+    this._map.resize();
+  }
+
+  // 動かした地図の表示範囲をもう一方に合わせる（合わせた側の move では何もしない）
+  _sync(from, to) {
+    if (this._syncing) return;
+    this._syncing = true;
+    to.jumpTo({
+      center: from.getCenter(),
+      zoom: from.getZoom(),
+      bearing: from.getBearing(),
+      pitch: from.getPitch()
+    });
+    this._syncing = false;
+  }
+
+  _resize() {
+    this._map.resize();
+    this._compareMap.resize();
+  }
+
+  _layout() {
+    const mapContainer = this._map.getContainer();
+    const side = this._mode === 'side';
+
+    // 左右に並べる場合は元の地図を右半分にする
+    mapContainer.style.marginLeft = side ? '50%' : '';
+    mapContainer.style.width = side ? '50%' : '';
+    this._container.style.width = side ? '50%' : '';
+    this._handle.hidden = side;
+
+    if (side) {
+      this._container.style.clipPath = '';
+    } else {
+      const { width } = mapContainer.getBoundingClientRect();
+      const x = Math.round(width * this._position);
+      // 比較用の地図は境界線より左だけを表示（見えない部分は操作も元の地図に届く）
+      this._container.style.clipPath = `inset(0 ${width - x}px 0 0)`;
+      this._handle.style.left = `${x}px`;
+    }
+  }
+
+  _onPointerDown(e) {
+    e.preventDefault();
+    window.addEventListener('pointermove', this._onPointerMove);
+    window.addEventListener('pointerup', this._onPointerUp);
+  }
+
+  _onPointerMove(e) {
+    const rect = this._map.getContainer().getBoundingClientRect();
+    this._position = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+    this._layout();
+  }
+
+  _onPointerUp() {
+    window.removeEventListener('pointermove', this._onPointerMove);
+    window.removeEventListener('pointerup', this._onPointerUp);
+  }
+}
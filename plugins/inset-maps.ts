@@ -0,0 +1,244 @@
+import maplibregl from 'maplibre-gl';
+import type { IControl } from 'maplibre-gl';
+
+// 差し込み枠で表示する地域（範囲は [[西, 南], [東, 北]]）
+export const INSET_REGIONS = {
+  okinawa: { label: '沖縄本島周辺', bounds: [[126.6, 25.9], [128.4, 27.1]] },
+  nansei: { label: '先島諸島', bounds: [[122.9, 24.0], [125.5, 25.0]] },
+  ogasawara: { label: '小笠原諸島', bounds: [[141.1, 24.2], [142.4, 27.8]] }
+};
+
+// 差し込み枠を使うときに本図で表示する範囲（九州〜北海道）
+const MAINLAND_BOUNDS = [[128.5, 30.0], [146.0, 45.6]];
+
+// 差し込み枠の大きさ（CSSピクセル）
+const FRAME_WIDTH = 180;
+const FRAME_HEIGHT = 130;
+const FRAME_GAP = 8;
+const FONT_FAMILY = '"Helvetica Neue", Arial, "Hiragino Kaku Gothic ProN", "Hiragino Sans", Meiryo, sans-serif';
+
+/**
+ * 離島の差し込み枠（インセット）で全国を表示するコントロール
+ *
+ * ボタンで「全国レイアウト」に切り替えると、本図を九州〜北海道に合わせ、
+ * 沖縄などを左下の枠の中に別の縮尺で表示します（枠の地図は操作できない）。
+ * 枠の地図は本図のスタイルを複製し、refresh() で本図の塗りや表示を反映します。
+ * 本図のスタイルを読み込み直したとき（style.load）は枠の地図を作り直します。
+ * options.insets: 表示する地域（INSET_REGIONS のキー）
+ * options.patterns: 実行時に追加した斜線パターンを返す関数（画像ID → { image, pixelRatio }）
+ * options.onChange(enabled): 切り替えたときに呼ばれる
+ */
+export class InsetMapsControl implements IControl {
+  constructor(options = {}) {
+    this._insets = options.insets || ['okinawa'];
+    this._patterns = options.patterns || (() => new Map());
+    this._onChange = options.onChange || (() => {});
+    this._enabled = false;
+    this._frames = [];
+  }
+
+  onAdd(map) {
+    this._map = map;
+    this._container = document.createElement('div');
+    this._container.className = 'maplibregl-ctrl maplibregl-ctrl-group';
+
+    this._button = document.createElement('button');
+    this._button.type = 'button';
+    this._button.title = '離島を差し込み枠で表示（全国レイアウト）';
+    this._button.innerHTML = '🗾';
+    this._button.style.fontSize = '18px';
+    this._button.style.cursor = 'pointer';
+    this._button.addEventListener('click', () => this.setEnabled(!this._enabled));
+
+    this._container.appendChild(this._button);
+
+    this._onStyleLoad = () => this.rebuild();
+    map.on('style.load', this._onStyleLoad);
+    return this._container;
+  }
+
+  onRemove() {
+    this._map.off('style.load', this._onStyleLoad);
+    this._removeFrames();
+    this._container.parentNode.removeChild(this._container);
+    this._map = undefined;
+  }
+
+  isEnabled() {
+    return this._enabled;
+  }
+
+  // 全国レイアウトの切り替え（本図のスタイルが読み込まれてから呼ぶ）
+  setEnabled(enabled) {
+    this._enabled = enabled;
+    this._button.classList.toggle('active', enabled);
+    this._removeFrames();
+
+    if (enabled) {
+      this._createFrames();
+      this._fitMainland();
+    }
+    this._onChange(enabled);
+  }
+
+  // 表示する地域を変更
+  setInsets(insets) {
+    this._insets = insets;
+    if (this._enabled) {
+      this._removeFrames();
+      this._createFrames();
+      this._fitMainland();
+    }
+  }
+
+  // 本図のスタイル・ソースを差し替えたあと（背景地図・年度の切り替えなど）、枠の地図を作り直す
+  rebuild() {
+    if (!this._enabled) return;
+    this._removeFrames();
+    this._createFrames();
+  }
+
+  // 本図の塗り・表示・GeoJSONのデータを枠の地図に反映
+  refresh() {
+    if (this._frames.length === 0) return;
+
+    const style = this._map.getStyle();
+    this._frames.forEach(({ map }) => {
+      if (!map.isStyleLoaded()) return;
+
+      style.layers.forEach(layer => {
+        if (!map.getLayer(layer.id)) return;
+        Object.entries(layer.paint || {}).forEach(([name, value]) => map.setPaintProperty(layer.id, name, value));
+        Object.entries(layer.layout || {}).forEach(([name, value]) => map.setLayoutProperty(layer.id, name, value));
+        map.setFilter(layer.id, layer.filter || null);
+      });
+
+      Object.entries(style.sources).forEach(([id, source]) => {
+        const target = map.getSource(id);
+        if (source.type === 'geojson' && target && target.serialize().data !== source.data) {
+          target.setData(source.data);
+        }
+      });
+    });
+  }
+
+  /**
+   * 画像の書き出し用に、枠の地図を本図と同じ位置（左下からの位置）に描画
+   * （ScreenShotControl・PrintLayoutControl から呼ばれる。LegendControl.drawToCanvas と同じ引数）
+   */
+  drawToCanvas(ctx, width, height, pixelRatio) {
+    this._frameBoxes(height / pixelRatio).forEach(({ map, label, ...box }) => {
+      const [x, y, w, h] = [box.x, box.y, box.width, box.height].map(value => value * pixelRatio);
+
+      ctx.fillStyle = '#fff';
+      ctx.fillRect(x, y, w, h);
+      ctx.drawImage(map.getCanvas(), x, y, w, h);
+
+      ctx.strokeStyle = '#333';
+      ctx.lineWidth = pixelRatio;
+      ctx.strokeRect(x, y, w, h);
+
+      const fontSize = 11 * pixelRatio;
+      ctx.font = `${fontSize}px ${FONT_FAMILY}`;
+      const padding = 3 * pixelRatio;
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+      ctx.fillRect(x, y, ctx.measureText(label).width + padding * 2, fontSize + padding * 2);
+      ctx.fillStyle = '#333';
+      ctx.textBaseline = 'top';
+      ctx.fillText(label, x + padding, y + padding);
+    });
+  }
+
+  /**
+   * SVG出力用に、枠の地図を画像として埋め込んだ要素を作成（LegendControl.toSVG と同じ引数）
+   */
+  toSVG(width, height) {
+    const escape = (text) => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+    const measureCtx = document.createElement('canvas').getContext('2d');
+    measureCtx.font = `11px ${FONT_FAMILY}`;
+
+    return this._frameBoxes(height).map(({ map, label, x, y, width: w, height: h }) => {
+      const labelWidth = measureCtx.measureText(label).width + 6;
+      return `<g transform="translate(${x} ${y})">` +
+        `<rect width="${w}" height="${h}" fill="#fff"/>` +
+        `<image href="${map.getCanvas().toDataURL('image/png')}" width="${w}" height="${h}"/>` +
+        `<rect width="${w}" height="${h}" fill="none" stroke="#333" stroke-width="1"/>` +
+        `<rect width="${labelWidth}" height="17" fill="rgba(255, 255, 255, 0.85)"/>` +
+        `<text x="3" y="3" style="font: 11px ${escape(FONT_FAMILY)}" fill="#333" dominant-baseline="hanging">${escape(label)}</text>` +
+        '</g>';
+    }).join('');
+  }
+
+  // 枠の位置と大きさ（CSSピクセル）。枠は左下に並ぶので、出力先の高さ height に対して左下からの位置を保つ
+  _frameBoxes(height) {
+    const containerRect = this._map.getContainer().getBoundingClientRect();
+    return this._frames.map(({ element, map, label }) => {
+      const rect = element.getBoundingClientRect();
+      return {
+        map,
+        label,
+        x: rect.left - containerRect.left,
+        y: height - (containerRect.bottom - rect.top),
+        width: rect.width,
+        height: rect.height
+      };
+    });
+  }
+
+  _createFrames() {
+    const mapContainer = this._map.getContainer();
+    this._frameContainer = document.createElement('div');
+    this._frameContainer.className = 'inset-frames';
+    this._frameContainer.style.gap = `${FRAME_GAP}px`;
+    mapContainer.appendChild(this._frameContainer);
+
+    const style = this._map.getStyle();
+    this._frames = this._insets.filter(key => INSET_REGIONS[key]).map(key => {
+      const { label, bounds } = INSET_REGIONS[key];
+
+      const element = document.createElement('div');
+      element.className = 'inset-frame';
+      element.style.width = `${FRAME_WIDTH}px`;
+      element.style.height = `${FRAME_HEIGHT}px`;
+
+      const labelElement = document.createElement('div');
+      labelElement.className = 'inset-frame-label';
+      labelElement.textContent = label;
+      element.appendChild(labelElement);
+      this._frameContainer.appendChild(element);
+
+      const map = new maplibregl.Map({
+        container: element,
+        style,
+        bounds,
+        fitBoundsOptions: { padding: 4 },
+        interactive: false,
+        attributionControl: false,
+        preserveDrawingBuffer: true  // 画像エクスポート用
+      });
+      map.on('styleimagemissing', (e) => {
+        const pattern = this._patterns().get(e.id);
+        if (pattern && !map.hasImage(e.id)) {
+          map.addImage(e.id, pattern.image, { pixelRatio: pattern.pixelRatio });
+        }
+      });
+
+      return { element, map, label };
+    });
+  }
+
+  _removeFrames() {
+    this._frames.forEach(({ map }) => map.remove());
+    this._frames = [];
+    this._frameContainer?.remove();
+    this._frameContainer = null;
+  }
+
+  // 本図を九州〜北海道に合わせる（左下の枠と重ならないよう左に余白をとる）
+  _fitMainland() {
+    this._map.fitBounds(MAINLAND_BOUNDS, {
+      padding: { top: 20, right: 20, bottom: 20, left: this._frames.length > 0 ? FRAME_WIDTH + 30 : 20 },
+      duration: 0
+    });
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * 地図上でラベルを編集するツール
+ *
+ * 有効にすると次の操作を受け付けます（ラベルのドラッグ中だけ地図の移動を止める）。
+ *   ラベルをドラッグ   onLabelMove(id, lngLat)  ドラッグ中、onLabelDrop(id, lngLat)  離したとき
+ *   地物をクリック     onFeatureClick(feature)  options.selectLayer の地物（ラベルを付ける市区町村の選択用）
+ * id はラベルの properties.id
+ */
+export class MapLabelEditor {
+  constructor(map, options) {
+    this._map = map;
+    this._labelLayers = options.labelLayers;
+    this._selectLayer = options.selectLayer;
+    this._onLabelMove = options.onLabelMove;
+    this._onLabelDrop = options.onLabelDrop;
+    this._onFeatureClick = options.onFeatureClick;
+
+    this._enabled = false;
+    this._drag = null;
+    this._justDropped = false;
+
+    this._onMouseDown = this._onMouseDown.bind(this);
+    this._onMouseMove = this._onMouseMove.bind(this);
+    this._onMouseUp = this._onMouseUp.bind(this);
+    this._onClick = this._onClick.bind(this);
+  }
+
+  isEnabled() {
+    return this._enabled;
+  }
+
+  enable() {
+    if (this._enabled) return;
+    this._enabled = true;
+
+    this._map.on('mousedown', this._onMouseDown);
+    this._map.on('mousemove', this._onMouseMove);
+    this._map.on('mouseup', this._onMouseUp);
+    this._map.on('click', this._onClick);
+  }
+
+  disable() {
+    if (!this._enabled) return;
+    this._enabled = false;
+
+    this._onMouseUp();
+    this._map.off('mousedown', this._onMouseDown);
+    this._map.off('mousemove', this._onMouseMove);
+    this._map.off('mouseup', this._onMouseUp);
+    this._map.off('click', this._onClick);
+    this._map.getCanvas().style.cursor = '';
+  }
+
+  // 位置にあるラベル（なければ null）
+  _labelAt(point) {
+    const layers = this._labelLayers.filter(id => this._map.getLayer(id));
+    return this._map.queryRenderedFeatures(point, { layers })[0] || null;
+  }
+
+  _onMouseDown(e) {
+    const label = this._labelAt(e.point);
+    if (!label) return;
+
+    e.preventDefault();
+    this._map.dragPan.disable();
+    this._drag = { id: label.properties.id, moved: false };
+  }
+
+  _onMouseMove(e) {
+    if (!this._drag) {
+      this._map.getCanvas().style.cursor = this._labelAt(e.point) ? 'move' : 'pointer';
+      return;
+    }
+
+    this._drag.moved = true;
+    this._drag.lngLat = e.lngLat;
+    this._onLabelMove(this._drag.id, e.lngLat);
+  }
+
+  _onMouseUp() {
+    if (!this._drag) return;
+
+    const { id, moved, lngLat } = this._drag;
+    this._map.dragPan.enable();
+    if (moved) {
+      this._onLabelDrop(id, lngLat);
+      // ドラッグの後に続く click では選択しない
+      this._justDropped = true;
+    }
+    this._drag = null;
+  }
+
+  _onClick(e) {
+    if (this._justDropped) {
+      this._justDropped = false;
+      return;
+    }
+    if (this._labelAt(e.point)) return;
+
+    const features = this._map.queryRenderedFeatures(e.point, { layers: [this._selectLayer] });
+    if (features.length > 0) {
+      this._onFeatureClick(features[0]);
+    }
+  }
+}
@@ -0,0 +1,363 @@
+import type { IControl } from 'maplibre-gl';
+
+// 凡例の見た目（画面表示と画像出力で共通）
+export const LEGEND_STYLES = {
+  light: { label: '白背景', background: 'rgba(255, 255, 255, 0.9)', color: '#333', subColor: '#888', border: '#ccc' },
+  dark: { label: '黒背景', background: 'rgba(40, 40, 40, 0.85)', color: '#fff', subColor: '#bbb', border: '#555' },
+  minimal: { label: '背景なし', background: 'transparent', color: '#333', subColor: '#666', border: 'transparent' }
+};
+
+export const LEGEND_POSITIONS = {
+  'top-left': '左上',
+  'top-right': '右上',
+  'bottom-left': '左下',
+  'bottom-right': '右下'
+};
+
+export const DEFAULT_LEGEND_OPTIONS = {
+  title: '',
+  showCounts: true,
+  position: 'bottom-left',
+  style: 'light',
+  visible: true
+};
+
+const FONT_FAMILY = '"Helvetica Neue", Arial, "Hiragino Kaku Gothic ProN", "Hiragino Sans", Meiryo, sans-serif';
+const FONT_SIZE = 12;
+const TITLE_FONT_SIZE = 13;
+const SWATCH_SIZE = 14;
+const ROW_HEIGHT = 20;
+const PADDING = 8;
+const MARGIN = 10;
+const GRADIENT_WIDTH = 160;
+const STRIPE_WIDTH = 3;
+
+// 複数の色の斜線（CSSの背景）
+function stripeGradient(colors) {
+  const stops = colors.map((color, i) => `${color} ${i * STRIPE_WIDTH}px ${(i + 1) * STRIPE_WIDTH}px`);
+  return `repeating-linear-gradient(-45deg, ${stops.join(', ')})`;
+}
+
+/**
+ * 凡例コントロール
+ *
+ * setLegend に次のいずれかを渡して表示します。
+ *   { type: 'items', items: [{ label, color, colors?, count? }] } カテゴリ・階級（colors があれば斜線）
+ *   { type: 'gradient', colors: [...], labels: [min, max] }      連続グラデーション
+ */
+export class LegendControl implements IControl {
+  constructor(options = {}) {
+    this._options = { ...DEFAULT_LEGEND_OPTIONS, ...options };
+    this._legend = { type: 'items', items: [] };
+  }
+
+  getDefaultPosition() {
+    return this._options.position;
+  }
+
+  onAdd(map) {
+    this._map = map;
+    this._container = document.createElement('div');
+    this._container.className = 'maplibregl-ctrl legend-control';
+    this._render();
+    return this._container;
+  }
+
+  onRemove() {
+    this._container.parentNode.removeChild(this._container);
+    this._map = undefined;
+  }
+
+  getOptions() {
+    return { ...this._options };
+  }
+
+  // 位置を変えた場合はコントロールを付け直す
+  setOptions(options) {
+    const previousPosition = this._options.position;
+    this._options = { ...this._options, ...options };
+
+    const map = this._map;
+    if (map && this._options.position !== previousPosition) {
+      map.removeControl(this);
+      map.addControl(this, this._options.position);
+    } else {
+      this._render();
+    }
+  }
+
+  setLegend(legend) {
+    this._legend = legend;
+    this._render();
+  }
+
+  _isEmpty() {
+    const legend = this._legend;
+    return legend.type === 'gradient' ? legend.colors.length === 0 : legend.items.length === 0;
+  }
+
+  _render() {
+    const container = this._container;
+    if (!container) return;
+
+    container.innerHTML = '';
+    const style = LEGEND_STYLES[this._options.style] || LEGEND_STYLES.light;
+    const hidden = !this._options.visible || this._isEmpty();
+
+    container.style.display = hidden ? 'none' : 'block';
+    container.style.background = style.background;
+    container.style.color = style.color;
+    container.style.border = `1px solid ${style.border}`;
+    container.style.borderRadius = '4px';
+    container.style.padding = `${PADDING}px`;
+    container.style.fontSize = `${FONT_SIZE}px`;
+    container.style.maxHeight = '50vh';
+    container.style.overflowY = 'auto';
+    if (hidden) return;
+
+    if (this._options.title) {
+      const title = document.createElement('div');
+      title.textContent = this._options.title;
+      title.style.fontWeight = 'bold';
+      title.style.fontSize = `${TITLE_FONT_SIZE}px`;
+      title.style.marginBottom = '4px';
+      container.appendChild(title);
+    }
+
+    if (this._legend.type === 'gradient') {
+      const bar = document.createElement('div');
+      bar.style.width = `${GRADIENT_WIDTH}px`;
+      bar.style.height = `${SWATCH_SIZE}px`;
+      bar.style.background = `linear-gradient(to right, ${this._legend.colors.join(', ')})`;
+      container.appendChild(bar);
+
+      const labels = document.createElement('div');
+      labels.style.display = 'flex';
+      labels.style.justifyContent = 'space-between';
+      labels.style.width = `${GRADIENT_WIDTH}px`;
+      this._legend.labels.forEach(text => {
+        const label = document.createElement('span');
+        label.textContent = text;
+        labels.appendChild(label);
+      });
+      container.appendChild(labels);
+      return;
+    }
+
+    this._legend.items.forEach(item => {
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.alignItems = 'center';
+      row.style.gap = '6px';
+      row.style.height = `${ROW_HEIGHT}px`;
+
+      const swatch = document.createElement('span');
+      swatch.style.width = `${SWATCH_SIZE}px`;
+      swatch.style.height = `${SWATCH_SIZE}px`;
+      swatch.style.background = item.colors ? stripeGradient(item.colors) : item.color;
+      swatch.style.border = '1px solid rgba(0, 0, 0, 0.2)';
+      swatch.style.flexShrink = '0';
+      row.appendChild(swatch);
+
+      const label = document.createElement('span');
+      label.textContent = item.label;
+      row.appendChild(label);
+
+      if (this._options.showCounts && item.count !== undefined) {
+        const count = document.createElement('span');
+        count.textContent = `(${item.count})`;
+        count.style.color = style.subColor;
+        row.appendChild(count);
+      }
+
+      container.appendChild(row);
+    });
+  }
+
+  /**
+   * 画像出力用の図形（矩形・グラデーション・文字）を求める
+   * 座標はすべて出力先の単位（scale倍したピクセル）
+   * @param measure 文字幅を測る関数 (text, font) => width
+   */
+  _buildShapes(measure, width, height, scale) {
+    if (!this._options.visible || this._isEmpty()) return [];
+
+    const style = LEGEND_STYLES[this._options.style] || LEGEND_STYLES.light;
+    const title = this._options.title;
+    const font = (size, bold = false) => `${bold ? 'bold ' : ''}${size * scale}px ${FONT_FAMILY}`;
+    const isGradient = this._legend.type === 'gradient';
+
+    // 凡例全体のサイズを計算
+    const rows = isGradient ? [] : this._legend.items.map(item => ({
+      color: item.color,
+      colors: item.colors,
+      text: this._options.showCounts && item.count !== undefined ? `${item.label} (${item.count})` : item.label
+    }));
+
+    let contentWidth = isGradient
+      ? GRADIENT_WIDTH * scale
+      : Math.max(0, ...rows.map(row => measure(row.text, font(FONT_SIZE)))) + (SWATCH_SIZE + 6) * scale;
+    let contentHeight = isGradient ? (SWATCH_SIZE + ROW_HEIGHT) * scale : rows.length * ROW_HEIGHT * scale;
+
+    if (title) {
+      contentWidth = Math.max(contentWidth, measure(title, font(TITLE_FONT_SIZE, true)));
+      contentHeight += (TITLE_FONT_SIZE + 6) * scale;
+    }
+
+    const boxWidth = contentWidth + PADDING * 2 * scale;
+    const boxHeight = contentHeight + PADDING * 2 * scale;
+    const position = this._options.position;
+    const x = position.endsWith('left') ? MARGIN * scale : width - boxWidth - MARGIN * scale;
+    // 下側は権利表示と重ならないよう少し上げる
+    const y = position.startsWith('top') ? MARGIN * scale : height - boxHeight - (MARGIN + 24) * scale;
+
+    const shapes = [];
+
+    // 背景
+    if (style.background !== 'transparent') {
+      shapes.push({ type: 'rect', x, y, width: boxWidth, height: boxHeight, fill: style.background, stroke: style.border, lineWidth: scale });
+    }
+
+    let cursorY = y + PADDING * scale;
+    const left = x + PADDING * scale;
+
+    if (title) {
+      shapes.push({ type: 'text', x: left, y: cursorY + (TITLE_FONT_SIZE / 2) * scale, text: title, font: font(TITLE_FONT_SIZE, true), fill: style.color, align: 'left' });
+      cursorY += (TITLE_FONT_SIZE + 6) * scale;
+    }
+
+    if (isGradient) {
+      shapes.push({ type: 'gradient', x: left, y: cursorY, width: GRADIENT_WIDTH * scale, height: SWATCH_SIZE * scale, colors: this._legend.colors });
+
+      const labels = this._legend.labels;
+      labels.forEach((text, i) => {
+        const ratio = labels.length === 1 ? 0 : i / (labels.length - 1);
+        shapes.push({
+          type: 'text',
+          x: left + GRADIENT_WIDTH * scale * ratio,
+          y: cursorY + (SWATCH_SIZE + ROW_HEIGHT / 2) * scale,
+          text,
+          font: font(FONT_SIZE),
+          fill: style.color,
+          align: ratio === 0 ? 'left' : ratio === 1 ? 'right' : 'center'
+        });
+      });
+      return shapes;
+    }
+
+    rows.forEach(row => {
+      const rowCenter = cursorY + (ROW_HEIGHT / 2) * scale;
+      shapes.push({
+        type: row.colors ? 'stripes' : 'rect',
+        colors: row.colors,
+        stripeWidth: STRIPE_WIDTH * scale,
+        x: left,
+        y: rowCenter - (SWATCH_SIZE / 2) * scale,
+        width: SWATCH_SIZE * scale,
+        height: SWATCH_SIZE * scale,
+        fill: row.color,
+        stroke: 'rgba(0, 0, 0, 0.2)',
+        lineWidth: scale
+      });
+      shapes.push({ type: 'text', x: left + (SWATCH_SIZE + 6) * scale, y: rowCenter, text: row.text, font: font(FONT_SIZE), fill: style.color, align: 'left' });
+      cursorY += ROW_HEIGHT * scale;
+    });
+
+    return shapes;
+  }
+
+  /**
+   * 画像出力用に凡例をキャンバスへ描画
+   * @param ctx 出力先キャンバスの2Dコンテキスト
+   * @param width キャンバス幅（デバイスピクセル）
+   * @param height キャンバス高さ（デバイスピクセル）
+   * @param scale CSSピクセル → デバイスピクセルの倍率
+   */
+  drawToCanvas(ctx, width, height, scale = 1) {
+    const measure = (text, font) => {
+      ctx.font = font;
+      return ctx.measureText(text).width;
+    };
+
+    ctx.save();
+    ctx.textBaseline = 'middle';
+    this._buildShapes(measure, width, height, scale).forEach(shape => {
+      if (shape.type === 'rect') {
+        ctx.fillStyle = shape.fill;
+        ctx.fillRect(shape.x, shape.y, shape.width, shape.height);
+        ctx.strokeStyle = shape.stroke;
+        ctx.lineWidth = shape.lineWidth;
+        ctx.strokeRect(shape.x, shape.y, shape.width, shape.height);
+      } else if (shape.type === 'stripes') {
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(shape.x, shape.y, shape.width, shape.height);
+        ctx.clip();
+        // 斜めの帯を色の順に並べる
+        for (let d = 0, i = 0; d < shape.width + shape.height; d += shape.stripeWidth, i++) {
+          ctx.fillStyle = shape.colors[i % shape.colors.length];
+          ctx.beginPath();
+          ctx.moveTo(shape.x + d, shape.y);
+          ctx.lineTo(shape.x + d + shape.stripeWidth, shape.y);
+          ctx.lineTo(shape.x + d + shape.stripeWidth - shape.height, shape.y + shape.height);
+          ctx.lineTo(shape.x + d - shape.height, shape.y + shape.height);
+          ctx.fill();
+        }
+        ctx.restore();
+        ctx.strokeStyle = shape.stroke;
+        ctx.lineWidth = shape.lineWidth;
+        ctx.strokeRect(shape.x, shape.y, shape.width, shape.height);
+      } else if (shape.type === 'gradient') {
+        const gradient = ctx.createLinearGradient(shape.x, 0, shape.x + shape.width, 0);
+        shape.colors.forEach((color, i) => gradient.addColorStop(shape.colors.length === 1 ? 0 : i / (shape.colors.length - 1), color));
+        ctx.fillStyle = gradient;
+        ctx.fillRect(shape.x, shape.y, shape.width, shape.height);
+      } else {
+        ctx.font = shape.font;
+        ctx.fillStyle = shape.fill;
+        ctx.textAlign = shape.align;
+        ctx.fillText(shape.text, shape.x, shape.y);
+      }
+    });
+    ctx.restore();
+  }
+
+  /**
+   * SVG出力用に凡例を <g> 要素の文字列にする
+   * @param width 出力範囲の幅（CSSピクセル）
+   * @param height 出力範囲の高さ（CSSピクセル）
+   */
+  toSVG(width, height) {
+    const measureCtx = document.createElement('canvas').getContext('2d');
+    const measure = (text, font) => {
+      measureCtx.font = font;
+      return measureCtx.measureText(text).width;
+    };
+    const escape = (text) => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+    const anchors = { left: 'start', center: 'middle', right: 'end' };
+
+    const elements = this._buildShapes(measure, width, height, 1).map((shape, i) => {
+      if (shape.type === 'rect') {
+        return `<rect x="${shape.x}" y="${shape.y}" width="${shape.width}" height="${shape.height}" fill="${shape.fill}" stroke="${shape.stroke}" stroke-width="${shape.lineWidth}"/>`;
+      }
+      if (shape.type === 'stripes') {
+        const id = `legend-stripes-${i}`;
+        const size = shape.stripeWidth * shape.colors.length;
+        const bands = shape.colors.map((color, j) =>
+          `<rect x="${j * shape.stripeWidth}" y="0" width="${shape.stripeWidth}" height="${size}" fill="${color}"/>`).join('');
+        return `<defs><pattern id="${id}" patternUnits="userSpaceOnUse" width="${size}" height="${size}" patternTransform="rotate(45)">${bands}</pattern></defs>` +
+          `<rect x="${shape.x}" y="${shape.y}" width="${shape.width}" height="${shape.height}" fill="url(#${id})" stroke="${shape.stroke}" stroke-width="${shape.lineWidth}"/>`;
+      }
+      if (shape.type === 'gradient') {
+        const id = `legend-gradient-${i}`;
+        const stops = shape.colors.map((color, j) =>
+          `<stop offset="${shape.colors.length === 1 ? 0 : j / (shape.colors.length - 1)}" stop-color="${color}"/>`).join('');
+        return `<defs><linearGradient id="${id}">${stops}</linearGradient></defs>` +
+          `<rect x="${shape.x}" y="${shape.y}" width="${shape.width}" height="${shape.height}" fill="url(#${id})"/>`;
+      }
+      return `<text x="${shape.x}" y="${shape.y}" style="font: ${escape(shape.font)}" fill="${shape.fill}" text-anchor="${anchors[shape.align]}" dominant-baseline="middle">${escape(shape.text)}</text>`;
+    });
+
+    return `<g class="legend">${elements.join('')}</g>`;
+  }
+}
@@ -0,0 +1,507 @@
+import maplibregl from 'maplibre-gl';
+import type { IControl } from 'maplibre-gl';
+
+import { getAttributionText } from './attribution';
+import { createImagePdf } from '../lib/pdf';
+import { createStripePatternSvg } from '../lib/fill-pattern';
+import { downloadBlob } from '../lib/download';
+
+// 用紙サイズ（縦向きの幅・高さ mm）
+export const PAPER_SIZES = {
+  A4: [210, 297],
+  A3: [297, 420]
+};
+
+// レイアウト計算の基準（CSSピクセル = 96dpi）
+const CSS_DPI = 96;
+// ブラウザ・WebGLで扱えるキャンバスの最大辺
+const MAX_CANVAS_SIZE = 8192;
+const FONT_FAMILY = '"Helvetica Neue", Arial, "Hiragino Kaku Gothic ProN", "Hiragino Sans", Meiryo, sans-serif';
+
+const mmToPx = (mm) => (mm / 25.4) * CSS_DPI;
+
+const escapeXml = (text) =>
+  String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+// 縮尺記号に使うきりのよい距離（m）
+function niceDistance(maxMeters) {
+  const exponent = Math.floor(Math.log10(maxMeters));
+  const base = Math.pow(10, exponent);
+  const step = [5, 2, 1].find(n => n * base <= maxMeters) || 1;
+  return step * base;
+}
+
+/**
+ * 印刷用レイアウトで出力するコントロール
+ *
+ * 用紙サイズ・解像度・タイトル・凡例・縮尺記号・方位記号・出典を指定し、
+ * 画面外に描画したマップから PNG / SVG / PDF を作成します。
+ * options.legend: 凡例（LegendControl）
+ * options.insets: 離島の差し込み枠（InsetMapsControl。全国レイアウトのときに描き込む）
+ * options.vectorLayers: SVG出力でベクター化するレイヤーID（描画順）
+ * options.patterns: 実行時に追加した斜線パターンを返す関数（画像ID → { colors, image, pixelRatio }）
+ */
+export class PrintLayoutControl implements IControl {
+  constructor(options = {}) {
+    this._legend = options.legend;
+    this._insets = options.insets;
+    this._vectorLayers = options.vectorLayers || [];
+    this._patterns = options.patterns || (() => new Map());
+    this._settings = {
+      paper: 'A4',
+      orientation: 'landscape',
+      dpi: 150,
+      title: '',
+      subtitle: '',
+      legend: true,
+      scaleBar: true,
+      northArrow: true,
+      credit: '',
+      format: 'png'
+    };
+  }
+
+  onAdd(map) {
+    this._map = map;
+    this._container = document.createElement('div');
+    this._container.className = 'maplibregl-ctrl maplibregl-ctrl-group';
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.title = '印刷用に出力';
+    button.innerHTML = '🖨';
+    button.style.fontSize = '18px';
+    button.style.cursor = 'pointer';
+
+    button.addEventListener('click', () => this._openDialog());
+
+    this._container.appendChild(button);
+    return this._container;
+  }
+
+  onRemove() {
+    this._container.parentNode.removeChild(this._container);
+    this._dialog?.remove();
+    this._map = undefined;
+  }
+
+  _openDialog() {
+    if (!this._dialog) {
+      this._dialog = this._createDialog();
+      document.body.appendChild(this._dialog);
+    }
+    this._dialog.querySelector('.print-layout-status').textContent = '';
+    this._dialog.showModal();
+  }
+
+  _createDialog() {
+    const dialog = document.createElement('dialog');
+    dialog.className = 'print-layout-dialog';
+    dialog.innerHTML = `
+      <form method="dialog">
+        <h2>印刷用に出力</h2>
+        <label>用紙 <select name="paper">${Object.keys(PAPER_SIZES).map(name => `<option value="${name}">${name}</option>`).join('')}</select></label>
+        <label>向き <select name="orientation"><option value="landscape">横</option><option value="portrait">縦</option></select></label>
+        <label>解像度 <select name="dpi"><option value="96">96 dpi</option><option value="150">150 dpi</option><option value="300">300 dpi</option></select></label>
+        <label>タイトル <input type="text" name="title"></label>
+        <label>サブタイトル <input type="text" name="subtitle"></label>
+        <label>出典 <input type="text" name="credit" placeholder="例: 自社調べ（2024年4月時点）"></label>
+        <label class="inline"><input type="checkbox" name="legend"> 凡例</label>
+        <label class="inline"><input type="checkbox" name="scaleBar"> 縮尺記号</label>
+        <label class="inline"><input type="checkbox" name="northArrow"> 方位記号</label>
+        <label>形式 <select name="format"><option value="png">PNG</option><option value="svg">SVG（ベクター）</option><option value="pdf">PDF</option></select></label>
+        <div class="print-layout-status" role="status"></div>
+        <div class="print-layout-buttons">
+          <button type="button" value="cancel">キャンセル</button>
+          <button type="submit" value="export">出力</button>
+        </div>
+      </form>
+    `;
+
+    const form = dialog.querySelector('form');
+    Object.entries(this._settings).forEach(([name, value]) => {
+      const input = form.elements[name];
+      if (input.type === 'checkbox') input.checked = value;
+      else input.value = value;
+    });
+
+    form.querySelector('button[value="cancel"]').addEventListener('click', () => dialog.close());
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const status = dialog.querySelector('.print-layout-status');
+      const submit = form.querySelector('button[type="submit"]');
+
+      this._settings = {
+        paper: form.elements.paper.value,
+        orientation: form.elements.orientation.value,
+        dpi: Number(form.elements.dpi.value),
+        title: form.elements.title.value.trim(),
+        subtitle: form.elements.subtitle.value.trim(),
+        legend: form.elements.legend.checked,
+        scaleBar: form.elements.scaleBar.checked,
+        northArrow: form.elements.northArrow.checked,
+        credit: form.elements.credit.value.trim(),
+        format: form.elements.format.value
+      };
+
+      try {
+        submit.disabled = true;
+        status.textContent = '出力中...';
+        const warning = await this._export(this._settings);
+        status.textContent = warning || '';
+        if (!warning) dialog.close();
+      } catch (error) {
+        console.error('出力エラー:', error);
+        status.textContent = 'エラー: ' + error.message;
+      } finally {
+        submit.disabled = false;
+      }
+    });
+
+    return dialog;
+  }
+
+  // 用紙上の配置（CSSピクセル）を計算
+  _computeLayout(settings) {
+    const [shortSide, longSide] = PAPER_SIZES[settings.paper];
+    const [widthMm, heightMm] = settings.orientation === 'portrait' ? [shortSide, longSide] : [longSide, shortSide];
+    const width = mmToPx(widthMm);
+    const height = mmToPx(heightMm);
+    const margin = mmToPx(10);
+
+    const titleHeight = settings.title ? 30 : 0;
+    const subtitleHeight = settings.subtitle ? 20 : 0;
+    const headerHeight = titleHeight + subtitleHeight + (titleHeight || subtitleHeight ? 8 : 0);
+    const footerHeight = 18;
+
+    return {
+      widthMm,
+      heightMm,
+      width,
+      height,
+      margin,
+      titleHeight,
+      frame: {
+        x: margin,
+        y: margin + headerHeight,
+        width: width - margin * 2,
+        height: height - margin * 2 - headerHeight - footerHeight
+      }
+    };
+  }
+
+  async _export(settings) {
+    const layout = this._computeLayout(settings);
+    const attribution = getAttributionText(this._map);
+
+    // キャンバスの上限を超えないよう倍率を抑える
+    let scale = settings.dpi / CSS_DPI;
+    let warning = '';
+    const maxScale = MAX_CANVAS_SIZE / Math.max(layout.width, layout.height);
+    if (settings.format !== 'svg' && scale > maxScale) {
+      scale = maxScale;
+      warning = `解像度が大きすぎるため ${Math.floor(scale * CSS_DPI)} dpi で出力しました`;
+    }
+
+    const { printMap, container } = await this._renderMap(
+      layout.frame.width, layout.frame.height, settings.format === 'svg' ? 1 : scale
+    );
+
+    try {
+      const shapes = this._buildLayoutShapes(layout, settings, printMap, attribution);
+      const fileName = `map-${new Date().toISOString().slice(0, 10)}`;
+
+      if (settings.format === 'svg') {
+        const svg = await this._buildSVG(layout, settings, printMap, shapes);
+        downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${fileName}.svg`);
+        return warning;
+      }
+
+      const canvas = this._drawCanvas(layout, settings, printMap, shapes, scale);
+      if (settings.format === 'pdf') {
+        const jpeg = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.92));
+        const bytes = new Uint8Array(await jpeg.arrayBuffer());
+        downloadBlob(createImagePdf(bytes, canvas.width, canvas.height, layout.widthMm, layout.heightMm), `${fileName}.pdf`);
+      } else {
+        const png = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        downloadBlob(png, `${fileName}.png`);
+      }
+      return warning;
+    } finally {
+      printMap.remove();
+      container.remove();
+    }
+  }
+
+  // 画面外に出力サイズのマップを作成し、タイルの読み込み完了を待つ
+  async _renderMap(width, height, pixelRatio) {
+    const container = document.createElement('div');
+    Object.assign(container.style, {
+      position: 'fixed',
+      left: '-100000px',
+      top: '0',
+      width: `${width}px`,
+      height: `${height}px`,
+      visibility: 'hidden'
+    });
+    document.body.appendChild(container);
+
+    const printMap = new maplibregl.Map({
+      container,
+      style: this._map.getStyle(),
+      bounds: this._map.getBounds(),
+      bearing: this._map.getBearing(),
+      pixelRatio,
+      preserveDrawingBuffer: true,
+      interactive: false,
+      attributionControl: false,
+      fadeDuration: 0
+    });
+
+    // addImage で追加した画像はスタイルに含まれないので、必要になったときに渡す
+    printMap.on('styleimagemissing', (e) => {
+      const pattern = this._patterns().get(e.id);
+      if (pattern && !printMap.hasImage(e.id)) {
+        printMap.addImage(e.id, pattern.image, { pixelRatio: pattern.pixelRatio });
+      }
+    });
+
+    await this._waitForIdle(printMap);
+    return { printMap, container };
+  }
+
+  // 描画完了（idle）を待つ。タイルが取れない場合に止まらないよう60秒で打ち切る
+  _waitForIdle(map) {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, 60000);
+      map.once('idle', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+    });
+  }
+
+  // タイトル・枠・縮尺記号・方位記号・出典の図形を作成（CSSピクセル）
+  _buildLayoutShapes(layout, settings, printMap, attribution) {
+    const { frame, margin } = layout;
+    const shapes = [];
+    const font = (size, bold = false) => `${bold ? 'bold ' : ''}${size}px ${FONT_FAMILY}`;
+
+    if (settings.title) {
+      shapes.push({ type: 'text', x: margin, y: margin + 15, text: settings.title, font: font(22, true), fill: '#222', align: 'left' });
+    }
+    if (settings.subtitle) {
+      shapes.push({ type: 'text', x: margin, y: margin + layout.titleHeight + 10, text: settings.subtitle, font: font(13), fill: '#555', align: 'left' });
+    }
+
+    // 地図の枠
+    shapes.push({ type: 'rect', x: frame.x, y: frame.y, width: frame.width, height: frame.height, fill: 'none', stroke: '#333', lineWidth: 1 });
+
+    // 縮尺記号（枠の右下、幅の1/5以内でキリのよい距離）
+    if (settings.scaleBar) {
+      const baseY = frame.y + frame.height - 20;
+      const right = frame.x + frame.width - 12;
+      const sampleWidth = 100;
+      const start = printMap.unproject([frame.width - 112, frame.height - 20]);
+      const end = printMap.unproject([frame.width - 12, frame.height - 20]);
+      const metersPerPixel = start.distanceTo(end) / sampleWidth;
+      const meters = niceDistance((frame.width / 5) * metersPerPixel);
+      const barWidth = meters / metersPerPixel;
+      const left = right - barWidth;
+      const label = meters >= 1000 ? `${meters / 1000} km` : `${meters} m`;
+
+      shapes.push({ type: 'rect', x: left - 6, y: baseY - 22, width: barWidth + 12, height: 30, fill: 'rgba(255, 255, 255, 0.8)', stroke: 'none', lineWidth: 0 });
+      shapes.push({ type: 'line', points: [[left, baseY - 5], [left, baseY], [right, baseY], [right, baseY - 5]], stroke: '#333', lineWidth: 2 });
+      shapes.push({ type: 'text', x: left + barWidth / 2, y: baseY - 12, text: label, font: font(11), fill: '#333', align: 'center' });
+    }
+
+    // 方位記号（枠の右上、地図の回転に合わせる）
+    if (settings.northArrow) {
+      const cx = frame.x + frame.width - 28;
+      const cy = frame.y + 34;
+      const angle = (-printMap.getBearing() * Math.PI) / 180;
+      const rotate = ([x, y]) => [
+        cx + x * Math.cos(angle) - y * Math.sin(angle),
+        cy + x * Math.sin(angle) + y * Math.cos(angle)
+      ];
+
+      shapes.push({ type: 'polygon', points: [[0, -18], [8, 10], [0, 5]].map(rotate), fill: '#333', stroke: '#333', lineWidth: 1 });
+      shapes.push({ type: 'polygon', points: [[0, -18], [-8, 10], [0, 5]].map(rotate), fill: '#fff', stroke: '#333', lineWidth: 1 });
+      const [nx, ny] = rotate([0, -26]);
+      shapes.push({ type: 'text', x: nx, y: ny, text: 'N', font: font(12, true), fill: '#333', align: 'center' });
+    }
+
+    // 出典・権利表示（枠の下）
+    const credits = [settings.credit && `出典: ${settings.credit}`, attribution && `地図: ${attribution}`].filter(Boolean);
+    if (credits.length > 0) {
+      shapes.push({ type: 'text', x: margin, y: frame.y + frame.height + 10, text: credits.join('　'), font: font(9), fill: '#555', align: 'left' });
+    }
+
+    return shapes;
+  }
+
+  // PNG / PDF 用にキャンバスへ描画
+  _drawCanvas(layout, settings, printMap, shapes, scale) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(layout.width * scale);
+    canvas.height = Math.round(layout.height * scale);
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    const { frame } = layout;
+    ctx.drawImage(printMap.getCanvas(), frame.x * scale, frame.y * scale, frame.width * scale, frame.height * scale);
+
+    if (this._insets?.isEnabled()) {
+      ctx.save();
+      ctx.translate(frame.x * scale, frame.y * scale);
+      this._insets.drawToCanvas(ctx, frame.width * scale, frame.height * scale, scale);
+      ctx.restore();
+    }
+
+    if (settings.legend && this._legend) {
+      ctx.save();
+      ctx.translate(frame.x * scale, frame.y * scale);
+      this._legend.drawToCanvas(ctx, frame.width * scale, frame.height * scale, scale);
+      ctx.restore();
+    }
+
+    ctx.save();
+    ctx.scale(scale, scale);
+    ctx.textBaseline = 'middle';
+    shapes.forEach(shape => {
+      ctx.lineWidth = shape.lineWidth || 0;
+      ctx.strokeStyle = shape.stroke;
+      ctx.fillStyle = shape.fill;
+
+      if (shape.type === 'rect') {
+        if (shape.fill !== 'none') ctx.fillRect(shape.x, shape.y, shape.width, shape.height);
+        if (shape.stroke !== 'none') ctx.strokeRect(shape.x, shape.y, shape.width, shape.height);
+      } else if (shape.type === 'line' || shape.type === 'polygon') {
+        ctx.beginPath();
+        shape.points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+        if (shape.type === 'polygon') {
+          ctx.closePath();
+          ctx.fill();
+        }
+        ctx.stroke();
+      } else if (shape.type === 'text') {
+        ctx.font = shape.font;
+        ctx.textAlign = shape.align;
+        ctx.fillText(shape.text, shape.x, shape.y);
+      }
+    });
+    ctx.restore();
+
+    return canvas;
+  }
+
+  // SVG を作成
+  // 塗り分け・境界線は queryRenderedFeatures で取得してベクターのパスにし、
+  // 背景地図だけを画像として埋め込む
+  async _buildSVG(layout, settings, printMap, shapes) {
+    const { frame } = layout;
+    const round = (n) => Math.round(n * 10) / 10;
+    const project = (coord) => {
+      const point = printMap.project(coord);
+      return `${round(point.x)} ${round(point.y)}`;
+    };
+    const ringsToPath = (rings, close) =>
+      rings.map(ring => 'M' + ring.map(project).join('L') + (close ? 'Z' : '')).join('');
+
+    const layers = this._vectorLayers.filter(id => printMap.getLayer(id));
+    const paths = [];
+    const patternDefs = new Map();
+
+    layers.forEach(id => {
+      printMap.queryRenderedFeatures({ layers: [id] }).forEach(feature => {
+        const { geometry } = feature;
+        const paint = feature.layer.paint || {};
+
+        if (feature.layer.type === 'fill') {
+          const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+            : geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+          const d = polygons.map(rings => ringsToPath(rings, true)).join('');
+          if (!d) return;
+          const opacity = paint['fill-opacity'] ?? 1;
+          const patternName = paint['fill-pattern'] ? String(paint['fill-pattern'].to ?? paint['fill-pattern']) : '';
+          const pattern = this._patterns().get(patternName);
+          if (pattern) {
+            // 斜線パターンはSVGの <pattern> にする
+            if (!patternDefs.has(patternName)) {
+              patternDefs.set(patternName, { id: `pattern-${patternDefs.size}`, colors: pattern.colors });
+            }
+            paths.push(`<path d="${d}" fill="url(#${patternDefs.get(patternName).id})" fill-opacity="${opacity}" fill-rule="evenodd"/>`);
+            return;
+          }
+          const color = String(paint['fill-color'] ?? '#000');
+          // タイル境界の継ぎ目が見えないよう同じ色で細く縁取る
+          paths.push(`<path d="${d}" fill="${color}" fill-opacity="${opacity}" fill-rule="evenodd" stroke="${color}" stroke-opacity="${opacity}" stroke-width="0.3"/>`);
+        } else if (feature.layer.type === 'line') {
+          const lines = geometry.type === 'LineString' ? [geometry.coordinates]
+            : geometry.type === 'MultiLineString' ? geometry.coordinates
+            : geometry.type === 'Polygon' ? geometry.coordinates
+            : geometry.type === 'MultiPolygon' ? geometry.coordinates.flat() : [];
+          const d = ringsToPath(lines, false);
+          if (!d) return;
+          paths.push(`<path d="${d}" fill="none" stroke="${String(paint['line-color'] ?? '#000')}" stroke-opacity="${paint['line-opacity'] ?? 1}" stroke-width="${paint['line-width'] ?? 1}" stroke-linejoin="round" stroke-linecap="round"/>`);
+        } else if (feature.layer.type === 'symbol' && geometry.type === 'Point') {
+          // 文字ラベルは縁取り付きの <text> にする（配置済みのラベルだけが取得される）
+          const layout = feature.layer.layout || {};
+          const field = layout['text-field'];
+          const text = typeof field === 'string' ? field
+            : field?.sections ? field.sections.map(section => section.text).join('')
+            : feature.properties.name;
+          if (!text) return;
+          const [x, y] = project(geometry.coordinates).split(' ');
+          const halo = paint['text-halo-width']
+            ? `stroke="${String(paint['text-halo-color'] ?? '#fff')}" stroke-width="${paint['text-halo-width'] * 2}" stroke-linejoin="round" paint-order="stroke"`
+            : '';
+          paths.push(`<text x="${x}" y="${y}" font-family="${escapeXml(FONT_FAMILY)}" font-size="${layout['text-size'] ?? 12}" fill="${String(paint['text-color'] ?? '#000')}" ${halo} text-anchor="middle" dominant-baseline="middle">${escapeXml(text)}</text>`);
+        }
+      });
+    });
+
+    // ベクター化したレイヤーを隠して背景地図だけを画像にする
+    layers.forEach(id => printMap.setLayoutProperty(id, 'visibility', 'none'));
+    const idle = this._waitForIdle(printMap);
+    printMap.triggerRepaint();
+    await idle;
+    const basemap = printMap.getCanvas().toDataURL('image/png');
+
+    const legend = settings.legend && this._legend ? this._legend.toSVG(frame.width, frame.height) : '';
+    const insets = this._insets?.isEnabled() ? this._insets.toSVG(frame.width, frame.height) : '';
+
+    const shapeElements = shapes.map(shape => {
+      const stroke = `stroke="${shape.stroke}" stroke-width="${shape.lineWidth || 0}"`;
+      if (shape.type === 'rect') {
+        return `<rect x="${shape.x}" y="${shape.y}" width="${shape.width}" height="${shape.height}" fill="${shape.fill}" ${stroke}/>`;
+      }
+      if (shape.type === 'line') {
+        return `<polyline points="${shape.points.map(p => p.join(',')).join(' ')}" fill="none" ${stroke}/>`;
+      }
+      if (shape.type === 'polygon') {
+        return `<polygon points="${shape.points.map(p => p.join(',')).join(' ')}" fill="${shape.fill}" ${stroke}/>`;
+      }
+      const anchor = { left: 'start', center: 'middle', right: 'end' }[shape.align];
+      return `<text x="${shape.x}" y="${shape.y}" style="font: ${escapeXml(shape.font)}" fill="${shape.fill}" text-anchor="${anchor}" dominant-baseline="middle">${escapeXml(shape.text)}</text>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${layout.widthMm}mm" height="${layout.heightMm}mm" viewBox="0 0 ${layout.width} ${layout.height}">
+<rect width="100%" height="100%" fill="#fff"/>
+<defs><clipPath id="map-frame"><rect x="0" y="0" width="${frame.width}" height="${frame.height}"/></clipPath>${Array.from(patternDefs.values(), ({ id, colors }) => createStripePatternSvg(id, colors)).join('')}</defs>
+<g transform="translate(${frame.x} ${frame.y})">
+<g clip-path="url(#map-frame)">
+<image href="${basemap}" x="0" y="0" width="${frame.width}" height="${frame.height}"/>
+${paths.join('\n')}
+${insets}
+</g>
+${legend}
+</g>
+${shapeElements.join('\n')}
+</svg>
+`;
+  }
+}
@@ -1,6 +1,15 @@
 import type { IControl } from 'maplibre-gl';
 
+import { getAttributionText } from './attribution';
+
 export class ScreenShotControl implements IControl {
+  // options.legend: 画像に描き込む凡例（LegendControl）
+  // options.insets: 画像に描き込む離島の差し込み枠（InsetMapsControl）
+  constructor(options = {}) {
+    this._legend = options.legend;
+    this._insets = options.insets;
+  }
+
   onAdd(map) {
     this._map = map;
     this._container = document.createElement('div');
@@ -25,6 +34,20 @@ export class ScreenShotControl implements IControl {
   }
 
   _exportMap() {
+    const exportCanvas = this.captureCanvas();
+
+    // ダウンロード
+    const link = document.createElement('a');
+    link.download = `map-${new Date().toISOString().slice(0, 10)}.png`;
+    link.href = exportCanvas.toDataURL('image/png');
+    link.click();
+  }
+
+  /**
+   * 現在の地図に凡例と権利表示を描き込んだキャンバスを作成
+   * （アニメーションの書き出しでも各コマの作成に使う）
+   */
+  captureCanvas() {
     const mapCanvas = this._map.getCanvas();
 
     // 新しいキャンバスを作成して権利表示を追加
@@ -36,8 +59,26 @@ export class ScreenShotControl implements IControl {
     // マップを描画
     ctx.drawImage(mapCanvas, 0, 0);
 
-    // 権利表示を追加
-    const attribution = '© OpenStreetMap contributors';
+    // 差し込み枠を描画
+    if (this._insets?.isEnabled()) {
+      this._insets.drawToCanvas(ctx, exportCanvas.width, exportCanvas.height, window.devicePixelRatio);
+    }
+
+    // 凡例を描画
+    if (this._legend) {
+      this._legend.drawToCanvas(ctx, exportCanvas.width, exportCanvas.height, window.devicePixelRatio);
+    }
+
+    // 権利表示を追加（各ソースの権利表示から作成）
+    const attribution = getAttributionText(this._map);
+    if (attribution) {
+      this._drawAttribution(ctx, exportCanvas, attribution);
+    }
+
+    return exportCanvas;
+  }
+
+  _drawAttribution(ctx, exportCanvas, attribution) {
     const padding = 8;
     const fontSize = 12 * window.devicePixelRatio;
 
@@ -53,11 +94,5 @@ export class ScreenShotControl implements IControl {
     // テキストを描画
     ctx.fillStyle = '#333';
     ctx.fillText(attribution, bgX + padding, exportCanvas.height - padding - 4);
-
-    // ダウンロード
-    const link = document.createElement('a');
-    link.download = `map-${new Date().toISOString().slice(0, 10)}.png`;
-    link.href = exportCanvas.toDataURL('image/png');
-    link.click();
   }
 }
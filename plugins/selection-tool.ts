@@ -0,0 +1,138 @@
+/**
+ * 地図上で市区町村を選択するツール
+ *
+ * 有効にすると次の操作を受け付けます（地図の移動やShiftドラッグのズームは編集中だけ止める）。
+ *   クリック              onFeatureClick(feature)   レイヤーの地物を1つ
+ *   Alt + クリック        onPointClick(lngLat)      都道府県単位の選択用
+ *   Shift + ドラッグ      onAreaSelect(ring)        四角形の範囲
+ *   投げ縄モードでドラッグ onAreaSelect(ring)        自由な形の範囲
+ * ring は地図コンテナ上のピクセル座標 [[x, y], ...]
+ */
+export class MapSelectionTool {
+  constructor(map, options) {
+    this._map = map;
+    this._layer = options.layer;
+    this._onFeatureClick = options.onFeatureClick;
+    this._onPointClick = options.onPointClick;
+    this._onAreaSelect = options.onAreaSelect;
+
+    this._enabled = false;
+    this._lasso = false;
+    this._drag = null;
+
+    this._onClick = this._onClick.bind(this);
+    this._onMouseDown = this._onMouseDown.bind(this);
+    this._onMouseMove = this._onMouseMove.bind(this);
+    this._onMouseUp = this._onMouseUp.bind(this);
+  }
+
+  isEnabled() {
+    return this._enabled;
+  }
+
+  enable() {
+    if (this._enabled) return;
+    this._enabled = true;
+
+    this._map.boxZoom.disable();
+    if (this._lasso) this._map.dragPan.disable();
+    this._map.on('click', this._onClick);
+    // 地図のドラッグ処理より先に受け取るためキャプチャで登録
+    this._map.getContainer().addEventListener('mousedown', this._onMouseDown, true);
+    this._map.getCanvas().style.cursor = 'crosshair';
+  }
+
+  disable() {
+    if (!this._enabled) return;
+    this._enabled = false;
+
+    this._finishDrag();
+    this._map.boxZoom.enable();
+    this._map.dragPan.enable();
+    this._map.off('click', this._onClick);
+    this._map.getContainer().removeEventListener('mousedown', this._onMouseDown, true);
+    this._map.getCanvas().style.cursor = '';
+  }
+
+  // 投げ縄モード（ドラッグで自由な形の範囲を選択。地図の移動はできなくなる）
+  setLasso(lasso) {
+    this._lasso = lasso;
+    if (!this._enabled) return;
+    if (lasso) {
+      this._map.dragPan.disable();
+    } else {
+      this._map.dragPan.enable();
+    }
+  }
+
+  _onClick(e) {
+    if (e.originalEvent.altKey) {
+      this._onPointClick(e.lngLat);
+      return;
+    }
+
+    const features = this._map.queryRenderedFeatures(e.point, { layers: [this._layer] });
+    if (features.length > 0) {
+      this._onFeatureClick(features[0]);
+    }
+  }
+
+  _onMouseDown(e) {
+    if (e.button !== 0 || !(e.shiftKey || this._lasso)) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    this._map.dragPan.disable();
+
+    // 選択範囲を表示するSVG
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.setAttribute('class', 'selection-tool-overlay');
+    const shape = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+    svg.appendChild(shape);
+    this._map.getContainer().appendChild(svg);
+
+    this._drag = { rectangle: !this._lasso, start: this._toPoint(e), points: [this._toPoint(e)], svg, shape };
+    window.addEventListener('mousemove', this._onMouseMove);
+    window.addEventListener('mouseup', this._onMouseUp);
+  }
+
+  _onMouseMove(e) {
+    const drag = this._drag;
+    const point = this._toPoint(e);
+
+    if (drag.rectangle) {
+      const [x0, y0] = drag.start;
+      const [x1, y1] = point;
+      drag.points = [[x0, y0], [x1, y0], [x1, y1], [x0, y1]];
+    } else {
+      drag.points.push(point);
+    }
+
+    drag.shape.setAttribute('points', drag.points.map(p => p.join(',')).join(' '));
+  }
+
+  _onMouseUp() {
+    const ring = this._drag.points;
+    this._finishDrag();
+
+    if (ring.length >= 3) {
+      this._onAreaSelect(ring);
+    }
+  }
+
+  _finishDrag() {
+    if (!this._drag) return;
+
+    this._drag.svg.remove();
+    this._drag = null;
+    window.removeEventListener('mousemove', this._onMouseMove);
+    window.removeEventListener('mouseup', this._onMouseUp);
+    if (!this._lasso) this._map.dragPan.enable();
+  }
+
+  // マウス位置を地図コンテナ上の座標にする
+  _toPoint(e) {
+    const rect = this._map.getContainer().getBoundingClientRect();
+    return [e.clientX - rect.left, e.clientY - rect.top];
+  }
+}
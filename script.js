@@ -1,15 +1,78 @@
 import maplibregl from 'maplibre-gl';
 import 'maplibre-gl/dist/maplibre-gl.css';
-import { Protocol, PMTiles } from 'pmtiles';
+import { Protocol, PMTiles, FileSource } from 'pmtiles';
 import Papa from 'papaparse';
 
 import { ScreenShotControl } from './plugins/screenshot';
+import { LegendControl, LEGEND_POSITIONS, LEGEND_STYLES, DEFAULT_LEGEND_OPTIONS } from './plugins/legend';
+import { PrintLayoutControl } from './plugins/print-layout';
+import { MapSelectionTool } from './plugins/selection-tool';
+import { MapCompareView } from './plugins/compare-view';
+import { InsetMapsControl, INSET_REGIONS } from './plugins/inset-maps';
+import { MapLabelEditor } from './plugins/label-editor';
+import { createMunicipalityMatcher, qualifyEntry, PREFECTURE_NAMES } from './lib/municipality-matcher';
+import { createMunicipalitySearch } from './lib/municipality-search';
+import { createSearchCombobox, appendHighlighted } from './lib/search-combobox';
+import { toHiragana } from './lib/reading';
+import { renderMatchReport, summarizeMatchResults } from './lib/match-report';
+import { ACCEPTED_FILE_TYPES, readSpreadsheetFile } from './lib/local-file';
+import { encodePermalink, decodePermalink } from './lib/permalink';
+import {
+    createProjectId, listProjects, getProject, saveProject, deleteProject, serializeProject, parseProjectFile
+} from './lib/project-store';
+import {
+    CLASSIFICATION_METHODS, COLOR_RAMPS, parseNumber, classify, getRampColors,
+    buildStepExpression, buildInterpolateExpression, getStepColor, getInterpolateStops, getInterpolateColor
+} from './lib/classification';
+import { pointInRing, pointInGeometry, buildCategoryCsv } from './lib/selection';
+import { createStripePattern } from './lib/fill-pattern';
+import { escapeHtml, renderTemplate, renderFieldTable } from './lib/popup-content';
+import { parseDateKey, buildDateFrames, filterRowsByDate } from './lib/time-series';
+import { ANIMATION_FORMATS, exportAnimation } from './lib/animation-export';
+import { DIFF_STATUSES, diffCodeCategories, countDiffStatuses } from './lib/dataset-diff';
+import { REFRESH_INTERVALS, createLiveRefresh, hashText } from './lib/live-refresh';
+import {
+    GRANULARITIES, AGGREGATION_METHODS, DEFAULT_REGION_DEFINITIONS,
+    parseRegionDefinitions, buildAggregationUnits, buildCodeUnits, findUnitName, buildRegionOutlines
+} from './lib/region-aggregation';
+import { LABEL_MODES, buildMunicipalityLabels, buildPrefectureLabels } from './lib/labels';
+import {
+    BASEMAP_STYLES, TILE_SOURCES, DEFAULT_BASEMAP_SETTINGS, resolveBasemapStyle, mergeOverlayStyle
+} from './lib/basemap';
+import {
+    parseMunicipalityStats, computeAreaStats, buildStatistics, sortStatistics, buildStatisticsCsv, renderStatisticsTable
+} from './lib/statistics';
+import {
+    EXPORT_FORMATS, loadMunicipalityTopology, resetMunicipalityTopology, buildExportTopology, toGeoJSON, toKML
+} from './lib/geo-export';
+import { buildTileTopology } from './lib/tile-geometry';
+import { POINT_COUNT_COLUMN, detectPointColumns, buildPoints, countPoints, createMunicipalityLocator } from './lib/point-markers';
+import { parseAdjacency, buildAdjacencyFromTopology, hopDistances, expandNeighbors, findGaps } from './lib/adjacency';
+import { downloadBlob } from './lib/download';
 
-// 国土数値情報の行政区域データ（PMTiles形式）
+// 国土数値情報の行政区域データ（PMTiles形式、背景地図のパネルで別のURL・ローカルファイルに変更できる）
 const PMTILES_URL = 'https://r2-pmtiles.ay-sys.link/japan_municipalities.pmtiles';
 
+// 行政区域データの権利表示（画面と出力画像に表示）
+const MUNICIPALITY_ATTRIBUTION = '「国土数値情報（行政区域データ）」（国土交通省）を加工して作成';
+
+// 書き出し用の市区町村形状（npm run generate:municipalities で作成）
+const MUNICIPALITY_TOPOLOGY_URL = './municipalities-topo.json';
+
+// ラベルのフォント（背景地図のスタイルのグリフにあるもの。漢字・かなはブラウザのフォントで描画される）
+const LABEL_FONT = ['Noto Sans Regular'];
+const PREFECTURE_LABEL_FONT = ['Noto Sans Bold'];
+
+// 統計パネル用の市区町村の面積・人口（npm run generate:stats で作成）
+const MUNICIPALITY_STATS_URL = './municipality-stats.json';
+
 // 検索用データのURL
 const SEARCH_DATA_URL = './search-data.json';
+// 市区町村の隣接グラフ（検索用データと一緒に npm run generate:search で作成）
+const ADJACENCY_URL = './adjacency.json';
+// 過去の年度の行政区域の一覧と、旧市区町村 → 現在の市区町村の対応表（npm run generate:vintages で作成）
+const VINTAGES_URL = './vintages.json';
+const CROSSWALK_URL = './crosswalk.json';
 
 // デフォルトのスプレッドシートURL
 const DEFAULT_CSV_URL = '';
@@ -22,22 +85,225 @@ const CsvHeaderColors = new Map();
 
 const CsvDefaultColors = new Map();
 
+// ヘッダーごとのセル値の照合結果（ヘッダー名 → 照合結果の配列）
+let matchResults = new Map();
+
+// 表示モード（'category': 列ごとに塗り分け / 'value': 数値で階級区分）
+let displayMode = 'category';
+
+// 数値モードの設定
+const valueModeSettings = {
+    keyColumn: '',       // 市区町村の列
+    valueColumn: '',     // 数値の列
+    method: 'quantile',  // 階級区分の方法（CLASSIFICATION_METHODS のキー）
+    classCount: 5,
+    manualBreaks: [],
+    ramp: 'blues',       // カラーランプ（COLOR_RAMPS のキー）
+    reverse: false
+};
+
+// 複数のカテゴリに含まれる市区町村の扱い
+// policy: 'priority'（優先順位の高いカテゴリの色）/ 'multiple'（専用の色）/ 'pattern'（各カテゴリの色の斜線）
+// order: カテゴリの優先順位（含まれないカテゴリはCSVの列順で後ろに続く）
+const overlapSettings = {
+    policy: 'priority',
+    order: [],
+    multipleColor: '#888888'
+};
+
+// 市区町村コード → 含まれるカテゴリ（優先順位順）
+let codeCategories = new Map();
+
+// 斜線パターンとして地図に追加した画像（画像ID → { colors, image, pixelRatio }）
+const overlapPatterns = new Map();
+
+// 読み込んだシートのヘッダー・行・都道府県列（数値モード用）
+// csvRows は表示中の行（時系列で日付の列を使う場合は、そのコマの日付で絞り込んだ行）
+let csvFields = [];
+let csvAllRows = [];
+let csvRows = [];
+let csvPrefKey = null;
+// 表示中のデータのハッシュ（自動更新で変更を判定する）と、最後に読み込んだ時刻
+let csvHash = null;
+let csvUpdatedAt = null;
+
+// スプレッドシートの自動更新の間隔（秒、0 は自動更新しない）
+let liveRefreshInterval = 0;
+
+// 時系列アニメーションの設定
+// source: 'none' / 'column'（日付の列）/ 'sheets'（ファイル内の全シート）/ 'urls'（URL・gidの一覧）
+const timeSeriesSettings = {
+    source: 'none',
+    dateColumn: '',
+    cumulative: true,   // 日付の列: その日付までの行をすべて表示
+    urls: '',
+    interval: 1000      // 1コマの表示時間（ミリ秒）
+};
+
+// 時系列のコマ（{ label, key }: 日付の列 / { label, text, delimiter }: シート）と表示中のコマ
+let timeFrames = [];
+let timeFrameIndex = -1;
+let isShowingTimeFrame = false;
+let playTimer = null;
+let fadeAnimation = null;
+
+// 集計単位（市区町村 / 都道府県 / 独自の地域）、1つの単位に複数の値があるときのまとめ方、地域の定義、地域の境界線の表示
+const aggregationSettings = {
+    granularity: 'municipality',
+    method: 'sum',
+    regions: DEFAULT_REGION_DEFINITIONS,
+    outlines: true
+};
+
+// 市区町村の形状データがなく、地域の境界線を作れないときの理由（作れる間は null）
+let regionOutlinesError = null;
+
+// 集計単位ごとの市区町村コード（市区町村単位では null）と、市区町村コード → 単位名
+let aggregationUnits = null;
+let codeUnits = new Map();
+
+// 数値モードの単位ごとの値（都道府県・地域単位のとき）
+let unitValues = new Map();
+
+// 数値モードで解決した市区町村コード → 値
+let codeValues = new Map();
+
+// ポップアップの設定
+// keyColumn: 行と市区町村を結び付ける列 / attributes: ホバー時に表示する列 / template: 表示テンプレート（空なら attributes を表で表示）
+const popupSettings = {
+    keyColumn: '',
+    attributes: [],
+    template: ''
+};
+
+// ポップアップ用に、キー列で解決した市区町村コード → シートの行
+let codeRows = new Map();
+
+// 施設などの地点の設定（緯度・経度・住所の列は、読み込んだシートになければ見出しから推測）
+// useAddress: 緯度経度がない行を住所の市区町村の中心に置く
+const pointSettings = {
+    enabled: true,
+    latColumn: '',
+    lngColumn: '',
+    addressColumn: '',
+    useAddress: false,
+    color: '#e4572e'
+};
+
+// 地点ごとの市区町村コード（数値モードの地点の件数に使う）
+let pointCodes = [];
+// 位置 → 市区町村コード（緯度経度の地点を数えるときに形状データから作成）
+let municipalityLocator = null;
+let isLoadingLocator = false;
+
 // 検索用市区町村データ
 let searchData = [];
 
-// 現在ハイライト中の市区町村コード
-let highlightedCode = null;
+// 市区町村名・コードの照合エンジン（検索用データの読み込み後に作成）
+let matcher = createMunicipalityMatcher([]);
+
+// 名称・読みによる市区町村の検索（検索用データの読み込み後に作成）
+let municipalitySearch = null;
+
+// 市区町村の隣接グラフ（市区町村コード → 隣接する市区町村コード、なければ null）
+let adjacency = null;
+// adjacency.json がなく、使うときに市区町村の形状データから隣接グラフを作るか
+let adjacencyFromShapes = false;
+
+// 隣接する市区町村の操作の設定
+// origin: 起点（'category' 追加先のカテゴリ / 'search' 検索で選んだ市区町村）、hops: 何隣まで、
+// gapSize: すき間とみなす最大の市区町村数、originCodes: 隣数で塗るときの起点（塗り始めたときの起点を保持）
+const adjacencySettings = {
+    origin: 'category',
+    hops: 1,
+    gapSize: 3,
+    originCodes: []
+};
+
+// 数値モードの「数値の列」で起点からの隣数を選ぶときの値
+const HOP_DISTANCE_COLUMN = '__hop_distance__';
+
+// 過去の年度の行政区域（vintages.json、なければ null）
+let boundaryVintages = null;
+// 合併前の市区町村の対応表（crosswalk.json の entries、最新の年度の照合に使う）
+let crosswalkEntries = [];
+// 表示中の行政区域の年度（null は最新）
+let boundaryYear = null;
+
+// 読み込み中のローカルファイル（Excelのシート切り替え用）
+let currentLocalFile = null;
+
+// 現在表示中のスプレッドシートURL（ローカルファイルの場合は空）
+let currentSourceUrl = '';
+
+// 現在表示中のローカルデータ（プロジェクト保存用。{ type: 'text', name, text, delimiter }）
+let currentLocalSource = null;
+
+// 開いているプロジェクトのID（プロジェクト未使用なら null）
+let currentProjectId = null;
+
+// プロジェクトの自動保存用タイマーと、プロジェクト適用中フラグ
+let projectSaveTimer = null;
+let isApplyingProject = false;
+
+// 都道府県の境界データ（prefectures-geo.json）
+let prefecturesGeo = null;
+
+// 地図上での編集ツールと、選択した市区町村を追加するカテゴリ
+let selectionTool = null;
+let editCategory = '';
+
+// 現在ハイライト中の市区町村コード（政令市全体なら全区のコード）
+let highlightedCodes = null;
+
+// 検索で選んだ候補（lib/municipality-search.js の検索結果、未選択なら null）
+let selectedSearchResult = null;
+
+// 市区町村・都道府県ラベルの設定
+//   mode: LABEL_MODES のキー、selected: 「選んだ市区町村」のラベルID、overrides: ラベルID → 手動で動かした位置
+const labelSettings = {
+    mode: 'none',
+    prefectures: false,
+    fontSize: 12,
+    textColor: '#333333',
+    haloColor: '#ffffff',
+    haloWidth: 1.5,
+    selected: [],
+    overrides: {}
+};
+let labelEditor = null;
+
+// 市区町村の面積・人口（lib/statistics.js の parseMunicipalityStats、読み込めなければ null）
+let municipalityStats = null;
+// municipality-stats.json がなく、面積を形状データから計算する状態（計算中・計算済みを含む）
+let areaStatsState = null;
+// 統計の表の行と並び順
+let statisticsRows = [];
+const statisticsSort = { key: 'count', direction: 'desc' };
+
+// 2つのデータの比較（比較中でなければ null）
+//   before / after: { categories: コード → カテゴリ, headers: 列名, colors: シートの色 }
+//   entries: diffCodeCategories の結果、followsCurrent: 比較先が表示中のデータ
+let comparison = null;
+let compareView = null;
 
 // PMTilesプロトコルを登録（Firefox対応）
 const protocol = new Protocol();
 
-// PMTilesインスタンスを作成してプロトコルに追加
-const pmtilesUrl = new URL(PMTILES_URL, window.location.href).href;
-const pmtiles = new PMTiles(pmtilesUrl);
-protocol.add(pmtiles);
-
 maplibregl.addProtocol('pmtiles', protocol.tile);
 
+// 背景地図・市区町村タイルの設定（lib/basemap.js を参照）
+const basemapSettings = loadBasemapSettings();
+// 背景地図のスタイルのレイヤー・ソースのID（読み込み後に記録）
+let basemapIds = null;
+
+// 市区町村タイルのPMTilesのキー（URL、ローカルファイルの場合はファイル名）
+// ローカルファイルは再読み込みで選び直しになるので、それまでは標準のURLを使う
+let pmtilesUrl = null;
+// 市区町村タイルの PMTiles（形状データのファイルがないときはここから作る）
+let municipalityTiles = null;
+resetMunicipalityTiles();
+
 
 const japanBounds = [
     [120.0, 20.0], // Southwest coordinates (例: 東経120度, 北緯20度)
@@ -47,16 +313,43 @@ const japanBounds = [
 // マップの初期化
 const map = new maplibregl.Map({
     container: 'map',
-    style: 'https://tiles.openfreemap.org/styles/bright',
+    style: getBasemapStyle(),
     center: [137.0, 35.0], // 初期表示中心座標
     zoom: 3,
     preserveDrawingBuffer: true,  // 画像エクスポート用
     maxBounds: japanBounds // 表示範囲の制限
 });
 
+// 凡例（保存された設定があれば復元）
+const legendControl = new LegendControl(loadLegendSettings());
+
+// 離島の差し込み枠（保存された設定があれば復元）
+const insetSettings = loadInsetSettings();
+const insetControl = new InsetMapsControl({
+    insets: insetSettings.insets,
+    patterns: () => overlapPatterns,
+    onChange: (enabled) => {
+        insetSettings.enabled = enabled;
+        localStorage.setItem('insetSettings', JSON.stringify(insetSettings));
+    }
+});
+
 // ナビゲーションコントロール追加
 map.addControl(new maplibregl.NavigationControl());
-map.addControl(new ScreenShotControl(), 'top-left');
+const screenShotControl = new ScreenShotControl({ legend: legendControl, insets: insetControl });
+map.addControl(screenShotControl, 'top-left');
+map.addControl(new PrintLayoutControl({
+    legend: legendControl,
+    insets: insetControl,
+    // SVG出力でベクターとして書き出すレイヤー（描画順）
+    vectorLayers: [
+        'municipality-fill', 'municipality-pattern', 'prefecture-fill', 'lakes-fill', 'municipality-line', 'lakes-line',
+        'prefecture-border', 'region-outline', 'municipality-label', 'prefecture-label'
+    ],
+    patterns: () => overlapPatterns
+}), 'top-left');
+map.addControl(insetControl, 'top-left');
+map.addControl(legendControl, legendControl.getOptions().position);
 
 // 地図上で選択色を変えるコントロール
 class SelectedColorControl {
@@ -84,7 +377,8 @@ class SelectedColorControl {
         // colorControlDiv.style.display = 'block';
         container.innerHTML = ''; // 既存の内容をクリア
 
-        const keys = Array.from(specifiedCities.keys());
+        // 数値モードでは列ごとの色は使わない
+        const keys = displayMode === 'value' ? [] : Array.from(specifiedCities.keys());
         keys.forEach((key, index) => {
             const colorInput = document.createElement('input');
             colorInput.type = 'color';
@@ -99,6 +393,7 @@ class SelectedColorControl {
                 // ローカルストレージに保存
                 localStorage.setItem('csvHeaderColors', JSON.stringify(Array.from(CsvHeaderColors.entries())));
                 updateMunicipalityLayer();
+                scheduleProjectSave();
             });
 
             container.appendChild(colorInput);
@@ -123,6 +418,7 @@ class SelectedColorControl {
                 CsvHeaderColors.set(key, defaultColor);
                 localStorage.setItem('csvHeaderColors', JSON.stringify(Array.from(CsvHeaderColors.entries())));
                 updateMunicipalityLayer();
+                scheduleProjectSave();
             });
             container.appendChild(defaultColorBtn);
 
@@ -178,43 +474,41 @@ function normalizeHexColor(value) {
 
 // CSVを読み込んで市区町村リストを取得
 async function loadCSV(csvUrl) {
+    applyCSVTable(await loadCSVTable(csvUrl));
+}
+
+// CSVを読み込んで表にする（表示中のデータは変えない）
+async function loadCSVTable(csvUrl) {
     const response = await fetch(csvUrl);
     if (!response.ok) {
         throw new Error(`CSV読み込みエラー: ${response.status}`);
     }
     const csvText = await response.text();
 
+    return readCSVTable(csvText);
+}
+
+// CSVテキストを解析して市区町村リストを取得（delimiterが空なら自動判定）
+async function parseCSVText(csvText, delimiter = '') {
+    applyCSVTable(await readCSVTable(csvText, delimiter));
+}
+
+// CSVテキストをヘッダー・行・都道府県列の表にする
+function readCSVTable(csvText, delimiter = '') {
     return new Promise((resolve, reject) => {
         Papa.parse(csvText, {
             header: true,
+            delimiter,
             complete: (results) => {
-                specifiedCities.clear(); // 前のデータをクリア
-                results.data.forEach(row => {
-                    Object.keys(row).forEach(key => {
-
-                        // 都道府県という文字が含まれるヘッダーの値をフィルターする
-                        if (key.includes('都道府県')) {
-                            return;
-                        }
-
-                        const cellValue = row[key];
-                        const trimmed = (cellValue || '').trim();
-
-                        // 列内に色コード(#RRGGBB / #RGB)があればそれを採用し、都市名リストには含めない
-                        if (trimmed && isHexColor(trimmed)) {
-                            CsvDefaultColors.set(key, normalizeHexColor(trimmed));
-                            console.log(`シートから色コードを取得: ${key} -> ${trimmed}`);
-                            return;
-                        }
-
-                        const list = specifiedCities.get(key) || new Set();
-                        if (trimmed) {
-                            list.add(trimmed);
-                            specifiedCities.set(key, list);
-                        }
-                    });
+                // 都道府県という文字が含まれるヘッダーは、同じ行の市区町村名を絞り込むために使う
+                const prefKey = (results.meta.fields || []).find(key => key.includes('都道府県'));
+
+                resolve({
+                    fields: (results.meta.fields || []).filter(Boolean),
+                    rows: results.data,
+                    prefKey: prefKey || null,
+                    hash: hashText(csvText)
                 });
-                resolve();
             },
             error: (error) => {
                 reject(error);
@@ -223,10 +517,73 @@ async function loadCSV(csvUrl) {
     });
 }
 
+// 読み込んだ表を表示中のデータにする
+function applyCSVTable({ fields, rows, prefKey, hash }) {
+    // 数値モードで列を選び直せるよう行データも保持しておく
+    csvFields = fields;
+    csvAllRows = rows;
+    csvRows = rows;
+    csvPrefKey = prefKey;
+    csvHash = hash;
+
+    // 緯度・経度・住所の列がこの表になければ見出しから選び直す
+    const detected = detectPointColumns(fields);
+    ['latColumn', 'lngColumn', 'addressColumn'].forEach(key => {
+        if (!fields.includes(pointSettings[key])) pointSettings[key] = detected[key];
+    });
+
+    buildSpecifiedCities();
+}
+
+// 表示中の行から列ごとの市区町村リストを作成
+function buildSpecifiedCities() {
+    // 時系列の日付の列と、地点に使う列はカテゴリにしない
+    const dateColumn = timeSeriesSettings.source === 'column' ? timeSeriesSettings.dateColumn : null;
+    const { cities, colors } = collectSpecifiedCities(csvRows, csvPrefKey, [dateColumn, ...getPointColumns()]);
+
+    specifiedCities = cities;
+    colors.forEach((color, key) => CsvDefaultColors.set(key, color));
+}
+
+// 行から列ごとの市区町村リストと、列内の色コードを集める
+function collectSpecifiedCities(rows, prefKey, skipColumns = []) {
+    const cities = new Map();
+    const colors = new Map();
+
+    rows.forEach(row => {
+        Object.keys(row).forEach(key => {
+
+            // 都道府県という文字が含まれるヘッダーの値は市区町村リストに含めない
+            if (key.includes('都道府県') || skipColumns.includes(key)) {
+                return;
+            }
+
+            const cellValue = row[key];
+            const trimmed = (cellValue || '').trim();
+
+            // 列内に色コード(#RRGGBB / #RGB)があればそれを採用し、都市名リストには含めない
+            if (trimmed && isHexColor(trimmed)) {
+                colors.set(key, normalizeHexColor(trimmed));
+                return;
+            }
+
+            const list = cities.get(key) || new Set();
+            if (trimmed) {
+                // 例: 都道府県列が「東京都」で値が「府中市」なら「東京都府中市」として扱う
+                list.add(prefKey ? qualifyEntry(trimmed, row[prefKey]) : trimmed);
+                cities.set(key, list);
+            }
+        });
+    });
+
+    return { cities, colors };
+}
+
 // スプレッドシートを読み込んでマップを更新
 async function loadSpreadsheet(url) {
     const loadBtn = document.getElementById('load-btn');
     const cityCountEl = document.getElementById('city-count');
+    const matchReportEl = document.getElementById('match-report');
 
     try {
         loadBtn.disabled = true;
@@ -237,268 +594,3112 @@ async function loadSpreadsheet(url) {
         console.log('CSV URL:', csvUrl);
 
         await loadCSV(csvUrl);
-        console.log('CSVで指定された市区町村:', Array.from(specifiedCities));
-
-        // レイヤーを更新
-        updateMunicipalityLayer();
-
-        // 色変更コントロールを更新
-        selectedColorControl.updateControl();
-
+        csvUpdatedAt = new Date();
+        applySpecifiedCities();
         updateStatus('読み込み完了', '#28a745');
-        cityCountEl.textContent = `${specifiedCities.size} 市区町村を選択中`;
 
         // URLをローカルストレージに保存
         localStorage.setItem('spreadsheetUrl', url);
+        currentSourceUrl = url;
+        currentLocalSource = null;
+        scheduleProjectSave();
 
     } catch (error) {
         console.error('読み込みエラー:', error);
         updateStatus('エラー: ' + error.message, '#dc3545');
         cityCountEl.textContent = '';
+        matchReportEl.innerHTML = '';
     } finally {
         loadBtn.disabled = false;
         loadBtn.textContent = '読み込み';
     }
 }
 
-// レイヤーの色を更新
-function updateMunicipalityLayer() {
-    const colorExpression = buildColorExpression();
+// ローカルファイル（CSV / TSV / Excel）を読み込んでマップを更新
+async function loadLocalFile(file) {
+    const cityCountEl = document.getElementById('city-count');
+    const matchReportEl = document.getElementById('match-report');
+    const sheetSelect = document.getElementById('sheet-select');
 
-    if (map.getLayer('municipality-fill')) {
-        map.setPaintProperty('municipality-fill', 'fill-color', colorExpression);
+    try {
+        updateStatus(`${file.name} を読み込み中...`, '#007bff');
+
+        currentLocalFile = await readSpreadsheetFile(file);
+        currentSourceUrl = '';
+
+        // 複数シートのExcelはシートを選択できるようにする
+        sheetSelect.innerHTML = '';
+        currentLocalFile.sheetNames.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            sheetSelect.appendChild(option);
+        });
+        sheetSelect.hidden = currentLocalFile.sheetNames.length <= 1;
+
+        await loadLocalSheet(currentLocalFile.sheetNames[0]);
+    } catch (error) {
+        console.error('読み込みエラー:', error);
+        updateStatus('エラー: ' + error.message, '#dc3545');
+        cityCountEl.textContent = '';
+        matchReportEl.innerHTML = '';
     }
 }
 
-// メイン処理
-async function init() {
-    // 保存された色設定があれば復元
-    try {
-        const savedColors = localStorage.getItem('csvHeaderColors');
-        if (savedColors) {
-            const parsed = JSON.parse(savedColors);
-            parsed.forEach(([key, value]) => CsvHeaderColors.set(key, value));
-        }
-    } catch (e) {
-        console.error('色設定の読み込みに失敗しました', e);
-    }
+// 読み込み済みのローカルファイルから指定シートを反映
+async function loadLocalSheet(sheetName) {
+    if (!currentLocalFile) return;
 
-    // UI要素を取得
-    const urlInput = document.getElementById('spreadsheet-url');
-    const loadBtn = document.getElementById('load-btn');
-    const searchInput = document.getElementById('search-input');
-    const searchResults = document.getElementById('search-results');
+    const text = currentLocalFile.getText(sheetName);
+    await parseCSVText(text, currentLocalFile.delimiter);
+    console.log('ローカルファイル:', currentLocalFile.name, sheetName || '');
+    applySpecifiedCities();
+    updateStatus('読み込み完了', '#28a745');
 
-    // 検索用データを読み込み
-    await loadSearchData();
+    currentLocalSource = {
+        type: 'text',
+        name: currentLocalFile.sheetNames.length > 1 ? `${currentLocalFile.name} (${sheetName})` : currentLocalFile.name,
+        text,
+        delimiter: currentLocalFile.delimiter
+    };
+    scheduleProjectSave();
+}
 
-    // 検索入力のイベント
-    searchInput.addEventListener('input', (e) => {
-        const query = e.target.value.trim();
-        if (query.length >= 1) {
-            showSearchResults(query);
-        } else {
-            searchResults.innerHTML = '';
-            clearHighlight();
-        }
-    });
+// 読み込んだ市区町村リストをマップと各表示に反映
+function applySpecifiedCities() {
+    const cityCountEl = document.getElementById('city-count');
+    const matchReportEl = document.getElementById('match-report');
 
-    // 検索フィールドからフォーカスが外れたら結果を閉じる（少し遅延）
-    searchInput.addEventListener('blur', () => {
-        setTimeout(() => {
-            searchResults.innerHTML = '';
-        }, 200);
-    });
+    updatePointColumnOptions();
+    resolvePoints();
+    updateValueColumnOptions();
+    resolveSpecifiedCities();
+    updatePopupColumnOptions();
+    resolvePopupRows();
+    updateEditControls();
+    refreshTimeSeries();
+    refreshComparison();
 
-    // 保存されたURLがあれば復元
-    const savedUrl = localStorage.getItem('spreadsheetUrl') || DEFAULT_CSV_URL;
-    urlInput.value = savedUrl;
+    // レイヤーを更新
+    updateMunicipalityLayer();
 
-    // 読み込みボタンのイベント
-    loadBtn.addEventListener('click', () => {
-        const url = urlInput.value.trim();
-        if (url) {
-            loadSpreadsheet(url);
-        }
-    });
+    // 色変更コントロールを更新
+    selectedColorControl.updateControl();
 
-    // Enterキーでも読み込み
-    urlInput.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
-            const url = urlInput.value.trim();
-            if (url) {
-                loadSpreadsheet(url);
-            }
-        }
-    });
+    const { codes } = summarizeMatchResults(matchResults);
+    const unitLabel = GRANULARITIES[aggregationSettings.granularity];
+    cityCountEl.textContent = displayMode === 'value'
+        ? `${aggregationUnits ? unitValues.size : codeValues.size} ${unitLabel}に値を設定（${getValueColumnLabel()}）`
+        : `${countUnits(Array.from(codes))} ${unitLabel}を選択中（${specifiedCities.size} 列）`;
+    renderMatchReport(matchReportEl, matchResults, matcher);
+}
 
-    function hideLabelsFromBasemap() {
-        const style = map.getStyle();
-        if (!style?.layers) return;
+// ==========================================
+// 地図上での編集
+// ==========================================
 
-        for (const layer of style.layers) {
-            if (layer.type !== 'symbol') continue;
+// 市区町村コードをCSVに書く値にする（名前で一意に決まらなければコードのまま）
+function entryForCode(code) {
+    const record = searchData.find(item => item.code === code);
+    if (!record) return code;
 
-            // 「文字ラベル」があるsymbolだけ消す（アイコンだけのレイヤーは残す）
-            const hasTextField = layer.layout && Object.prototype.hasOwnProperty.call(layer.layout, 'text-field');
-            if (!hasTextField) continue;
+    const name = record.pref + record.full + (record.ward || '');
+    const result = matcher.resolve(name);
+    return result.status === 'matched' && result.codes.length === 1 && result.codes[0] === code ? name : code;
+}
 
-            try {
-                map.setLayoutProperty(layer.id, 'visibility', 'none');
-            } catch {
-                // 既に消えてる/変更不可などは無視
-            }
-        }
-    }
+// 編集したリストを反映し、以後はローカルデータとして扱う（元のシートは変更しない）
+function commitEdits() {
+    applySpecifiedCities();
 
-    // マップの読み込み完了を待つ
-    map.on('load', async () => {
-        hideLabelsFromBasemap();
+    currentSourceUrl = '';
+    currentLocalSource = {
+        type: 'text',
+        name: '地図上で編集したデータ',
+        text: buildCategoryCsv(specifiedCities),
+        delimiter: ','
+    };
+    scheduleProjectSave();
+}
 
-        await addMunicipalityLayer();
-        // 初期URLでスプレッドシートを読み込み
-        loadSpreadsheet(savedUrl);
-    });
+// 市区町村を編集中のカテゴリに追加、すでに含まれていれば外す
+function toggleMunicipality(code) {
+    const entries = specifiedCities.get(editCategory);
+    if (!entries) return;
 
-    map.on('error', (error) => {
-        console.error('Error:', error);
-        updateStatus('エラーが発生しました: ' + error.message, '#dc3545');
-    });
+    const containing = (matchResults.get(editCategory) || []).filter(result => result.codes.includes(code));
+    if (containing.length === 0) {
+        entries.add(entryForCode(code));
+    } else {
+        // 政令市名などで複数の区域をまとめて指定していた場合は、残りの区域を個別に追加し直す
+        containing.forEach(result => {
+            entries.delete(result.input);
+            result.codes
+                .filter(other => other !== code)
+                .forEach(other => entries.add(entryForCode(other)));
+        });
+    }
+    commitEdits();
 }
 
-function getDefaultColor(headerName) {
-    // ヘッダー名に基づいてデフォルトの色を返す
-    const colors = [
-        '#4a90d9', // 青
-        '#50e3c2', // 水色
-        '#f5a623', // オレンジ
-        '#9013fe', // 紫
-        '#b8e986', // 黄緑
-        '#ff6b35', // 赤橙
-        '#8b572a', // 茶色
-        '#7ed321'  // 緑
-    ];
-    const index = Array.from(specifiedCities.keys()).indexOf(headerName);
-    return colors[index % colors.length];
+// 複数の市区町村をカテゴリ（省略時は編集中のカテゴリ）に追加
+function addMunicipalities(codes, category = editCategory) {
+    const entries = specifiedCities.get(category);
+    if (!entries || codes.length === 0) return;
+
+    const selected = getResolvedCodes(category);
+    codes
+        .filter(code => !selected.has(code))
+        .forEach(code => entries.add(entryForCode(code)));
+    commitEdits();
+    updateStatus(`${codes.length} 市区町村を「${category}」に追加しました`, '#28a745');
 }
 
-// 色分け表現を構築
-function buildColorExpression() {
-    const s = new Set();
-    specifiedCities.forEach((citySet) => {
-        citySet.forEach(city => s.add(city));
-    });
-    // CSVで指定された市区町村は青色、それ以外はグレー
-    const cityList = Array.from(s);
+// 範囲内（地図上のピクセル座標）に中心がある市区町村を追加
+function addMunicipalitiesInArea(ring) {
+    const codes = searchData
+        .filter(record => {
+            const { x, y } = map.project(record.center);
+            return pointInRing([x, y], ring);
+        })
+        .map(record => record.code);
+    addMunicipalities(codes);
+}
 
-    if (cityList.length === 0) {
-        return '#cccccc'; // CSVが空の場合は全てグレー
+// 都道府県内の市区町村をすべて追加
+function addPrefecture(prefName) {
+    addMunicipalities(searchData.filter(record => record.pref === prefName).map(record => record.code));
+}
+
+// クリックした地点の都道府県を prefectures-geo.json から探して追加
+function addPrefectureAt(lngLat) {
+    const feature = prefecturesGeo?.features.find(item => pointInGeometry([lngLat.lng, lngLat.lat], item.geometry));
+    if (feature) {
+        addPrefecture(feature.properties.N03_001);
     }
+}
 
-    // 各ヘッダーごとに条件を作成
-    const conditions = [];
+// 編集中のカテゴリ選択肢と、編集モードの有効・無効を更新
+function updateEditControls() {
+    const modeInput = document.getElementById('edit-mode');
+    const categorySelect = document.getElementById('edit-category');
+    const categories = Array.from(specifiedCities.keys());
 
-    specifiedCities.forEach((citySet, headerName) => {
-        const cityList = Array.from(citySet);
-        const color = CsvHeaderColors.get(headerName) || getDefaultColor(headerName);
-
-        // N03_003（郡・政令市名）+ N03_004（市区町村名）を結合してマッチング
-        // 例: "上益城郡" + "益城町" = "上益城郡益城町"
-        conditions.push(
-            ['in',
-                ['concat',
-                    ['coalesce', ['get', 'N03_003'], ''],
-                    ['coalesce', ['get', 'N03_004'], ''],
-                    ['coalesce', ['get', 'N03_005'], ''], // 区名（政令市の場合）
-                    
-                ],
-                ['literal', cityList]
-            ],
-            color
-        );
-    });
+    if (!categories.includes(editCategory)) {
+        editCategory = categories[0] || '';
+    }
+    categorySelect.innerHTML = '';
+    categories.forEach(key => categorySelect.appendChild(new Option(key, key)));
+    categorySelect.value = editCategory;
 
-    // caseステートメントを構築
-    return ['case', ...conditions, '#dfdfdf'];
+    // 数値モードとカテゴリがない間は編集できない
+    const editable = displayMode !== 'value' && categories.length > 0;
+    modeInput.disabled = !editable;
+    if (!editable && modeInput.checked) {
+        modeInput.checked = false;
+        selectionTool?.disable();
+    }
+    document.getElementById('edit-new-category').disabled = displayMode === 'value';
+    document.getElementById('edit-add-prefecture').disabled = !editable;
+    document.getElementById('edit-export-csv').disabled = categories.length === 0;
+    updateSearchSelection();
+    updateAdjacencyControls();
 }
 
-// 市区町村レイヤーを追加
-async function addMunicipalityLayer() {
-    // PMTilesソースを追加（絶対URLを使用してFirefoxでの問題を回避）
-    map.addSource('municipalities', {
-        type: 'vector',
-        url: `pmtiles://${pmtilesUrl}`
+// 編集パネルを初期化
+function setupEditControls() {
+    const modeInput = document.getElementById('edit-mode');
+    const lassoInput = document.getElementById('edit-lasso');
+    const categorySelect = document.getElementById('edit-category');
+    const prefectureSelect = document.getElementById('edit-prefecture');
+
+    selectionTool = new MapSelectionTool(map, {
+        layer: 'municipality-fill',
+        onFeatureClick: feature => toggleMunicipality(feature.properties.N03_007),
+        onPointClick: addPrefectureAt,
+        onAreaSelect: addMunicipalitiesInArea
     });
 
-    const colorExpression = buildColorExpression();
-    console.log('色分け表現:', colorExpression);
+    PREFECTURE_NAMES.forEach(name => prefectureSelect.appendChild(new Option(name, name)));
 
-    // 塗りつぶしレイヤー
-    map.addLayer({
-        id: 'municipality-fill',
-        type: 'fill',
-        source: 'municipalities',
-        'source-layer': 'municipalities',
-        paint: {
-            'fill-color': colorExpression,
-            'fill-opacity': 1
+    modeInput.addEventListener('change', () => {
+        if (modeInput.checked) {
+            selectionTool.enable();
+        } else {
+            selectionTool.disable();
         }
     });
+    lassoInput.addEventListener('change', () => selectionTool.setLasso(lassoInput.checked));
+    categorySelect.addEventListener('change', () => { editCategory = categorySelect.value; });
 
-    // 湖沼レイヤーを追加（市区町村の上）
-    addLakesLayer();
-
-    // 境界線レイヤー（湖沼の上）
-    map.addLayer({
-        id: 'municipality-line',
-        type: 'line',
-        source: 'municipalities',
-        'source-layer': 'municipalities',
-        paint: {
-            'line-color': '#ccc',
-            'line-width': .5
+    document.getElementById('edit-new-category').addEventListener('click', () => {
+        const name = window.prompt('カテゴリ名')?.trim();
+        if (!name) return;
+        if (!specifiedCities.has(name)) {
+            specifiedCities.set(name, new Set());
         }
+        editCategory = name;
+        commitEdits();
     });
 
-    // 都道府県境界線を追加
-    try {
-        const response = await fetch('prefectures-geo.json');
-        const prefecturesData = await response.json();
+    document.getElementById('edit-add-prefecture').addEventListener('click', () => {
+        addPrefecture(prefectureSelect.value);
+    });
 
-        map.addSource('prefectures', {
-            type: 'geojson',
-            data: prefecturesData
-        });
+    // 1列 = 1カテゴリのCSV（1行目は色）として書き出し
+    document.getElementById('edit-export-csv').addEventListener('click', () => {
+        const colors = new Map(Array.from(specifiedCities.keys()).map(key => [key, CsvHeaderColors.get(key) || getDefaultColor(key)]));
+        const blob = new Blob(['\uFEFF' + buildCategoryCsv(specifiedCities, colors)], { type: 'text/csv' });
+        downloadBlob(blob, `municipalities-${new Date().toISOString().slice(0, 10)}.csv`);
+    });
 
-        // 都道府県境界線レイヤー
-        map.addLayer({
-            id: 'prefecture-border',
-            type: 'line',
-            source: 'prefectures',
-            layout: {
-                'line-cap': 'round',
-            },
-            paint: {
-                'line-color': '#666',
-                'line-width': 2,
-                'line-opacity': 1
-            }
+    updateEditControls();
+}
+
+// ==========================================
+// 塗り分け結果の書き出し
+// ==========================================
+
+// 市区町村の形状データ（TopoJSON）を読み込む
+// public/municipalities-topo.json がなければ、表示中の市区町村タイルから作る（書き出し・地域の境界線・地点の振り分けで共用）
+function getMunicipalityTopology() {
+    return loadMunicipalityTopology(MUNICIPALITY_TOPOLOGY_URL, async () => {
+        const message = '市区町村の形状データを地図のタイルから作成中...';
+        updateStatus(message, '#007bff');
+        const topology = await buildTileTopology(municipalityTiles, {
+            onProgress: (done, total) => updateStatus(`${message} ${done} / ${total}`, '#007bff')
         });
+        updateStatus('市区町村の形状データを地図のタイルから作成しました', '#28a745');
+        return topology;
+    });
+}
 
-        console.log('都道府県境界線を追加しました');
-    } catch (error) {
-        console.warn('都道府県境界線の読み込みに失敗しました:', error);
+// 書き出す市区町村と属性（カテゴリまたは値と、その色）
+function getExportItems() {
+    if (displayMode === 'value') {
+        return Array.from(codeValues, ([code, value]) => ({
+            code,
+            properties: { value, color: getValueColor(value) }
+        }));
     }
 
-    // ホバー時のポップアップ
-    setupPopup();
+    // 重なっている市区町村は、塗り分けのグループ名と含まれる全カテゴリを持たせる
+    return getPaintGroups().flatMap(({ label, color, codes }) =>
+        codes.map(code => ({
+            code,
+            properties: { category: label, categories: codeCategories.get(code).join(', '), color }
+        }))
+    );
 }
 
-// 湖沼レイヤーを追加
-function addLakesLayer() {
-    // lakesレイヤーがソースに存在するか確認
-    const source = map.getSource('municipalities');
-    if (!source) {
+// 選択した形式で書き出し
+async function exportColoredMunicipalities() {
+    const format = document.getElementById('export-format').value;
+    const dissolve = displayMode !== 'value' && document.getElementById('export-dissolve').checked;
+    const exportBtn = document.getElementById('export-btn');
+
+    const items = getExportItems();
+    if (items.length === 0) {
+        updateStatus('書き出す市区町村がありません', '#dc3545');
+        return;
+    }
+
+    try {
+        exportBtn.disabled = true;
+        updateStatus('書き出し中...', '#007bff');
+
+        const topology = await getMunicipalityTopology();
+        const exportTopology = buildExportTopology(topology, items, { dissolve });
+
+        let text;
+        if (format === 'topojson') {
+            text = JSON.stringify(exportTopology);
+        } else if (format === 'kml') {
+            text = toKML(toGeoJSON(exportTopology), document.title);
+        } else {
+            text = JSON.stringify(toGeoJSON(exportTopology));
+        }
+
+        const { extension, type } = EXPORT_FORMATS[format];
+        downloadBlob(new Blob([text], { type }), `municipalities-${new Date().toISOString().slice(0, 10)}.${extension}`);
+
+        updateStatus(`${exportTopology.objects.municipalities.geometries.length} 件を書き出しました`, '#28a745');
+    } catch (error) {
+        console.error('書き出しエラー:', error);
+        updateStatus('エラー: ' + error.message, '#dc3545');
+    } finally {
+        exportBtn.disabled = false;
+    }
+}
+
+// 書き出しパネルを初期化
+function setupExportControls() {
+    const formatSelect = document.getElementById('export-format');
+    Object.entries(EXPORT_FORMATS).forEach(([value, { label }]) => {
+        formatSelect.appendChild(new Option(label, value));
+    });
+    document.getElementById('export-btn').addEventListener('click', exportColoredMunicipalities);
+}
+
+// 現在の状態から共有用リンクを作成
+function buildPermalink() {
+    const center = map.getCenter();
+    const hash = encodePermalink({
+        src: currentSourceUrl,
+        view: { center: [center.lng, center.lat], zoom: map.getZoom() },
+        mode: displayMode,
+        colors: Array.from(CsvHeaderColors.entries()).filter(([key]) => specifiedCities.has(key)),
+        value: displayMode === 'value' ? valueModeSettings : undefined,
+        overlap: displayMode === 'value' ? undefined : { ...overlapSettings, order: getCategoryOrder() }
+    });
+    return window.location.href.replace(/#.*$/, '') + hash;
+}
+
+// 共有用リンクをクリップボードにコピー
+async function copyPermalink() {
+    const link = buildPermalink();
+    window.history.replaceState(null, '', link);
+
+    try {
+        await navigator.clipboard.writeText(link);
+        updateStatus(currentSourceUrl
+            ? 'リンクをコピーしました'
+            : 'リンクをコピーしました（ローカルファイルのデータは含まれません）', '#28a745');
+    } catch (error) {
+        // クリップボードが使えない環境では手動でコピーしてもらう
+        console.warn('クリップボードへのコピーに失敗しました:', error);
+        window.prompt('このリンクをコピーしてください', link);
+    }
+}
+
+// ==========================================
+// スプレッドシートの自動更新
+// ==========================================
+
+// 時刻の表示（時:分:秒）
+function formatTime(date) {
+    return date.toLocaleTimeString('ja-JP');
+}
+
+// 自動更新の状態を表示
+function showLiveRefreshStatus({ state, checkedAt, error, retryIn }) {
+    const statusEl = document.getElementById('live-refresh-status');
+    const updated = csvUpdatedAt ? `最終更新 ${formatTime(csvUpdatedAt)}` : '';
+
+    statusEl.classList.toggle('error', state === 'error');
+    if (state === 'checking') {
+        statusEl.textContent = updated ? `${updated}（確認中...）` : '確認中...';
+    } else if (state === 'error') {
+        console.warn('自動更新に失敗しました:', error);
+        statusEl.textContent = `更新に失敗しました。${Math.round(retryIn / 1000)}秒後に再試行します`;
+    } else if (state === 'stopped') {
+        statusEl.textContent = '';
+    } else {
+        statusEl.textContent = `${updated}（${formatTime(checkedAt)} に確認）`;
+    }
+}
+
+// 表示中のスプレッドシートを定期的に確認し、変更があれば表示範囲はそのままで塗りを更新
+// （時系列のコマを表示している間は、元のシートで表示を置き換えないよう確認しない）
+const liveRefresh = createLiveRefresh({
+    getUrl: () => currentSourceUrl && timeFrameIndex < 0 ? convertToCSVUrl(currentSourceUrl) : null,
+    getHash: () => csvHash,
+    onChange: async (text) => {
+        await parseCSVText(text);
+        csvUpdatedAt = new Date();
+        applySpecifiedCities();
+        console.log('スプレッドシートの変更を反映しました');
+    },
+    onStatus: showLiveRefreshStatus
+});
+
+// 自動更新の間隔を設定して保存
+function setLiveRefreshInterval(seconds) {
+    liveRefreshInterval = seconds;
+    document.getElementById('live-refresh-interval').value = String(seconds);
+    localStorage.setItem('liveRefreshInterval', String(seconds));
+    liveRefresh.setInterval(seconds);
+}
+
+// 自動更新の間隔の選択肢を初期化
+function setupLiveRefreshControls() {
+    const intervalSelect = document.getElementById('live-refresh-interval');
+    REFRESH_INTERVALS.forEach(({ value, label }) => intervalSelect.appendChild(new Option(label, String(value))));
+
+    intervalSelect.addEventListener('change', () => {
+        setLiveRefreshInterval(Number(intervalSelect.value));
+        scheduleProjectSave();
+    });
+    setLiveRefreshInterval(Number(localStorage.getItem('liveRefreshInterval')) || 0);
+}
+
+// ==========================================
+// 時系列アニメーション
+// ==========================================
+
+// コマの切り替えで前のコマから色を変える時間（ミリ秒）
+const FADE_DURATION = 400;
+
+// 読み込んだデータに合わせて時系列の列選択肢とコマを更新
+// （コマの表示中に呼ばれた場合は何もしない）
+function refreshTimeSeries() {
+    if (isShowingTimeFrame) return;
+
+    const columnSelect = document.getElementById('ts-date-column');
+    columnSelect.innerHTML = '';
+    csvFields.forEach(field => columnSelect.appendChild(new Option(field, field)));
+    if (!csvFields.includes(timeSeriesSettings.dateColumn)) {
+        // 日付として読める値が多い列を選ぶ
+        timeSeriesSettings.dateColumn = csvFields.find(field => {
+            const values = csvAllRows.map(row => (row[field] || '').trim()).filter(Boolean);
+            return values.length > 0 && values.filter(value => parseDateKey(value)).length / values.length >= 0.5;
+        }) || '';
+    }
+    columnSelect.value = timeSeriesSettings.dateColumn;
+
+    const { source } = timeSeriesSettings;
+    if (source === 'column') {
+        timeFrames = buildDateFrames(csvAllRows, timeSeriesSettings.dateColumn).map(key => ({ label: key, key }));
+    } else if (source === 'sheets') {
+        const file = currentLocalFile;
+        timeFrames = file && file.sheetNames.length > 1
+            ? file.sheetNames.map(name => ({ label: name, text: file.getText(name), delimiter: file.delimiter }))
+            : [];
+    } else if (source === 'none') {
+        timeFrames = [];
+    }
+    // URL一覧は読み込み直すまで前のコマを使う
+
+    timeFrameIndex = -1;
+    updateTimeSeriesControls();
+}
+
+// Googleスプレッドシートの別のシート（gid）のCSV出力URL
+function withGid(url, gid) {
+    const csvUrl = convertToCSVUrl(url);
+    return /[?&]gid=\d+/.test(csvUrl)
+        ? csvUrl.replace(/([?&]gid=)\d+/, `$1${gid}`)
+        : `${csvUrl}${csvUrl.includes('?') ? '&' : '?'}gid=${gid}`;
+}
+
+// URL・gidの一覧を読み込んでコマにする
+// 1行に1つ。「ラベル URL」のように空白の前にラベルを書ける。数字だけの行は表示中のシートのgid
+async function loadTimeSeriesUrls() {
+    const lines = timeSeriesSettings.urls.split('\n').map(line => line.trim()).filter(Boolean);
+
+    try {
+        updateStatus('時系列のシートを読み込み中...', '#007bff');
+        timeFrames = await Promise.all(lines.map(async (line) => {
+            const parts = line.split(/\s+/);
+            const target = parts.pop();
+            const label = parts.join(' ') || target;
+
+            if (/^\d+$/.test(target) && !currentSourceUrl) {
+                throw new Error('gidを指定するには、先にスプレッドシートを読み込んでください');
+            }
+            const url = /^\d+$/.test(target) ? withGid(currentSourceUrl, target) : convertToCSVUrl(target);
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`CSV読み込みエラー: ${response.status}（${label}）`);
+            }
+            return { label, text: await response.text(), delimiter: '' };
+        }));
+        updateStatus(`${timeFrames.length} コマを読み込みました`, '#28a745');
+    } catch (error) {
+        console.error('読み込みエラー:', error);
+        updateStatus('エラー: ' + error.message, '#dc3545');
+        timeFrames = [];
+    }
+
+    timeFrameIndex = -1;
+    updateTimeSeriesControls();
+}
+
+// コマを表示（transition: 前のコマの色から徐々に切り替える）
+async function showTimeFrame(index, { transition = true } = {}) {
+    const frame = timeFrames[index];
+    if (!frame) return;
+
+    const previousColor = map.getLayer('municipality-fill') ? map.getPaintProperty('municipality-fill', 'fill-color') : null;
+
+    isShowingTimeFrame = true;
+    try {
+        if (frame.key) {
+            csvRows = filterRowsByDate(csvAllRows, timeSeriesSettings.dateColumn, frame.key, timeSeriesSettings.cumulative);
+            buildSpecifiedCities();
+        } else {
+            // 自動更新は元のシートと比べるので、ハッシュはコマのもので上書きしない
+            const sourceHash = csvHash;
+            await parseCSVText(frame.text, frame.delimiter);
+            csvHash = sourceHash;
+        }
+        applySpecifiedCities();
+    } finally {
+        isShowingTimeFrame = false;
+    }
+
+    timeFrameIndex = index;
+    updateTimeSeriesControls();
+
+    if (transition && previousColor) {
+        crossfadeMunicipalityFill(previousColor);
+    }
+}
+
+// 前のコマの色を下のレイヤーに残し、新しい色を徐々に不透明にする
+function crossfadeMunicipalityFill(previousColor) {
+    cancelAnimationFrame(fadeAnimation);
+    map.setPaintProperty('municipality-fill-previous', 'fill-color', previousColor);
+    map.setLayoutProperty('municipality-fill-previous', 'visibility', 'visible');
+    map.setPaintProperty('municipality-fill', 'fill-opacity', 0);
+
+    const start = performance.now();
+    const step = (now) => {
+        const t = Math.min(1, (now - start) / FADE_DURATION);
+        map.setPaintProperty('municipality-fill', 'fill-opacity', t);
+        if (t < 1) {
+            fadeAnimation = requestAnimationFrame(step);
+        } else {
+            map.setLayoutProperty('municipality-fill-previous', 'visibility', 'none');
+        }
+    };
+    fadeAnimation = requestAnimationFrame(step);
+}
+
+// コマを表示し、失敗したらステータスに表示（成功したら true）
+async function displayTimeFrame(index, options) {
+    try {
+        await showTimeFrame(index, options);
+        return true;
+    } catch (error) {
+        console.error('コマの表示に失敗しました', error);
+        updateStatus('エラー: ' + error.message, '#dc3545');
+        return false;
+    }
+}
+
+// 再生・停止
+function toggleTimeSeriesPlay() {
+    if (playTimer) {
+        stopTimeSeries();
+        return;
+    }
+
+    const next = async () => {
+        // 最後のコマで止める
+        if (timeFrameIndex >= timeFrames.length - 1) {
+            stopTimeSeries();
+            return;
+        }
+        // コマの読み込みが終わってから次のコマを予約する（読み込み中に停止されたら予約しない）
+        if (!await displayTimeFrame(timeFrameIndex + 1) || !playTimer) {
+            stopTimeSeries();
+            return;
+        }
+        playTimer = setTimeout(next, timeSeriesSettings.interval);
+    };
+
+    // 最後のコマからは最初に戻して再生
+    if (timeFrameIndex >= timeFrames.length - 1) {
+        timeFrameIndex = -1;
+    }
+    playTimer = setTimeout(next, 0);
+    updateTimeSeriesControls();
+}
+
+function stopTimeSeries() {
+    clearTimeout(playTimer);
+    playTimer = null;
+    updateTimeSeriesControls();
+}
+
+// スライダー・ボタン・ラベルの状態を更新
+function updateTimeSeriesControls() {
+    const slider = document.getElementById('ts-slider');
+    const playable = timeFrames.length >= 2;
+
+    slider.max = Math.max(0, timeFrames.length - 1);
+    slider.value = Math.max(0, timeFrameIndex);
+    slider.disabled = !playable;
+    document.getElementById('ts-play').disabled = !playable;
+    document.getElementById('ts-play').textContent = playTimer ? '⏸ 停止' : '▶ 再生';
+    document.getElementById('ts-export').disabled = !playable || Boolean(playTimer);
+    document.getElementById('ts-label').textContent = timeFrameIndex >= 0
+        ? `${timeFrames[timeFrameIndex].label}（${timeFrameIndex + 1} / ${timeFrames.length}）`
+        : playable ? `${timeFrames.length} コマ` : '';
+
+    const { source } = timeSeriesSettings;
+    document.getElementById('ts-date-column').parentElement.hidden = source !== 'column';
+    document.getElementById('ts-cumulative').parentElement.hidden = source !== 'column';
+    document.getElementById('ts-urls').parentElement.hidden = source !== 'urls';
+}
+
+// 書き出すコマにラベル（日付・シート名）を描き込む
+function drawFrameLabel(canvas, label) {
+    const ctx = canvas.getContext('2d');
+    const scale = window.devicePixelRatio || 1;
+    const fontSize = 20 * scale;
+    const padding = 8 * scale;
+
+    ctx.font = `bold ${fontSize}px sans-serif`;
+    const width = ctx.measureText(label).width + padding * 2;
+    const x = canvas.width - width - padding;
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    ctx.fillRect(x, padding, width, fontSize + padding * 2);
+    ctx.fillStyle = '#333';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(label, x + padding, padding * 2 + fontSize / 2);
+}
+
+// アニメーションをGIF / WebMで書き出し
+async function exportTimeSeriesAnimation() {
+    const format = document.getElementById('ts-export-format').value;
+    const exportBtn = document.getElementById('ts-export');
+    const restoreIndex = timeFrameIndex;
+
+    // 各コマを表示し、描画が終わってから画像にする
+    const renderFrame = async (index) => {
+        updateStatus(`書き出し中... ${index + 1} / ${timeFrames.length}`, '#007bff');
+        await showTimeFrame(index, { transition: false });
+        const idle = new Promise(resolve => map.once('idle', resolve));
+        map.triggerRepaint();
+        await idle;
+
+        const canvas = screenShotControl.captureCanvas();
+        drawFrameLabel(canvas, timeFrames[index].label);
+        return canvas;
+    };
+
+    try {
+        exportBtn.disabled = true;
+        const blob = await exportAnimation(format, timeFrames.length, renderFrame, timeSeriesSettings.interval);
+        downloadBlob(blob, `map-animation-${new Date().toISOString().slice(0, 10)}.${ANIMATION_FORMATS[format].extension}`);
+        updateStatus('アニメーションを書き出しました', '#28a745');
+    } catch (error) {
+        console.error('書き出しエラー:', error);
+        updateStatus('エラー: ' + error.message, '#dc3545');
+    } finally {
+        if (restoreIndex >= 0) {
+            await showTimeFrame(restoreIndex, { transition: false });
+        }
+        updateTimeSeriesControls();
+    }
+}
+
+// 時系列の設定を保存
+function saveTimeSeriesSettings() {
+    localStorage.setItem('timeSeriesSettings', JSON.stringify(timeSeriesSettings));
+    scheduleProjectSave();
+}
+
+// 時系列の設定を操作パネルに反映
+function syncTimeSeriesControls() {
+    document.getElementById('ts-source').value = timeSeriesSettings.source;
+    document.getElementById('ts-cumulative').checked = timeSeriesSettings.cumulative;
+    document.getElementById('ts-urls').value = timeSeriesSettings.urls;
+    document.getElementById('ts-interval').value = String(timeSeriesSettings.interval);
+    updateTimeSeriesControls();
+}
+
+// 時系列パネルを初期化
+function setupTimeSeriesControls() {
+    const sourceSelect = document.getElementById('ts-source');
+    const columnSelect = document.getElementById('ts-date-column');
+    const cumulativeInput = document.getElementById('ts-cumulative');
+    const urlsInput = document.getElementById('ts-urls');
+    const intervalSelect = document.getElementById('ts-interval');
+    const exportFormatSelect = document.getElementById('ts-export-format');
+
+    Object.entries(ANIMATION_FORMATS).forEach(([value, { label }]) => {
+        exportFormatSelect.appendChild(new Option(label, value));
+    });
+    syncTimeSeriesControls();
+
+    // 日付の列を変えた場合はカテゴリも変わるので、全行で作り直す
+    const resetRows = () => {
+        stopTimeSeries();
+        csvRows = csvAllRows;
+        buildSpecifiedCities();
+        applySpecifiedCities();
+    };
+
+    sourceSelect.addEventListener('change', () => {
+        timeSeriesSettings.source = sourceSelect.value;
+        saveTimeSeriesSettings();
+        resetRows();
+        if (timeSeriesSettings.source === 'urls') {
+            loadTimeSeriesUrls();
+        }
+    });
+
+    columnSelect.addEventListener('change', () => {
+        timeSeriesSettings.dateColumn = columnSelect.value;
+        saveTimeSeriesSettings();
+        resetRows();
+    });
+
+    cumulativeInput.addEventListener('change', () => {
+        timeSeriesSettings.cumulative = cumulativeInput.checked;
+        saveTimeSeriesSettings();
+        if (timeFrameIndex >= 0) displayTimeFrame(timeFrameIndex, { transition: false });
+    });
+
+    urlsInput.addEventListener('change', () => {
+        timeSeriesSettings.urls = urlsInput.value;
+        saveTimeSeriesSettings();
+        loadTimeSeriesUrls();
+    });
+
+    intervalSelect.addEventListener('change', () => {
+        timeSeriesSettings.interval = Number(intervalSelect.value);
+        saveTimeSeriesSettings();
+    });
+
+    document.getElementById('ts-slider').addEventListener('input', (e) => {
+        stopTimeSeries();
+        displayTimeFrame(Number(e.target.value));
+    });
+    document.getElementById('ts-play').addEventListener('click', toggleTimeSeriesPlay);
+    document.getElementById('ts-export').addEventListener('click', exportTimeSeriesAnimation);
+}
+
+// ==========================================
+// カテゴリごとの統計
+// ==========================================
+
+// 面積・人口のデータを読み込む（なければ件数と都道府県だけを集計する）
+async function loadMunicipalityStats() {
+    const noteEl = document.getElementById('statistics-note');
+    try {
+        const response = await fetch(MUNICIPALITY_STATS_URL);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        municipalityStats = parseMunicipalityStats(await response.json());
+        noteEl.textContent = '面積は行政区域の形状から計算した値' +
+            (municipalityStats.source ? `、人口は${municipalityStats.source}の値です` : 'です（人口のデータはありません）');
+    } catch (error) {
+        console.warn('市区町村の面積・人口のデータを読み込めませんでした:', error);
+        municipalityStats = null;
+        areaStatsState = 'missing';
+        noteEl.textContent = '面積・人口のデータがありません（npm run generate:stats で作成）。パネルを開くと面積だけを市区町村の形状から計算します';
+        if (document.getElementById('statistics-panel').open) computeAreaStatistics();
+    }
+    updateStatistics();
+}
+
+// 面積・人口のデータがないとき、面積だけを市区町村の形状データから計算する（統計のパネルを開いたときに1回だけ）
+async function computeAreaStatistics() {
+    if (areaStatsState !== 'missing') return;
+
+    const noteEl = document.getElementById('statistics-note');
+    areaStatsState = 'computing';
+    noteEl.textContent = '市区町村の形状から面積を計算しています...';
+    try {
+        municipalityStats = computeAreaStats(await getMunicipalityTopology());
+        areaStatsState = 'computed';
+        noteEl.textContent = '面積は市区町村の形状から計算した概算です（人口のデータはありません。npm run generate:stats で作成できます）';
+        updateStatistics();
+    } catch (error) {
+        console.warn('市区町村の面積を計算できませんでした:', error);
+        areaStatsState = 'missing';
+        noteEl.textContent = '面積・人口のデータがありません（npm run generate:stats で作成）';
+    }
+}
+
+// 統計の区分（凡例と同じ。比較中は差分の種類、数値モードは階級）
+function getStatisticsGroups() {
+    if (comparison) {
+        return Object.entries(DIFF_STATUSES).map(([status, { label, color }]) => ({
+            label,
+            color,
+            codes: comparison.entries.filter(entry => entry.status === status).map(entry => entry.code)
+        }));
+    }
+
+    if (displayMode !== 'value') {
+        return getCategoryOrder().map(headerName => ({
+            label: headerName,
+            color: CsvHeaderColors.get(headerName) || getDefaultColor(headerName),
+            codes: Array.from(getResolvedCodes(headerName))
+        }));
+    }
+
+    const entries = Array.from(codeValues.entries());
+    if (entries.length === 0) return [];
+    if (valueModeSettings.method === 'continuous') {
+        const { max } = getValueRange();
+        return [{ label: getValueColumnLabel(), color: getValueColor(max), codes: entries.map(([code]) => code) }];
+    }
+
+    // 階級の範囲は凡例と同じ（最後の階級だけ上限を含む）
+    const values = getValueList();
+    const { breaks, colors } = getValueClasses();
+    const bounds = [Math.min(...values), ...breaks, Math.max(...values)];
+    return colors.map((color, i) => ({
+        label: `${formatLegendValue(bounds[i])} – ${formatLegendValue(bounds[i + 1])}`,
+        color,
+        codes: entries
+            .filter(([, value]) => value >= bounds[i] && (i === colors.length - 1 ? value <= bounds[i + 1] : value < bounds[i + 1]))
+            .map(([code]) => code)
+    }));
+}
+
+// 統計の表を更新（色分け・市区町村の選択が変わるたびに呼ぶ）
+function updateStatistics() {
+    statisticsRows = buildStatistics(getStatisticsGroups(), searchData, municipalityStats);
+    renderStatisticsTable(document.getElementById('statistics-table'), statisticsRows, statisticsSort, (key) => {
+        // 同じ列なら昇順・降順を切り替え、別の列は名前なら昇順、数値なら降順から
+        statisticsSort.direction = statisticsSort.key === key
+            ? (statisticsSort.direction === 'asc' ? 'desc' : 'asc')
+            : (key === 'label' ? 'asc' : 'desc');
+        statisticsSort.key = key;
+        updateStatistics();
+    });
+    document.getElementById('statistics-download').disabled = statisticsRows.length === 0;
+}
+
+// 統計のパネルを初期化
+function setupStatisticsControls() {
+    document.getElementById('statistics-download').addEventListener('click', () => {
+        // Excelで文字化けしないようBOMを付ける
+        const blob = new Blob(['\uFEFF' + buildStatisticsCsv(sortStatistics(statisticsRows, statisticsSort))], { type: 'text/csv' });
+        downloadBlob(blob, `statistics-${new Date().toISOString().slice(0, 10)}.csv`);
+    });
+    document.getElementById('statistics-panel').addEventListener('toggle', (e) => {
+        if (e.target.open) computeAreaStatistics();
+    });
+    loadMunicipalityStats();
+}
+
+// ==========================================
+// ラベル
+// ==========================================
+
+// 色を塗っている市区町村コード（ラベルを付ける対象・優先して残す対象）
+function getColoredCodes() {
+    if (comparison) return new Set(comparison.entries.map(entry => entry.code));
+    return new Set(displayMode === 'value' ? codeValues.keys() : codeCategories.keys());
+}
+
+// 市区町村コードに対応するラベルのID（同じ名前の区などはまとめて先頭のコード）
+function labelIdForCode(code) {
+    const record = searchData.find(item => item.code === code);
+    if (!record) return code;
+    return searchData.find(item => item.pref === record.pref && item.full === record.full).code;
+}
+
+// ラベルの点と表示を更新
+function updateLabels() {
+    const municipalitySource = map.getSource('municipality-labels');
+    const prefectureSource = map.getSource('prefecture-labels');
+    if (!municipalitySource || !prefectureSource) return;
+
+    const { mode, overrides } = labelSettings;
+    const colored = getColoredCodes();
+    const selected = new Set(labelSettings.selected);
+    const isColored = codes => codes.some(code => colored.has(code));
+    const include = {
+        none: () => false,
+        colored: isColored,
+        selected: codes => selected.has(codes[0]),
+        all: () => true
+    }[mode] || (() => false);
+
+    municipalitySource.setData(buildMunicipalityLabels(searchData, { include, emphasize: isColored, overrides }));
+    prefectureSource.setData(labelSettings.prefectures
+        ? buildPrefectureLabels(searchData, overrides)
+        : { type: 'FeatureCollection', features: [] });
+
+    // 文字の大きさ・色（都道府県名は大きめ）
+    [['municipality-label', 1], ['prefecture-label', 1.3]].forEach(([id, scale]) => {
+        if (!map.getLayer(id)) return;
+        map.setLayoutProperty(id, 'text-size', Math.round(labelSettings.fontSize * scale));
+        map.setPaintProperty(id, 'text-color', labelSettings.textColor);
+        map.setPaintProperty(id, 'text-halo-color', labelSettings.haloColor);
+        map.setPaintProperty(id, 'text-halo-width', labelSettings.haloWidth);
+    });
+    insetControl.refresh();
+}
+
+// ラベルの設定を保存
+function saveLabelSettings() {
+    localStorage.setItem('labelSettings', JSON.stringify(labelSettings));
+    scheduleProjectSave();
+}
+
+// ラベルの設定を操作パネルに反映
+function syncLabelControls() {
+    document.getElementById('label-mode').value = labelSettings.mode;
+    document.getElementById('label-prefectures').checked = labelSettings.prefectures;
+    document.getElementById('label-font-size').value = labelSettings.fontSize;
+    document.getElementById('label-text-color').value = labelSettings.textColor;
+    document.getElementById('label-halo-color').value = labelSettings.haloColor;
+    document.getElementById('label-halo-width').value = labelSettings.haloWidth;
+}
+
+// ラベルのパネルと、地図上でのラベル編集を初期化
+function setupLabelControls() {
+    const modeSelect = document.getElementById('label-mode');
+    const editInput = document.getElementById('label-edit');
+    Object.entries(LABEL_MODES).forEach(([value, label]) => modeSelect.appendChild(new Option(label, value)));
+    syncLabelControls();
+
+    // ドラッグ中の再描画は1フレームに1回にまとめる
+    let labelFrame = null;
+    labelEditor = new MapLabelEditor(map, {
+        labelLayers: ['municipality-label', 'prefecture-label'],
+        selectLayer: 'municipality-fill',
+        onLabelMove: (id, lngLat) => {
+            labelSettings.overrides[id] = [lngLat.lng, lngLat.lat];
+            if (labelFrame) return;
+            labelFrame = requestAnimationFrame(() => {
+                labelFrame = null;
+                updateLabels();
+            });
+        },
+        onLabelDrop: (id, lngLat) => {
+            // 保存するのは約1mの精度まで
+            labelSettings.overrides[id] = [lngLat.lng, lngLat.lat].map(value => Math.round(value * 1e5) / 1e5);
+            saveLabelSettings();
+            updateLabels();
+        },
+        onFeatureClick: (feature) => {
+            // 「選んだ市区町村」に追加・解除
+            const id = labelIdForCode(feature.properties.N03_007);
+            labelSettings.selected = labelSettings.selected.includes(id)
+                ? labelSettings.selected.filter(item => item !== id)
+                : [...labelSettings.selected, id];
+            saveLabelSettings();
+            updateLabels();
+        }
+    });
+
+    const bindSetting = (id, key, read) => {
+        const input = document.getElementById(id);
+        input.addEventListener('change', () => {
+            labelSettings[key] = read(input);
+            saveLabelSettings();
+            updateLabels();
+        });
+    };
+    bindSetting('label-mode', 'mode', input => input.value);
+    bindSetting('label-prefectures', 'prefectures', input => input.checked);
+    bindSetting('label-font-size', 'fontSize', input => Math.min(32, Math.max(8, Number(input.value) || 12)));
+    bindSetting('label-text-color', 'textColor', input => input.value);
+    bindSetting('label-halo-color', 'haloColor', input => input.value);
+    bindSetting('label-halo-width', 'haloWidth', input => Math.min(5, Math.max(0, Number(input.value) || 0)));
+
+    // 地図上で編集（市区町村の選択）とは同時に使わない
+    editInput.addEventListener('change', () => {
+        if (editInput.checked) {
+            document.getElementById('edit-mode').checked = false;
+            selectionTool.disable();
+            labelEditor.enable();
+        } else {
+            labelEditor.disable();
+        }
+    });
+    document.getElementById('edit-mode').addEventListener('change', (e) => {
+        if (e.target.checked) {
+            editInput.checked = false;
+            labelEditor.disable();
+        }
+    });
+
+    document.getElementById('label-reset-positions').addEventListener('click', () => {
+        labelSettings.overrides = {};
+        saveLabelSettings();
+        updateLabels();
+    });
+}
+
+// ==========================================
+// 2つのデータの比較
+// ==========================================
+
+// 列ごとの市区町村リストをコードに解決し、コードごとのカテゴリ（列順）を求める
+function resolveComparisonSide(cities, colors) {
+    const categories = new Map();
+    cities.forEach((entries, headerName) => {
+        entries.forEach(entry => {
+            matcher.resolve(entry).codes.forEach(code => {
+                if (!categories.has(code)) categories.set(code, []);
+                if (!categories.get(code).includes(headerName)) categories.get(code).push(headerName);
+            });
+        });
+    });
+    return { categories, headers: Array.from(cities.keys()), colors };
+}
+
+// URLのデータを比較用に読み込む（表示中のデータは変えない）
+async function loadComparisonSide(url) {
+    const { rows, prefKey } = await loadCSVTable(convertToCSVUrl(url));
+    const { cities, colors } = collectSpecifiedCities(rows, prefKey);
+    return resolveComparisonSide(cities, colors);
+}
+
+// 比較元・比較先を読み込んで比較
+async function runComparison() {
+    const beforeUrl = document.getElementById('compare-before-url').value.trim();
+    const afterUrl = document.getElementById('compare-after-url').value.trim();
+    const runBtn = document.getElementById('compare-run');
+
+    if (!beforeUrl) {
+        updateStatus('比較元のURLを入力してください', '#dc3545');
+        return;
+    }
+
+    try {
+        runBtn.disabled = true;
+        updateStatus('比較するデータを読み込み中...', '#007bff');
+
+        const before = await loadComparisonSide(beforeUrl);
+        const after = afterUrl
+            ? await loadComparisonSide(afterUrl)
+            : resolveComparisonSide(specifiedCities, CsvDefaultColors);
+        comparison = { before, after, entries: diffCodeCategories(before.categories, after.categories), followsCurrent: !afterUrl };
+
+        updateComparison();
+        const counts = countDiffStatuses(comparison.entries);
+        updateStatus(`比較しました（追加 ${counts.added} / 削除 ${counts.removed} / 変更 ${counts.changed}）`, '#28a745');
+    } catch (error) {
+        console.error('読み込みエラー:', error);
+        updateStatus('エラー: ' + error.message, '#dc3545');
+    } finally {
+        runBtn.disabled = false;
+    }
+}
+
+// 比較先が表示中のデータなら、データの変更に合わせて比較し直す
+function refreshComparison() {
+    if (!comparison?.followsCurrent) return;
+
+    comparison.after = resolveComparisonSide(specifiedCities, CsvDefaultColors);
+    comparison.entries = diffCodeCategories(comparison.before.categories, comparison.after.categories);
+    renderComparisonSummary();
+}
+
+// 比較を終了して通常の表示に戻す
+function clearComparison() {
+    comparison = null;
+    updateComparison();
+}
+
+// 比較の結果を地図・表・並べた地図に反映
+function updateComparison() {
+    const view = document.getElementById('compare-view').value;
+    const split = Boolean(comparison) && view !== 'none';
+
+    if (split && !compareView) {
+        compareView = new MapCompareView(map, {
+            mode: view,
+            labels: ['比較元', '比較先'],
+            createMap: createComparisonMap
+        });
+    } else if (split) {
+        compareView.setMode(view);
+    } else if (compareView) {
+        compareView.remove();
+        compareView = null;
+    }
+
+    document.getElementById('compare-clear').disabled = !comparison;
+    updateMunicipalityLayer();
+    renderComparisonSummary();
+}
+
+// 比較元を表示する地図（元の地図と同じ背景・市区町村の塗り）
+function createComparisonMap(container) {
+    const compareMap = new maplibregl.Map({
+        container,
+        style: getBasemapStyle(),
+        center: map.getCenter(),
+        zoom: map.getZoom(),
+        maxBounds: japanBounds
+    });
+
+    compareMap.on('load', () => {
+        compareMap.addSource('municipalities', {
+            type: 'vector',
+            url: `pmtiles://${pmtilesUrl}`,
+            attribution: MUNICIPALITY_ATTRIBUTION
+        });
+        compareMap.addLayer({
+            id: 'municipality-fill',
+            type: 'fill',
+            source: 'municipalities',
+            'source-layer': 'municipalities',
+            paint: {
+                'fill-color': comparison ? buildComparisonCategoryExpression(comparison.before) : '#dfdfdf'
+            }
+        });
+        compareMap.addLayer({
+            id: 'municipality-line',
+            type: 'line',
+            source: 'municipalities',
+            'source-layer': 'municipalities',
+            paint: {
+                'line-color': '#ccc',
+                'line-width': .5
+            }
+        });
+    });
+
+    return compareMap;
+}
+
+// 比較中のカテゴリの色（シートの色がなければ比較先・比較元の列順で既定の色）
+function getComparisonColor(headerName) {
+    const { before, after } = comparison;
+    const headers = [...new Set([...after.headers, ...before.headers])];
+    return CsvHeaderColors.get(headerName) || after.colors.get(headerName) || before.colors.get(headerName) ||
+        getDefaultColor(headerName, headers);
+}
+
+// 色ごとの市区町村コードを match 式にする
+function buildCodeColorExpression(colorCodes, fallback) {
+    const branches = [];
+    colorCodes.forEach((codes, color) => branches.push(codes, color));
+    return branches.length > 0 ? ['match', ['get', 'N03_007'], ...branches, fallback] : fallback;
+}
+
+// 比較元・比較先の一方をカテゴリの色で塗る式（複数のカテゴリに含まれる場合は先の列）
+function buildComparisonCategoryExpression(side) {
+    const colorCodes = new Map();
+    side.categories.forEach(([headerName], code) => {
+        const color = getComparisonColor(headerName);
+        if (!colorCodes.has(color)) colorCodes.set(color, []);
+        colorCodes.get(color).push(code);
+    });
+    return buildCodeColorExpression(colorCodes, '#dfdfdf');
+}
+
+// 追加・削除・変更・変更なしで塗り分ける式
+function buildDiffColorExpression() {
+    const colorCodes = new Map();
+    comparison.entries.forEach(({ code, status }) => {
+        const { color } = DIFF_STATUSES[status];
+        if (!colorCodes.has(color)) colorCodes.set(color, []);
+        colorCodes.get(color).push(code);
+    });
+    return buildCodeColorExpression(colorCodes, '#dfdfdf');
+}
+
+// 比較中の凡例（差分の色分けでは分類ごとの件数、並べた表示ではカテゴリの色）
+function buildComparisonLegend() {
+    if (compareView) {
+        const headers = [...new Set([...comparison.before.headers, ...comparison.after.headers])];
+        return { type: 'items', items: headers.map(headerName => ({ label: headerName, color: getComparisonColor(headerName) })) };
+    }
+
+    const counts = countDiffStatuses(comparison.entries);
+    const items = Object.entries(DIFF_STATUSES).map(([status, { label, color }]) => ({ label, color, count: counts[status] }));
+    return { type: 'items', items };
+}
+
+// 比較の件数と、変化のあった市区町村の表
+function renderComparisonSummary() {
+    const summaryEl = document.getElementById('compare-summary');
+    if (!comparison) {
+        summaryEl.innerHTML = '';
+        return;
+    }
+
+    const counts = countDiffStatuses(comparison.entries);
+    const countRows = Object.entries(DIFF_STATUSES).map(([status, { label, color }]) =>
+        `<tr><th><span class="popup-swatch" style="background: ${color}"></span>${label}</th><td>${counts[status]}</td></tr>`
+    ).join('');
+
+    const records = new Map(searchData.map(record => [record.code, record]));
+    const changes = comparison.entries.filter(entry => entry.status !== 'unchanged');
+    const changeRows = changes.map(({ code, status, before, after }) => {
+        const record = records.get(code);
+        const name = record ? `${record.pref} ${record.full}` : code;
+        return `<tr data-code="${escapeHtml(code)}"><td>${escapeHtml(name)}</td><td>${escapeHtml(DIFF_STATUSES[status].label)}</td>` +
+            `<td>${escapeHtml(before.join('、'))}</td><td>${escapeHtml(after.join('、'))}</td></tr>`;
+    }).join('');
+
+    summaryEl.innerHTML = `<table class="compare-counts">${countRows}</table>` +
+        (changes.length > 0
+            ? '<div class="compare-changes"><table><thead><tr><th>市区町村</th><th>変化</th><th>比較元</th><th>比較先</th></tr></thead>' +
+              `<tbody>${changeRows}</tbody></table></div>`
+            : '<p class="file-hint">変化のあった市区町村はありません</p>');
+
+    // 行をクリックするとその市区町村に移動
+    summaryEl.querySelectorAll('tr[data-code]').forEach(row => {
+        row.addEventListener('click', () => {
+            const record = records.get(row.dataset.code);
+            if (record) flyToMunicipality(record.bounds, [record.code]);
+        });
+    });
+}
+
+// 比較パネルを初期化
+function setupComparisonControls() {
+    document.getElementById('compare-run').addEventListener('click', runComparison);
+    document.getElementById('compare-clear').addEventListener('click', clearComparison);
+    document.getElementById('compare-view').addEventListener('change', () => {
+        if (comparison) updateComparison();
+    });
+}
+
+// 地図へのドラッグ&ドロップでローカルファイルを読み込む
+function setupFileDrop() {
+    const mapContainer = map.getContainer();
+    const overlay = document.getElementById('drop-overlay');
+    let dragDepth = 0;
+
+    const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+    mapContainer.addEventListener('dragenter', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        dragDepth++;
+        overlay.hidden = false;
+    });
+
+    mapContainer.addEventListener('dragover', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+    });
+
+    mapContainer.addEventListener('dragleave', () => {
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (dragDepth === 0) overlay.hidden = true;
+    });
+
+    mapContainer.addEventListener('drop', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        dragDepth = 0;
+        overlay.hidden = true;
+
+        const file = e.dataTransfer.files[0];
+        if (file) {
+            loadLocalFile(file);
+        }
+    });
+}
+
+// ==========================================
+// 都道府県・地域単位の集計
+// ==========================================
+
+// 集計単位を作り直す（設定や検索用データが変わったとき）
+function updateAggregationUnits() {
+    if (aggregationSettings.granularity === 'municipality') {
+        aggregationUnits = null;
+        codeUnits = new Map();
+        return;
+    }
+
+    const regions = parseRegionDefinitions(aggregationSettings.regions);
+    const { units, unresolved } = buildAggregationUnits(
+        aggregationSettings.granularity, searchData, regions, member => matcher.resolve(member)
+    );
+    unresolved.forEach(member => console.warn('地域の定義に解決できない値があります:', member));
+    aggregationUnits = units;
+    codeUnits = buildCodeUnits(units);
+}
+
+// セル値を市区町村コードに解決
+// 都道府県・地域単位では、単位名またはその市区町村を含む単位の、すべての市区町村コードにする
+function resolveEntry(entry) {
+    if (!aggregationUnits) return matcher.resolve(entry);
+
+    const unitName = findUnitName(aggregationUnits, entry);
+    let units = unitName ? [unitName] : [];
+    if (!unitName) {
+        const result = matcher.resolve(entry);
+        if (result.status !== 'matched') return result;
+
+        units = [...new Set(result.codes.flatMap(code => codeUnits.get(code) || []))];
+        // 市区町村としては一致しても、どの地域にも含まれなければ該当なし
+        if (units.length === 0) return { ...result, status: 'unmatched', codes: [], candidates: [] };
+    }
+
+    return {
+        input: entry,
+        status: 'matched',
+        codes: [...new Set(units.flatMap(unit => aggregationUnits.get(unit)))],
+        candidates: units.map(unit => ({ pref: '', full: unit, codes: aggregationUnits.get(unit) })),
+        units
+    };
+}
+
+// 凡例の件数（都道府県・地域単位では単位の数）
+function countUnits(codes) {
+    if (!aggregationUnits) return codes.length;
+    return new Set(codes.map(code => codeUnits.get(code)?.[0])).size;
+}
+
+// 都道府県単位では都道府県の形状を直接塗る（市区町村の境界線は隠す）
+function updatePrefectureFill() {
+    if (!map.getLayer('prefecture-fill')) return;
+
+    const prefectureMode = aggregationSettings.granularity === 'prefecture' && !comparison;
+    map.setLayoutProperty('prefecture-fill', 'visibility', prefectureMode ? 'visible' : 'none');
+    map.setLayoutProperty('municipality-line', 'visibility', prefectureMode ? 'none' : 'visible');
+    if (!prefectureMode) return;
+
+    // 都道府県に含まれる市区町村はすべて同じ色なので、そのうちの1つの色を使う
+    const colorOfCode = new Map();
+    if (displayMode !== 'value') {
+        getPaintGroups().forEach(group => group.codes.forEach(code => colorOfCode.set(code, group.color)));
+    }
+
+    const branches = [];
+    aggregationUnits.forEach((codes, pref) => {
+        let color = null;
+        if (displayMode === 'value') {
+            color = unitValues.has(pref) ? getValueColor(unitValues.get(pref)) : null;
+        } else {
+            const code = codes.find(item => colorOfCode.has(item));
+            color = code ? colorOfCode.get(code) : null;
+        }
+        if (color) branches.push(pref, color);
+    });
+
+    map.setPaintProperty('prefecture-fill', 'fill-color',
+        branches.length > 0 ? ['match', ['get', 'N03_001'], ...branches, '#dfdfdf'] : '#dfdfdf');
+}
+
+// 地域単位では地域の境界線を表示（市区町村の形状データから作成）
+async function updateRegionOutlines() {
+    const source = map.getSource('region-outlines');
+    if (!source) return;
+
+    const units = codeUnits;
+    if (aggregationSettings.granularity !== 'region' || !aggregationSettings.outlines || regionOutlinesError || units.size === 0) {
+        source.setData({ type: 'FeatureCollection', features: [] });
+        return;
+    }
+
+    try {
+        const topology = await getMunicipalityTopology();
+        // 読み込み中に設定が変わっていたら何もしない
+        if (units !== codeUnits) return;
+        source.setData(buildRegionOutlines(topology, units));
+        insetControl.refresh();
+    } catch (error) {
+        // 形状データが作れない環境では、塗り分けはそのままで境界線の表示だけを止める
+        console.warn('地域の境界線を作成できません:', error);
+        regionOutlinesError = error.message;
+        syncAggregationControls();
+        updateStatus('地域の境界線は表示できませんが、地域ごとの塗り分けは行えます', '#007bff');
+    }
+}
+
+// 集計単位の設定を反映（市区町村の解決からやり直す）
+function applyAggregationSettings() {
+    localStorage.setItem('aggregationSettings', JSON.stringify(aggregationSettings));
+    updateAggregationUnits();
+    applySpecifiedCities();
+    updateRegionOutlines();
+    scheduleProjectSave();
+}
+
+// 集計単位の設定を操作パネルに反映
+function syncAggregationControls() {
+    document.getElementById('aggregation-granularity').value = aggregationSettings.granularity;
+    document.getElementById('aggregation-method').value = aggregationSettings.method;
+    document.getElementById('aggregation-regions').value = aggregationSettings.regions;
+    const outlinesCheckbox = document.getElementById('aggregation-outlines');
+    outlinesCheckbox.checked = aggregationSettings.outlines && !regionOutlinesError;
+    outlinesCheckbox.disabled = Boolean(regionOutlinesError);
+    const outlinesHint = document.getElementById('aggregation-outlines-hint');
+    outlinesHint.textContent = regionOutlinesError ? `地域の境界線は表示できません（${regionOutlinesError}）` : '';
+
+    const { granularity } = aggregationSettings;
+    document.getElementById('aggregation-method').parentElement.hidden = granularity === 'municipality';
+    document.getElementById('aggregation-regions').parentElement.hidden = granularity !== 'region';
+    document.getElementById('aggregation-reset-regions').hidden = granularity !== 'region';
+    outlinesCheckbox.parentElement.hidden = granularity !== 'region';
+    outlinesHint.hidden = granularity !== 'region' || !regionOutlinesError;
+}
+
+// 集計単位のパネルを初期化
+function setupAggregationControls() {
+    const granularitySelect = document.getElementById('aggregation-granularity');
+    const methodSelect = document.getElementById('aggregation-method');
+    const regionsInput = document.getElementById('aggregation-regions');
+
+    Object.entries(GRANULARITIES).forEach(([value, label]) => granularitySelect.appendChild(new Option(label, value)));
+    Object.entries(AGGREGATION_METHODS).forEach(([value, { label }]) => methodSelect.appendChild(new Option(label, value)));
+    syncAggregationControls();
+    updateAggregationUnits();
+
+    granularitySelect.addEventListener('change', () => {
+        aggregationSettings.granularity = granularitySelect.value;
+        syncAggregationControls();
+        applyAggregationSettings();
+    });
+
+    methodSelect.addEventListener('change', () => {
+        aggregationSettings.method = methodSelect.value;
+        applyAggregationSettings();
+    });
+
+    regionsInput.addEventListener('change', () => {
+        aggregationSettings.regions = regionsInput.value;
+        applyAggregationSettings();
+    });
+
+    document.getElementById('aggregation-outlines').addEventListener('change', (e) => {
+        aggregationSettings.outlines = e.target.checked;
+        localStorage.setItem('aggregationSettings', JSON.stringify(aggregationSettings));
+        updateRegionOutlines();
+        scheduleProjectSave();
+    });
+
+    document.getElementById('aggregation-reset-regions').addEventListener('click', () => {
+        aggregationSettings.regions = DEFAULT_REGION_DEFINITIONS;
+        regionsInput.value = DEFAULT_REGION_DEFINITIONS;
+        applyAggregationSettings();
+    });
+}
+
+// CSVのセル値を市区町村コードに解決
+function resolveSpecifiedCities() {
+    if (displayMode === 'value') {
+        resolveValueColumn();
+        return;
+    }
+
+    matchResults = new Map();
+    specifiedCities.forEach((citySet, headerName) => {
+        const results = Array.from(citySet).map(entry => resolveEntry(entry));
+        matchResults.set(headerName, results);
+
+        results
+            .filter(result => result.status !== 'matched')
+            .forEach(result => console.warn(
+                result.status === 'ambiguous' ? '候補が複数あるため塗りつぶしません:' : '該当する市区町村がありません:',
+                headerName, result.input, result.candidates.map(c => c.pref + c.full)
+            ));
+    });
+}
+
+// 数値モード: 市区町村の列を解決し、コードごとの値を求める
+function resolveValueColumn() {
+    const { keyColumn, valueColumn } = valueModeSettings;
+    codeValues = new Map();
+    unitValues = new Map();
+    matchResults = new Map();
+
+    // 起点からの隣数（都道府県・地域単位では単位に含まれる市区町村の最小の隣数）
+    if (valueColumn === HOP_DISTANCE_COLUMN) {
+        if (!adjacency) {
+            // 保存したプロジェクトなどで隣数で塗るときは、隣接グラフを作ってから塗り直す
+            if (adjacencyFromShapes) ensureAdjacency().then(ready => ready && applySpecifiedCities());
+            return;
+        }
+        codeValues = hopDistances(adjacency, adjacencySettings.originCodes, adjacencySettings.hops);
+        if (!aggregationUnits) return;
+
+        aggregationUnits.forEach((codes, unit) => {
+            const distances = codes.filter(code => codeValues.has(code)).map(code => codeValues.get(code));
+            if (distances.length > 0) unitValues.set(unit, Math.min(...distances));
+        });
+        codeValues = new Map();
+        unitValues.forEach((value, unit) => aggregationUnits.get(unit).forEach(code => codeValues.set(code, value)));
+        return;
+    }
+
+    // 地点の件数（都道府県・地域単位では単位ごとの件数）
+    if (valueColumn === POINT_COUNT_COLUMN) {
+        if (!aggregationUnits) {
+            codeValues = countPoints(pointCodes).counts;
+            return;
+        }
+        unitValues = countPoints(pointCodes, code => codeUnits.get(code) || []).counts;
+        unitValues.forEach((value, unit) => aggregationUnits.get(unit).forEach(code => codeValues.set(code, value)));
+        return;
+    }
+
+    if (!csvFields.includes(keyColumn) || !csvFields.includes(valueColumn)) return;
+
+    const results = [];
+    const unitRows = new Map();
+    csvRows.forEach(row => {
+        const key = (row[keyColumn] || '').trim();
+        if (!key) return;
+
+        const value = parseNumber(row[valueColumn]);
+        if (value === null) {
+            console.warn('数値として読み込めない値をスキップしました:', key, row[valueColumn]);
+            return;
+        }
+
+        const result = resolveEntry(csvPrefKey ? qualifyEntry(key, row[csvPrefKey]) : key);
+        results.push(result);
+
+        // 都道府県・地域単位では単位ごとに値を集めて、後でまとめる
+        if (aggregationUnits) {
+            (result.units || []).forEach(unit => {
+                if (!unitRows.has(unit)) unitRows.set(unit, []);
+                unitRows.get(unit).push(value);
+            });
+            return;
+        }
+
+        result.codes.forEach(code => {
+            if (codeValues.has(code)) {
+                console.warn('同じ市区町村に複数の値があります（後の行を採用）:', key, code);
+            }
+            codeValues.set(code, value);
+        });
+    });
+
+    // 単位ごとにまとめた値を、単位に含まれる市区町村に設定
+    const { aggregate } = AGGREGATION_METHODS[aggregationSettings.method];
+    unitRows.forEach((values, unit) => {
+        const value = aggregate(values);
+        unitValues.set(unit, value);
+        aggregationUnits.get(unit).forEach(code => codeValues.set(code, value));
+    });
+
+    matchResults.set(keyColumn, results);
+}
+
+// 数値の列の表示名（凡例のタイトルなど）
+function getValueColumnLabel() {
+    const labels = { [POINT_COUNT_COLUMN]: '地点の件数', [HOP_DISTANCE_COLUMN]: '起点からの隣数' };
+    return labels[valueModeSettings.valueColumn] || valueModeSettings.valueColumn;
+}
+
+// 階級区分・凡例に使う値（都道府県・地域単位では単位ごとに1つ）
+function getValueList() {
+    return Array.from((aggregationUnits ? unitValues : codeValues).values());
+}
+
+// ポップアップのキー列を解決し、市区町村コードごとの行を求める
+function resolvePopupRows() {
+    codeRows = new Map();
+    const { keyColumn } = popupSettings;
+    if (!csvFields.includes(keyColumn)) return;
+
+    csvRows.forEach(row => {
+        const key = (row[keyColumn] || '').trim();
+        if (!key) return;
+
+        const result = resolveEntry(csvPrefKey ? qualifyEntry(key, row[csvPrefKey]) : key);
+        result.codes.forEach(code => {
+            if (!codeRows.has(code)) codeRows.set(code, []);
+            codeRows.get(code).push(row);
+        });
+    });
+}
+
+// 列の値のうち数値として読める割合
+function numericRatio(field) {
+    const values = csvRows.map(row => (row[field] || '').trim()).filter(Boolean);
+    if (values.length === 0) return 0;
+    return values.filter(value => parseNumber(value) !== null).length / values.length;
+}
+
+// 数値モードの列選択肢を更新（未設定・存在しない列なら推測して選ぶ）
+function updateValueColumnOptions() {
+    const keySelect = document.getElementById('value-key-column');
+    const valueSelect = document.getElementById('value-column');
+    const candidates = csvFields.filter(field => field !== csvPrefKey);
+    // 地点を表示しているときは市区町村ごとの地点の件数、隣数で塗り始めたら起点からの隣数でも塗れる
+    const valueCandidates = [
+        ...candidates,
+        ...(getPointColumns().length > 0 ? [POINT_COUNT_COLUMN] : []),
+        ...((adjacency || adjacencyFromShapes) && adjacencySettings.originCodes.length > 0 ? [HOP_DISTANCE_COLUMN] : [])
+    ];
+
+    if (!candidates.includes(valueModeSettings.keyColumn)) {
+        valueModeSettings.keyColumn = candidates.find(field => numericRatio(field) < 0.5) || candidates[0] || '';
+    }
+    if (!valueCandidates.includes(valueModeSettings.valueColumn) || valueModeSettings.valueColumn === valueModeSettings.keyColumn) {
+        valueModeSettings.valueColumn = candidates.find(field =>
+            field !== valueModeSettings.keyColumn && numericRatio(field) >= 0.5
+        ) || '';
+    }
+
+    [[keySelect, candidates, valueModeSettings.keyColumn], [valueSelect, valueCandidates, valueModeSettings.valueColumn]].forEach(([select, fields, selected]) => {
+        select.innerHTML = '';
+        fields.forEach(field => {
+            const option = document.createElement('option');
+            option.value = field;
+            option.textContent = { [POINT_COUNT_COLUMN]: '（地点の件数）', [HOP_DISTANCE_COLUMN]: '（起点からの隣数）' }[field] || field;
+            select.appendChild(option);
+        });
+        select.value = selected;
+    });
+}
+
+// 数値モードの操作パネルを初期化
+function setupValueModeControls() {
+    const modeInputs = document.querySelectorAll('input[name="display-mode"]');
+    const keySelect = document.getElementById('value-key-column');
+    const valueSelect = document.getElementById('value-column');
+    const methodSelect = document.getElementById('classification-method');
+    const classCountInput = document.getElementById('class-count');
+    const manualBreaksInput = document.getElementById('manual-breaks');
+    const rampSelect = document.getElementById('color-ramp');
+    const reverseInput = document.getElementById('ramp-reverse');
+
+    Object.entries(CLASSIFICATION_METHODS).forEach(([value, label]) => {
+        methodSelect.appendChild(new Option(label, value));
+    });
+    Object.entries(COLOR_RAMPS).forEach(([value, ramp]) => {
+        rampSelect.appendChild(new Option(ramp.label, value));
+    });
+
+    // 保存された設定を反映
+    syncValueModeControls();
+
+    const onChange = () => {
+        valueModeSettings.keyColumn = keySelect.value;
+        valueModeSettings.valueColumn = valueSelect.value;
+        valueModeSettings.method = methodSelect.value;
+        valueModeSettings.classCount = Math.min(9, Math.max(2, parseInt(classCountInput.value, 10) || 5));
+        valueModeSettings.manualBreaks = manualBreaksInput.value
+            .split(/[,、\s]+/)
+            .map(parseNumber)
+            .filter(value => value !== null);
+        valueModeSettings.ramp = rampSelect.value;
+        valueModeSettings.reverse = reverseInput.checked;
+
+        localStorage.setItem('valueModeSettings', JSON.stringify(valueModeSettings));
+        updateValueModeVisibility();
+        applySpecifiedCities();
+        scheduleProjectSave();
+    };
+
+    [keySelect, valueSelect, methodSelect, classCountInput, manualBreaksInput, rampSelect, reverseInput]
+        .forEach(el => el.addEventListener('change', onChange));
+
+    modeInputs.forEach(input => {
+        input.addEventListener('change', () => {
+            if (!input.checked) return;
+            displayMode = input.value;
+            localStorage.setItem('displayMode', displayMode);
+            updateValueModeVisibility();
+            applySpecifiedCities();
+            scheduleProjectSave();
+        });
+    });
+}
+
+// 表示モードと数値モードの設定を操作パネルに反映
+function syncValueModeControls() {
+    document.querySelectorAll('input[name="display-mode"]').forEach(input => {
+        input.checked = input.value === displayMode;
+    });
+    document.getElementById('classification-method').value = valueModeSettings.method;
+    document.getElementById('class-count').value = valueModeSettings.classCount;
+    document.getElementById('manual-breaks').value = valueModeSettings.manualBreaks.join(', ');
+    document.getElementById('color-ramp').value = valueModeSettings.ramp;
+    document.getElementById('ramp-reverse').checked = valueModeSettings.reverse;
+    updateValueModeVisibility();
+}
+
+// 区分方法に応じて階級数・境界値の入力欄を切り替え
+function updateValueModeVisibility() {
+    document.getElementById('value-mode-settings').hidden = displayMode !== 'value';
+    document.getElementById('class-count').parentElement.hidden =
+        ['manual', 'continuous'].includes(valueModeSettings.method);
+    document.getElementById('manual-breaks').parentElement.hidden = valueModeSettings.method !== 'manual';
+    // 数値モードにはカテゴリがないので結合はできない
+    document.getElementById('export-dissolve').disabled = displayMode === 'value';
+}
+
+// ヘッダーごとに解決済みの市区町村コードを取得
+function getResolvedCodes(headerName) {
+    const codes = new Set();
+    (matchResults.get(headerName) || []).forEach(result => {
+        result.codes.forEach(code => codes.add(code));
+    });
+    return codes;
+}
+
+// レイヤーの色を更新
+function updateMunicipalityLayer() {
+    codeCategories = displayMode === 'value' ? new Map() : buildCodeCategories();
+    const colorExpression = buildColorExpression();
+
+    if (map.getLayer('municipality-fill')) {
+        map.setPaintProperty('municipality-fill', 'fill-color', colorExpression);
+    }
+    updateOverlapPatterns(displayMode === 'value' || comparison ? [] : getPaintGroups());
+    updatePrefectureFill();
+
+    // 並べた表示の比較元の地図
+    const compareMap = compareView?.getCompareMap();
+    if (compareMap?.getLayer('municipality-fill')) {
+        compareMap.setPaintProperty('municipality-fill', 'fill-color', buildComparisonCategoryExpression(comparison.before));
+    }
+
+    // 優先順位の一覧の色も合わせる
+    renderCategoryOrder();
+
+    // ラベル（色を塗った市区町村のみの場合など）を更新し、離島の差し込み枠の地図にも反映
+    updateLabels();
+
+    updateLegend();
+    updateStatistics();
+}
+
+// 背景地図・市区町村タイルの保存設定を読み込み
+function loadBasemapSettings() {
+    try {
+        return { ...DEFAULT_BASEMAP_SETTINGS, ...JSON.parse(localStorage.getItem('basemapSettings')) };
+    } catch (e) {
+        console.error('背景地図の設定の読み込みに失敗しました', e);
+        return { ...DEFAULT_BASEMAP_SETTINGS };
+    }
+}
+
+// 設定に対応する背景地図のスタイル
+function getBasemapStyle() {
+    return resolveBasemapStyle(basemapSettings, new URL('./prefectures-geo.json', window.location.href).href);
+}
+
+// 市区町村タイルのPMTilesをプロトコルに追加して使う（URL またはローカルファイルの FileSource）
+function setMunicipalityTiles(source) {
+    const pmtiles = new PMTiles(source);
+    protocol.add(pmtiles);
+    pmtilesUrl = pmtiles.source.getKey();
+    municipalityTiles = pmtiles;
+    // タイルから作った形状データと、それを使う地点の振り分けは新しいタイルで作り直す
+    resetMunicipalityTopology();
+    municipalityLocator = null;
+}
+
+// 年度と背景地図の設定に対応する市区町村タイルに戻す（ローカルファイルは選び直すまで標準のURL）
+function resetMunicipalityTiles() {
+    const vintage = getBoundaryVintage(boundaryYear);
+    const url = vintage?.pmtiles
+        || (basemapSettings.tiles === 'url' && basemapSettings.tilesUrl ? basemapSettings.tilesUrl : PMTILES_URL);
+    setMunicipalityTiles(new URL(url, window.location.href).href);
+}
+
+// 市区町村タイルのソースを今の pmtilesUrl に差し替え、そのソースを使うレイヤーを同じ順序・設定で追加し直す
+// （背景地図は読み込み直さない。市区町村レイヤーを追加する前なら追加時に pmtilesUrl が使われる）
+function replaceMunicipalitySource() {
+    const style = map.getStyle();
+    const source = style?.sources.municipalities;
+    if (!source) return;
+
+    const layers = style.layers.filter(layer => layer.source === 'municipalities');
+    const ids = new Set(layers.map(layer => layer.id));
+    // 各レイヤーの直後にある、差し替えないレイヤー（その前に追加し直す）
+    const beforeIds = new Map(layers.map(layer => {
+        const index = style.layers.findIndex(({ id }) => id === layer.id);
+        return [layer.id, style.layers.slice(index + 1).find(({ id }) => !ids.has(id))?.id];
+    }));
+
+    layers.forEach(layer => map.removeLayer(layer.id));
+    map.removeSource('municipalities');
+    map.addSource('municipalities', { ...source, url: `pmtiles://${pmtilesUrl}` });
+    layers.forEach(layer => map.addLayer(layer, beforeIds.get(layer.id)));
+
+    updateMunicipalityLayer();
+    insetControl.rebuild();
+}
+
+// 背景地図のスタイルのレイヤー・ソースのID（これ以外はこのアプリで重ねたもの）
+function collectBasemapIds(style) {
+    return {
+        layers: new Set(style.layers.map(layer => layer.id)),
+        sources: new Set(Object.keys(style.sources))
+    };
+}
+
+// 背景地図と市区町村タイルを切り替え（重ねているレイヤーと塗り分けは引き継ぐ）
+function applyBasemap() {
+    const previousIds = basemapIds;
+    // 差分での更新では style.load が発生せず、塗り・斜線の画像・差し込み枠を作り直せないので、スタイルを読み込み直す
+    map.setStyle(getBasemapStyle(), {
+        diff: false,
+        transformStyle: (previous, next) => {
+            basemapIds = collectBasemapIds(next);
+            const style = mergeOverlayStyle(previous, next, previousIds);
+            style.sources.municipalities = { ...style.sources.municipalities, url: `pmtiles://${pmtilesUrl}` };
+            return style;
+        }
+    });
+    // 差し込み枠の地図は InsetMapsControl が style.load で作り直す
+    map.once('style.load', () => {
+        updateMunicipalityLayer();
+        updateStatus('背景地図を切り替えました', '#28a745');
+    });
+}
+
+// 背景地図の設定を操作パネルに反映
+function syncBasemapControls() {
+    document.getElementById('basemap-style').value = basemapSettings.style;
+    document.getElementById('basemap-style-url').value = basemapSettings.styleUrl;
+    document.getElementById('basemap-tiles').value = basemapSettings.tiles;
+    document.getElementById('basemap-tiles-url').value = basemapSettings.tilesUrl;
+    document.getElementById('basemap-style-url-row').hidden = basemapSettings.style !== 'custom';
+    document.getElementById('basemap-tiles-url-row').hidden = basemapSettings.tiles !== 'url';
+    document.getElementById('basemap-tiles-file-row').hidden = basemapSettings.tiles !== 'file';
+}
+
+// 背景地図のパネルを初期化
+function setupBasemapControls() {
+    const styleSelect = document.getElementById('basemap-style');
+    const tilesSelect = document.getElementById('basemap-tiles');
+    const fileInput = document.getElementById('basemap-tiles-file');
+    Object.entries(BASEMAP_STYLES).forEach(([value, { label }]) => styleSelect.appendChild(new Option(label, value)));
+    Object.entries(TILE_SOURCES).forEach(([value, label]) => tilesSelect.appendChild(new Option(label, value)));
+    syncBasemapControls();
+
+    // 選択肢に合わせて入力欄を切り替える（適用するまで地図は変えない）
+    [styleSelect, tilesSelect].forEach(select => select.addEventListener('change', () => {
+        document.getElementById('basemap-style-url-row').hidden = styleSelect.value !== 'custom';
+        document.getElementById('basemap-tiles-url-row').hidden = tilesSelect.value !== 'url';
+        document.getElementById('basemap-tiles-file-row').hidden = tilesSelect.value !== 'file';
+    }));
+
+    document.getElementById('basemap-apply').addEventListener('click', () => {
+        const settings = {
+            style: styleSelect.value,
+            styleUrl: document.getElementById('basemap-style-url').value.trim(),
+            tiles: tilesSelect.value,
+            tilesUrl: document.getElementById('basemap-tiles-url').value.trim()
+        };
+        if (settings.style === 'custom' && !settings.styleUrl) {
+            updateStatus('スタイルのURLを入力してください', '#dc3545');
+            return;
+        }
+        if (settings.tiles === 'url' && !settings.tilesUrl) {
+            updateStatus('PMTilesのURLを入力してください', '#dc3545');
+            return;
+        }
+        const file = fileInput.files[0];
+        if (settings.tiles === 'file' && !file) {
+            updateStatus('PMTilesファイルを選んでください', '#dc3545');
+            return;
+        }
+
+        Object.assign(basemapSettings, settings);
+        localStorage.setItem('basemapSettings', JSON.stringify(basemapSettings));
+        // 過去の年度を表示している間はその年度のタイルを使い続ける（年度のタイルがなければ最新のタイルを切り替える）
+        if (!getBoundaryVintage(boundaryYear)?.pmtiles) {
+            if (settings.tiles === 'file') {
+                setMunicipalityTiles(new FileSource(file));
+            } else {
+                resetMunicipalityTiles();
+            }
+        }
+        applyBasemap();
+    });
+}
+
+// 過去の年度の行政区域の一覧と合併前の市区町村の対応表を読み込み（どちらもなければ最新の年度だけ）
+async function loadBoundaryVintages() {
+    const fetchJson = async url => {
+        try {
+            const response = await fetch(url);
+            return response.ok ? await response.json() : null;
+        } catch (error) {
+            return null;
+        }
+    };
+    const [vintages, crosswalk] = await Promise.all([fetchJson(VINTAGES_URL), fetchJson(CROSSWALK_URL)]);
+    boundaryVintages = Array.isArray(vintages?.vintages) && vintages.vintages.length > 0 ? vintages : null;
+    crosswalkEntries = Array.isArray(crosswalk?.entries) ? crosswalk.entries : [];
+    if (crosswalkEntries.length > 0) {
+        console.log(`合併前の市区町村の対応表を読み込みました: ${crosswalkEntries.length} 件`);
+    }
+}
+
+// 年度に対応する過去の行政区域（最新・未登録なら null）
+function getBoundaryVintage(year) {
+    return boundaryVintages?.vintages.find(vintage => vintage.year === year) || null;
+}
+
+// 表示する行政区域の年度を切り替え（null は最新）。検索・照合・塗り分けもその年度の市区町村で行う
+async function setBoundaryYear(year) {
+    const vintage = getBoundaryVintage(year);
+    boundaryYear = vintage ? year : null;
+    document.getElementById('boundary-year').value = boundaryYear ?? '';
+    if (boundaryYear === null) {
+        localStorage.removeItem('boundaryYear');
+    } else {
+        localStorage.setItem('boundaryYear', String(boundaryYear));
+    }
+
+    await loadSearchData(vintage);
+    await loadAdjacency(vintage);
+    // 年度のタイルに差し替え、塗り分けのレイヤーをそのソースで作り直す
+    resetMunicipalityTiles();
+    replaceMunicipalitySource();
+    document.getElementById('boundary-tiles-hint').hidden = !vintage || Boolean(vintage.pmtiles);
+
+    updateAggregationUnits();
+    applySpecifiedCities();
+    scheduleProjectSave();
+}
+
+// 行政区域の年度の選択欄を初期化
+function setupBoundaryYearControls() {
+    const select = document.getElementById('boundary-year');
+    const current = boundaryVintages?.current;
+    select.appendChild(new Option(current ? `${current}年（最新）` : '最新', ''));
+    (boundaryVintages?.vintages || []).forEach(({ year }) => select.appendChild(new Option(`${year}年`, year)));
+    select.value = boundaryYear ?? '';
+    select.disabled = !boundaryVintages;
+    document.getElementById('boundary-year-hint').hidden = Boolean(boundaryVintages);
+    const vintage = getBoundaryVintage(boundaryYear);
+    document.getElementById('boundary-tiles-hint').hidden = !vintage || Boolean(vintage.pmtiles);
+
+    select.addEventListener('change', () => setBoundaryYear(select.value ? Number(select.value) : null));
+}
+
+// 離島の差し込み枠の保存設定を読み込み
+function loadInsetSettings() {
+    const defaults = { enabled: false, insets: ['okinawa'] };
+    try {
+        return { ...defaults, ...JSON.parse(localStorage.getItem('insetSettings')) };
+    } catch (e) {
+        console.error('差し込み枠の設定の読み込みに失敗しました', e);
+        return defaults;
+    }
+}
+
+// 差し込み枠で表示する地域の選択肢を初期化
+function setupInsetControls() {
+    const container = document.getElementById('inset-regions');
+
+    Object.entries(INSET_REGIONS).forEach(([key, { label }]) => {
+        const item = document.createElement('label');
+        item.className = 'inline';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = insetSettings.insets.includes(key);
+        checkbox.addEventListener('change', () => {
+            insetSettings.insets = Object.keys(INSET_REGIONS).filter(name =>
+                name === key ? checkbox.checked : insetSettings.insets.includes(name)
+            );
+            localStorage.setItem('insetSettings', JSON.stringify(insetSettings));
+            insetControl.setInsets(insetSettings.insets);
+        });
+        item.append(checkbox, ` ${label}`);
+        container.appendChild(item);
+    });
+}
+
+// 凡例の保存設定を読み込み
+function loadLegendSettings() {
+    try {
+        return JSON.parse(localStorage.getItem('legendSettings')) || {};
+    } catch (e) {
+        console.error('凡例設定の読み込みに失敗しました', e);
+        return {};
+    }
+}
+
+// 凡例用の数値表記
+function formatLegendValue(value) {
+    return value.toLocaleString('ja-JP', { maximumFractionDigits: 2 });
+}
+
+// 現在の塗り分けから凡例の内容を作成
+function buildLegend() {
+    if (comparison) {
+        return buildComparisonLegend();
+    }
+
+    if (displayMode !== 'value') {
+        // カテゴリの件数は重なりを含めた数、重なりのグループはその数を別に表示
+        const items = getPaintGroups()
+            .filter(group => !group.overlap || group.codes.length > 0)
+            .map(group => ({
+                label: group.label,
+                color: group.color,
+                colors: overlapSettings.policy === 'pattern' ? group.colors : undefined,
+                count: countUnits(group.overlap ? group.codes : Array.from(getResolvedCodes(group.label)))
+            }));
+        return { type: 'items', items };
+    }
+
+    const values = getValueList();
+    if (values.length === 0) {
+        return { type: 'items', items: [] };
+    }
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+
+    if (valueModeSettings.method === 'continuous') {
+        const { ramp, reverse } = valueModeSettings;
+        return {
+            type: 'gradient',
+            colors: getRampColors(ramp, COLOR_RAMPS[ramp].colors.length, reverse),
+            labels: [formatLegendValue(min), formatLegendValue(max)]
+        };
+    }
+
+    // 階級ごとに「下限 – 上限」と件数を表示
+    const { breaks, colors } = getValueClasses();
+    const bounds = [min, ...breaks, max];
+    const items = colors.map((color, i) => ({
+        label: `${formatLegendValue(bounds[i])} – ${formatLegendValue(bounds[i + 1])}`,
+        color,
+        count: values.filter(value =>
+            value >= bounds[i] && (i === colors.length - 1 ? value <= bounds[i + 1] : value < bounds[i + 1])
+        ).length
+    }));
+    return { type: 'items', items };
+}
+
+// 凡例を更新（タイトル未設定なら数値モードでは数値の列名を使う）
+function updateLegend() {
+    legendControl.setLegend(buildLegend());
+
+    const title = document.getElementById('legend-title')?.value.trim() || '';
+    legendControl.setOptions({ title: title || (displayMode === 'value' ? getValueColumnLabel() : '') });
+}
+
+// 凡例の設定パネルを初期化
+function setupLegendControls() {
+    const visibleInput = document.getElementById('legend-visible');
+    const titleInput = document.getElementById('legend-title');
+    const showCountsInput = document.getElementById('legend-show-counts');
+    const positionSelect = document.getElementById('legend-position');
+    const styleSelect = document.getElementById('legend-style');
+
+    Object.entries(LEGEND_POSITIONS).forEach(([value, label]) => {
+        positionSelect.appendChild(new Option(label, value));
+    });
+    Object.entries(LEGEND_STYLES).forEach(([value, style]) => {
+        styleSelect.appendChild(new Option(style.label, value));
+    });
+
+    syncLegendControls();
+
+    const onChange = () => {
+        const settings = {
+            visible: visibleInput.checked,
+            title: titleInput.value.trim(),
+            showCounts: showCountsInput.checked,
+            position: positionSelect.value,
+            style: styleSelect.value
+        };
+        localStorage.setItem('legendSettings', JSON.stringify(settings));
+        legendControl.setOptions(settings);
+        updateLegend();
+        scheduleProjectSave();
+    };
+
+    [visibleInput, showCountsInput, positionSelect, styleSelect].forEach(el => el.addEventListener('change', onChange));
+    titleInput.addEventListener('input', onChange);
+}
+
+// 凡例の設定を操作パネルに反映
+function syncLegendControls() {
+    const options = legendControl.getOptions();
+    document.getElementById('legend-visible').checked = options.visible;
+    document.getElementById('legend-title').value = loadLegendSettings().title || '';
+    document.getElementById('legend-show-counts').checked = options.showCounts;
+    document.getElementById('legend-position').value = options.position;
+    document.getElementById('legend-style').value = options.style;
+}
+
+// 重なりの設定を保存して地図に反映
+function saveOverlapSettings() {
+    localStorage.setItem('overlapSettings', JSON.stringify(overlapSettings));
+    updateMunicipalityLayer();
+    scheduleProjectSave();
+}
+
+// 重なりの設定を操作パネルに反映
+function syncOverlapControls() {
+    document.getElementById('overlap-policy').value = overlapSettings.policy;
+    document.getElementById('overlap-color').value = overlapSettings.multipleColor;
+    document.getElementById('overlap-color').parentElement.hidden = overlapSettings.policy !== 'multiple';
+    renderCategoryOrder();
+}
+
+// 優先順位の一覧（ドラッグ&ドロップで並べ替え）
+function renderCategoryOrder() {
+    const listEl = document.getElementById('category-order');
+    listEl.innerHTML = '';
+
+    getCategoryOrder().forEach(headerName => {
+        const item = document.createElement('li');
+        item.className = 'category-order-item';
+        item.draggable = true;
+        item.dataset.category = headerName;
+
+        const swatch = document.createElement('span');
+        swatch.className = 'category-order-swatch';
+        swatch.style.background = CsvHeaderColors.get(headerName) || getDefaultColor(headerName);
+        item.appendChild(swatch);
+        item.appendChild(document.createTextNode(headerName));
+
+        listEl.appendChild(item);
+    });
+}
+
+// 重なりの設定パネルを初期化
+function setupOverlapControls() {
+    const policySelect = document.getElementById('overlap-policy');
+    const colorInput = document.getElementById('overlap-color');
+    const listEl = document.getElementById('category-order');
+    let dragged = null;
+
+    syncOverlapControls();
+
+    policySelect.addEventListener('change', () => {
+        overlapSettings.policy = policySelect.value;
+        colorInput.parentElement.hidden = overlapSettings.policy !== 'multiple';
+        saveOverlapSettings();
+    });
+
+    colorInput.addEventListener('input', () => {
+        overlapSettings.multipleColor = colorInput.value;
+        saveOverlapSettings();
+    });
+
+    listEl.addEventListener('dragstart', (e) => {
+        dragged = e.target.closest('.category-order-item');
+        e.dataTransfer.effectAllowed = 'move';
+        // Firefoxはデータがないとドラッグが始まらない
+        e.dataTransfer.setData('text/plain', dragged.dataset.category);
+    });
+
+    listEl.addEventListener('dragover', (e) => {
+        const target = e.target.closest('.category-order-item');
+        if (!dragged || !target || target === dragged) return;
+        e.preventDefault();
+
+        // 項目の上半分なら前に、下半分なら後ろに移動
+        const rect = target.getBoundingClientRect();
+        const before = e.clientY < rect.top + rect.height / 2;
+        listEl.insertBefore(dragged, before ? target : target.nextSibling);
+    });
+
+    listEl.addEventListener('dragend', () => {
+        if (!dragged) return;
+        dragged = null;
+        overlapSettings.order = Array.from(listEl.children, item => item.dataset.category);
+        saveOverlapSettings();
+    });
+}
+
+// ==========================================
+// プロジェクト管理
+// ==========================================
+
+// 現在の状態をプロジェクトの内容として取得
+function captureProjectState() {
+    const center = map.getCenter();
+    return {
+        source: currentSourceUrl ? { type: 'url', url: currentSourceUrl } : currentLocalSource,
+        colors: Array.from(CsvHeaderColors.entries()),
+        view: { center: [center.lng, center.lat], zoom: map.getZoom() },
+        displayMode,
+        valueSettings: { ...valueModeSettings },
+        legendSettings: loadLegendSettings(),
+        overlapSettings: { ...overlapSettings, order: getCategoryOrder() },
+        popupSettings: { ...popupSettings },
+        timeSeriesSettings: { ...timeSeriesSettings },
+        aggregationSettings: { ...aggregationSettings },
+        labelSettings: { ...labelSettings, selected: [...labelSettings.selected], overrides: { ...labelSettings.overrides } },
+        pointSettings: { ...pointSettings },
+        adjacencySettings: { ...adjacencySettings, originCodes: [...adjacencySettings.originCodes] },
+        boundaryYear,
+        liveRefreshInterval
+    };
+}
+
+// 開いているプロジェクトを少し遅らせて自動保存（連続した変更はまとめる）
+function scheduleProjectSave() {
+    if (!currentProjectId || isApplyingProject) return;
+
+    clearTimeout(projectSaveTimer);
+    projectSaveTimer = setTimeout(async () => {
+        if (!currentProjectId || isApplyingProject) return;
+        try {
+            const project = await getProject(currentProjectId);
+            if (project) {
+                await saveProject({ ...project, ...captureProjectState() });
+            }
+        } catch (error) {
+            console.error('プロジェクトの保存に失敗しました:', error);
+        }
+    }, 1000);
+}
+
+// プロジェクトを開いて、データソース・色・表示範囲・表示設定を反映
+async function applyProject(project) {
+    clearTimeout(projectSaveTimer);
+    isApplyingProject = true;
+    currentProjectId = project.id;
+    localStorage.setItem('currentProjectId', project.id);
+
+    try {
+        // 色はプロジェクトごとに独立させる
+        CsvHeaderColors.clear();
+        (project.colors || []).forEach(([key, value]) => {
+            if (isHexColor(value)) CsvHeaderColors.set(key, value);
+        });
+        localStorage.setItem('csvHeaderColors', JSON.stringify(Array.from(CsvHeaderColors.entries())));
+
+        displayMode = project.displayMode === 'value' ? 'value' : 'category';
+        Object.assign(valueModeSettings, project.valueSettings || {});
+        localStorage.setItem('displayMode', displayMode);
+        localStorage.setItem('valueModeSettings', JSON.stringify(valueModeSettings));
+        syncValueModeControls();
+
+        Object.assign(overlapSettings, { policy: 'priority', order: [], multipleColor: '#888888' }, project.overlapSettings);
+        localStorage.setItem('overlapSettings', JSON.stringify(overlapSettings));
+        syncOverlapControls();
+
+        Object.assign(popupSettings, { keyColumn: '', attributes: [], template: '' }, project.popupSettings);
+        localStorage.setItem('popupSettings', JSON.stringify(popupSettings));
+        syncPopupControls();
+
+        stopTimeSeries();
+        Object.assign(timeSeriesSettings, { source: 'none', dateColumn: '', cumulative: true, urls: '', interval: 1000 }, project.timeSeriesSettings);
+        localStorage.setItem('timeSeriesSettings', JSON.stringify(timeSeriesSettings));
+        syncTimeSeriesControls();
+
+        setLiveRefreshInterval(project.liveRefreshInterval || 0);
+
+        Object.assign(aggregationSettings, { granularity: 'municipality', method: 'sum', regions: DEFAULT_REGION_DEFINITIONS, outlines: true }, project.aggregationSettings);
+        localStorage.setItem('aggregationSettings', JSON.stringify(aggregationSettings));
+        syncAggregationControls();
+        updateAggregationUnits();
+        updateRegionOutlines();
+
+        Object.assign(labelSettings, {
+            mode: 'none', prefectures: false, fontSize: 12, textColor: '#333333', haloColor: '#ffffff', haloWidth: 1.5,
+            selected: [], overrides: {}
+        }, project.labelSettings);
+        localStorage.setItem('labelSettings', JSON.stringify(labelSettings));
+        syncLabelControls();
+        updateLabels();
+
+        Object.assign(pointSettings, {
+            enabled: true, latColumn: '', lngColumn: '', addressColumn: '', useAddress: false, color: '#e4572e'
+        }, project.pointSettings);
+        localStorage.setItem('pointSettings', JSON.stringify(pointSettings));
+        syncPointControls();
+
+        Object.assign(adjacencySettings, { origin: 'category', hops: 1, gapSize: 3, originCodes: [] }, project.adjacencySettings);
+        localStorage.setItem('adjacencySettings', JSON.stringify(adjacencySettings));
+        syncAdjacencyControls();
+
+        const legendSettings = project.legendSettings || {};
+        localStorage.setItem('legendSettings', JSON.stringify(legendSettings));
+        legendControl.setOptions({ ...DEFAULT_LEGEND_OPTIONS, ...legendSettings });
+        syncLegendControls();
+
+        if (project.view) {
+            map.jumpTo(project.view);
+        }
+
+        // 行政区域の年度（シートの照合より先に切り替える）
+        const year = getBoundaryVintage(project.boundaryYear) ? project.boundaryYear : null;
+        if (year !== boundaryYear) {
+            await setBoundaryYear(year);
+        }
+
+        // データソースを読み込み
+        const source = project.source;
+        currentSourceUrl = '';
+        currentLocalSource = null;
+        if (source?.type === 'url') {
+            document.getElementById('spreadsheet-url').value = source.url;
+            await loadSpreadsheet(source.url);
+        } else if (source?.type === 'text') {
+            await parseCSVText(source.text, source.delimiter);
+            currentLocalSource = source;
+            applySpecifiedCities();
+            updateStatus(`読み込み完了（${source.name}）`, '#28a745');
+        } else {
+            specifiedCities.clear();
+            csvFields = [];
+            csvAllRows = [];
+            csvRows = [];
+            applySpecifiedCities();
+        }
+    } catch (error) {
+        console.error('プロジェクトの読み込みに失敗しました:', error);
+        updateStatus('エラー: ' + error.message, '#dc3545');
+    } finally {
+        isApplyingProject = false;
+    }
+
+    renderProjectList();
+}
+
+// プロジェクト一覧を表示
+async function renderProjectList() {
+    const listEl = document.getElementById('project-list');
+    let projects = [];
+    try {
+        projects = await listProjects();
+    } catch (error) {
+        console.error('プロジェクト一覧の取得に失敗しました:', error);
+    }
+
+    listEl.innerHTML = '';
+    if (projects.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'project-empty';
+        empty.textContent = '保存したプロジェクトはありません';
+        listEl.appendChild(empty);
+    }
+
+    projects.forEach(project => {
+        const item = document.createElement('li');
+        item.className = 'project-item' + (project.id === currentProjectId ? ' active' : '');
+        item.textContent = project.name;
+        item.title = `最終更新: ${new Date(project.updatedAt).toLocaleString('ja-JP')}`;
+        item.addEventListener('click', () => {
+            if (project.id !== currentProjectId) {
+                applyProject(project);
+            }
+        });
+        listEl.appendChild(item);
+    });
+
+    // プロジェクトを開いていないときは対象がない操作を無効にする
+    ['project-duplicate', 'project-rename', 'project-delete', 'project-export'].forEach(id => {
+        document.getElementById(id).disabled = !currentProjectId;
+    });
+}
+
+// プロジェクトパネルの操作を初期化
+function setupProjectControls() {
+    const importInput = document.getElementById('project-import-input');
+
+    // IndexedDBの操作に失敗したらステータスに表示
+    const addProjectAction = (id, action) => {
+        document.getElementById(id).addEventListener('click', async () => {
+            try {
+                await action();
+            } catch (error) {
+                console.error('プロジェクトの操作に失敗しました:', error);
+                updateStatus('エラー: ' + error.message, '#dc3545');
+            }
+        });
+    };
+
+    // 現在の状態を新しいプロジェクトとして保存
+    addProjectAction('project-new', async () => {
+        const name = window.prompt('プロジェクト名', '新しいプロジェクト');
+        if (!name) return;
+        const project = await saveProject({ id: createProjectId(), name, ...captureProjectState() });
+        currentProjectId = project.id;
+        localStorage.setItem('currentProjectId', project.id);
+        renderProjectList();
+    });
+
+    addProjectAction('project-duplicate', async () => {
+        const project = await getProject(currentProjectId);
+        if (!project) return;
+        const copy = await saveProject({ ...project, ...captureProjectState(), id: createProjectId(), name: `${project.name} のコピー` });
+        currentProjectId = copy.id;
+        localStorage.setItem('currentProjectId', copy.id);
+        renderProjectList();
+    });
+
+    addProjectAction('project-rename', async () => {
+        const project = await getProject(currentProjectId);
+        if (!project) return;
+        const name = window.prompt('新しいプロジェクト名', project.name);
+        if (!name) return;
+        await saveProject({ ...project, name });
+        renderProjectList();
+    });
+
+    addProjectAction('project-delete', async () => {
+        const project = await getProject(currentProjectId);
+        if (!project || !window.confirm(`「${project.name}」を削除しますか？`)) return;
+        await deleteProject(project.id);
+        currentProjectId = null;
+        localStorage.removeItem('currentProjectId');
+        renderProjectList();
+    });
+
+    // JSONファイルとして書き出し
+    addProjectAction('project-export', async () => {
+        const project = await getProject(currentProjectId);
+        if (!project) return;
+        const blob = new Blob([serializeProject({ ...project, ...captureProjectState() })], { type: 'application/json' });
+        downloadBlob(blob, `${project.name}.json`);
+    });
+
+    // JSONファイルから読み込んで開く
+    document.getElementById('project-import').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        importInput.value = '';
+        if (!file) return;
+
+        try {
+            const project = await saveProject(parseProjectFile(await file.text()));
+            await applyProject(project);
+        } catch (error) {
+            console.error('プロジェクトの読み込みに失敗しました:', error);
+            updateStatus('エラー: ' + error.message, '#dc3545');
+        }
+    });
+
+    // 表示範囲の変更も自動保存
+    map.on('moveend', scheduleProjectSave);
+
+    renderProjectList();
+}
+
+// メイン処理
+async function init() {
+    // 共有リンクで開かれた場合はその状態を優先し、なければローカルストレージから復元
+    const permalink = decodePermalink(window.location.hash);
+
+    // 保存された色設定があれば復元
+    try {
+        const savedColors = permalink?.colors || JSON.parse(localStorage.getItem('csvHeaderColors'));
+        if (savedColors) {
+            savedColors.forEach(([key, value]) => {
+                if (isHexColor(value)) CsvHeaderColors.set(key, value);
+            });
+        }
+    } catch (e) {
+        console.error('色設定の読み込みに失敗しました', e);
+    }
+
+    // 保存された表示モードと数値モードの設定があれば復元
+    try {
+        displayMode = localStorage.getItem('displayMode') === 'value' ? 'value' : 'category';
+        const savedValueSettings = localStorage.getItem('valueModeSettings');
+        if (savedValueSettings) {
+            Object.assign(valueModeSettings, JSON.parse(savedValueSettings));
+        }
+    } catch (e) {
+        console.error('数値モード設定の読み込みに失敗しました', e);
+    }
+    if (permalink?.mode) {
+        displayMode = permalink.mode === 'value' ? 'value' : 'category';
+    }
+    if (permalink?.value) {
+        Object.assign(valueModeSettings, permalink.value);
+    }
+
+    // 保存されたラベルの設定があれば復元
+    try {
+        Object.assign(labelSettings, JSON.parse(localStorage.getItem('labelSettings')));
+    } catch (e) {
+        console.error('ラベルの設定の読み込みに失敗しました', e);
+    }
+
+    // 保存された集計単位の設定があれば復元
+    try {
+        Object.assign(aggregationSettings, JSON.parse(localStorage.getItem('aggregationSettings')));
+    } catch (e) {
+        console.error('集計単位の設定の読み込みに失敗しました', e);
+    }
+
+    // 保存された時系列の設定があれば復元
+    try {
+        Object.assign(timeSeriesSettings, JSON.parse(localStorage.getItem('timeSeriesSettings')));
+    } catch (e) {
+        console.error('時系列の設定の読み込みに失敗しました', e);
+    }
+
+    // 保存されたポップアップの設定があれば復元
+    try {
+        Object.assign(popupSettings, JSON.parse(localStorage.getItem('popupSettings')));
+    } catch (e) {
+        console.error('ポップアップの設定の読み込みに失敗しました', e);
+    }
+
+    // 保存された地点の設定があれば復元
+    try {
+        Object.assign(pointSettings, JSON.parse(localStorage.getItem('pointSettings')));
+    } catch (e) {
+        console.error('地点の設定の読み込みに失敗しました', e);
+    }
+
+    // 保存された隣接する市区町村の操作の設定があれば復元
+    try {
+        Object.assign(adjacencySettings, JSON.parse(localStorage.getItem('adjacencySettings')));
+    } catch (e) {
+        console.error('隣接する市区町村の設定の読み込みに失敗しました', e);
+    }
+
+    // 保存された重なりの扱いがあれば復元
+    try {
+        Object.assign(overlapSettings, permalink?.overlap || JSON.parse(localStorage.getItem('overlapSettings')));
+    } catch (e) {
+        console.error('重なりの設定の読み込みに失敗しました', e);
+    }
+
+    // 共有リンクの表示範囲に移動
+    if (permalink?.view) {
+        map.jumpTo(permalink.view);
+    }
+
+    // UI要素を取得
+    const urlInput = document.getElementById('spreadsheet-url');
+    const loadBtn = document.getElementById('load-btn');
+    const fileInput = document.getElementById('file-input');
+    const sheetSelect = document.getElementById('sheet-select');
+
+    // 過去の年度の行政区域と、前回表示していた年度の検索用データを読み込み
+    await loadBoundaryVintages();
+    const savedYear = Number(localStorage.getItem('boundaryYear')) || null;
+    if (getBoundaryVintage(savedYear)) {
+        boundaryYear = savedYear;
+        resetMunicipalityTiles();
+    }
+    setupBoundaryYearControls();
+    await loadSearchData(getBoundaryVintage(boundaryYear));
+    await loadAdjacency(getBoundaryVintage(boundaryYear));
+
+    // 検索欄（キーボードで候補を選べるコンボボックス）
+    setupSearchControls();
+
+    // 保存されたURLがあれば復元
+    const savedUrl = permalink?.src || localStorage.getItem('spreadsheetUrl') || DEFAULT_CSV_URL;
+    urlInput.value = savedUrl;
+
+    // 共有リンクのコピー
+    document.getElementById('copy-link-btn').addEventListener('click', copyPermalink);
+
+    // 読み込みボタンのイベント
+    loadBtn.addEventListener('click', () => {
+        const url = urlInput.value.trim();
+        if (url) {
+            loadSpreadsheet(url);
+        }
+    });
+
+    // Enterキーでも読み込み
+    urlInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            const url = urlInput.value.trim();
+            if (url) {
+                loadSpreadsheet(url);
+            }
+        }
+    });
+
+    // ローカルファイルの読み込み
+    fileInput.accept = ACCEPTED_FILE_TYPES;
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        if (file) {
+            loadLocalFile(file);
+        }
+        // 同じファイルを選び直しても読み込めるようにする
+        fileInput.value = '';
+    });
+
+    sheetSelect.addEventListener('change', () => {
+        loadLocalSheet(sheetSelect.value).catch(error => {
+            console.error('読み込みエラー:', error);
+            updateStatus('エラー: ' + error.message, '#dc3545');
+        });
+    });
+
+    setupFileDrop();
+    setupLiveRefreshControls();
+    setupAggregationControls();
+    setupValueModeControls();
+    setupLegendControls();
+    setupInsetControls();
+    setupBasemapControls();
+    setupStatisticsControls();
+    setupLabelControls();
+    setupOverlapControls();
+    setupPopupControls();
+    setupPointControls();
+    setupTimeSeriesControls();
+    setupComparisonControls();
+    setupEditControls();
+    setupAdjacencyControls();
+    setupExportControls();
+
+    // 前回開いていたプロジェクト（共有リンクで開いた場合はそちらを優先）
+    let savedProject = null;
+    if (!permalink && localStorage.getItem('currentProjectId')) {
+        savedProject = await getProject(localStorage.getItem('currentProjectId')).catch(() => null);
+    }
+    currentProjectId = savedProject?.id || null;
+    setupProjectControls();
+
+    function hideLabelsFromBasemap() {
+        const style = map.getStyle();
+        if (!style?.layers) return;
+
+        for (const layer of style.layers) {
+            if (layer.type !== 'symbol') continue;
+
+            // 「文字ラベル」があるsymbolだけ消す（アイコンだけのレイヤーは残す）
+            const hasTextField = layer.layout && Object.prototype.hasOwnProperty.call(layer.layout, 'text-field');
+            if (!hasTextField) continue;
+
+            try {
+                map.setLayoutProperty(layer.id, 'visibility', 'none');
+            } catch {
+                // 既に消えてる/変更不可などは無視
+            }
+        }
+    }
+
+    // マップの読み込み完了を待つ
+    map.on('load', async () => {
+        hideLabelsFromBasemap();
+        basemapIds = collectBasemapIds(map.getStyle());
+
+        await addMunicipalityLayer();
+        updateRegionOutlines();
+
+        // 前回の全国レイアウト（離島の差し込み枠）を復元
+        if (insetSettings.enabled) {
+            insetControl.setEnabled(true);
+        }
+        if (basemapSettings.tiles === 'file') {
+            updateStatus('市区町村タイルのローカルファイルを「背景地図」で選び直してください', '#dc3545');
+        }
+        if (savedProject) {
+            // 前回のプロジェクトを開く
+            applyProject(savedProject);
+        } else {
+            // 初期URLでスプレッドシートを読み込み
+            loadSpreadsheet(savedUrl);
+        }
+    });
+
+    // 背景地図を切り替えると追加した画像が消えることがあるので、斜線パターンを追加し直す
+    map.on('styleimagemissing', (e) => {
+        const pattern = overlapPatterns.get(e.id);
+        if (pattern && !map.hasImage(e.id)) {
+            map.addImage(e.id, pattern.image, { pixelRatio: pattern.pixelRatio });
+        }
+    });
+
+    map.on('error', (error) => {
+        console.error('Error:', error);
+        updateStatus('エラーが発生しました: ' + error.message, '#dc3545');
+    });
+}
+
+function getDefaultColor(headerName, headers = Array.from(specifiedCities.keys())) {
+    // ヘッダー名に基づいてデフォルトの色を返す
+    const colors = [
+        '#4a90d9', // 青
+        '#50e3c2', // 水色
+        '#f5a623', // オレンジ
+        '#9013fe', // 紫
+        '#b8e986', // 黄緑
+        '#ff6b35', // 赤橙
+        '#8b572a', // 茶色
+        '#7ed321'  // 緑
+    ];
+    const index = headers.indexOf(headerName);
+    return colors[index % colors.length];
+}
+
+// 色分け表現を構築
+function buildColorExpression() {
+    // 比較中は差分の色分け（並べた表示では比較先のカテゴリ）
+    if (comparison) {
+        return compareView ? buildComparisonCategoryExpression(comparison.after) : buildDiffColorExpression();
+    }
+
+    if (displayMode === 'value') {
+        return buildValueColorExpression();
+    }
+
+    // 塗り分けのグループごとに、解決済みの市区町村コード（N03_007）で条件を作成
+    const branches = [];
+    getPaintGroups()
+        .filter(({ codes }) => codes.length > 0)
+        .forEach(({ codes, color }) => branches.push(codes, color));
+
+    if (branches.length === 0) {
+        return '#cccccc'; // CSVが空の場合は全てグレー
+    }
+
+    // matchステートメントを構築
+    return ['match', ['get', 'N03_007'], ...branches, '#dfdfdf'];
+}
+
+// カテゴリの優先順位（設定にないカテゴリはCSVの列順で後ろに続ける）
+function getCategoryOrder() {
+    const keys = Array.from(specifiedCities.keys());
+    const ordered = overlapSettings.order.filter(key => specifiedCities.has(key));
+    return [...ordered, ...keys.filter(key => !ordered.includes(key))];
+}
+
+// 市区町村コードごとに、含まれるカテゴリを優先順位順に集める
+function buildCodeCategories() {
+    const categories = new Map();
+    getCategoryOrder().forEach(headerName => {
+        getResolvedCodes(headerName).forEach(code => {
+            if (!categories.has(code)) categories.set(code, []);
+            categories.get(code).push(headerName);
+        });
+    });
+    return categories;
+}
+
+// 塗り分けのグループ（色と、その色で塗る市区町村コード）
+// 1つのカテゴリだけに含まれる市区町村はカテゴリの色、複数に含まれる市区町村は重なりの扱いに従う
+//   priority: 優先順位の最も高いカテゴリ / multiple: 専用の色 / pattern: カテゴリの組み合わせごとの斜線
+// 各コードはいずれか1つのグループにだけ入る（matchのラベルは重複不可）
+function getPaintGroups() {
+    const colorOf = headerName => CsvHeaderColors.get(headerName) || getDefaultColor(headerName);
+    const groups = new Map();
+    getCategoryOrder().forEach(headerName => {
+        groups.set(headerName, { label: headerName, color: colorOf(headerName), codes: [] });
+    });
+
+    codeCategories.forEach((categories, code) => {
+        if (categories.length === 1 || overlapSettings.policy === 'priority') {
+            groups.get(categories[0]).codes.push(code);
+            return;
+        }
+
+        // カテゴリ名と重ならないよう、重なりのグループのキーには制御文字を使う
+        const key = overlapSettings.policy === 'multiple' ? '\u0000multiple' : '\u0000' + categories.join('\u0000');
+        if (!groups.has(key)) {
+            groups.set(key, overlapSettings.policy === 'multiple'
+                ? { label: '複数カテゴリ', color: overlapSettings.multipleColor, codes: [], overlap: true }
+                : { label: categories.join(' + '), color: colorOf(categories[0]), colors: categories.map(colorOf), codes: [], overlap: true });
+        }
+        groups.get(key).codes.push(code);
+    });
+
+    return Array.from(groups.values());
+}
+
+// 斜線パターンの画像を用意し、重なっている市区町村に斜線のレイヤーを重ねる
+function updateOverlapPatterns(groups) {
+    if (!map.getLayer('municipality-pattern')) return;
+
+    const patternGroups = displayMode !== 'value' && overlapSettings.policy === 'pattern'
+        ? groups.filter(group => group.colors && group.codes.length > 0)
+        : [];
+    const pixelRatio = window.devicePixelRatio || 1;
+    const used = new Set();
+    const branches = [];
+
+    patternGroups.forEach(group => {
+        const id = `overlap-${group.colors.join('-')}`;
+        if (!overlapPatterns.has(id)) {
+            const image = createStripePattern(group.colors, pixelRatio);
+            map.addImage(id, image, { pixelRatio });
+            overlapPatterns.set(id, { colors: group.colors, image, pixelRatio });
+        }
+        used.add(id);
+        branches.push(group.codes, id);
+    });
+
+    if (branches.length > 0) {
+        map.setFilter('municipality-pattern', ['in', ['get', 'N03_007'], ['literal', patternGroups.flatMap(group => group.codes)]]);
+        map.setPaintProperty('municipality-pattern', 'fill-pattern', ['match', ['get', 'N03_007'], ...branches, branches[1]]);
+        map.setLayoutProperty('municipality-pattern', 'visibility', 'visible');
+    } else {
+        map.setLayoutProperty('municipality-pattern', 'visibility', 'none');
+    }
+
+    // 使わなくなった画像を削除（レイヤーの参照を外した後）
+    overlapPatterns.forEach((_, id) => {
+        if (!used.has(id)) {
+            map.removeImage(id);
+            overlapPatterns.delete(id);
+        }
+    });
+}
+
+// 数値モードの階級（境界値と各階級の色）を求める
+function getValueClasses() {
+    const { method, classCount, manualBreaks, ramp, reverse } = valueModeSettings;
+    const breaks = classify(getValueList(), method, classCount, manualBreaks);
+    return { breaks, colors: getRampColors(ramp, breaks.length + 1, reverse) };
+}
+
+// 数値モードの値の範囲（発散型の中央は、正負をまたぐなら0、そうでなければ範囲の中間）
+function getValueRange() {
+    const values = getValueList();
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    return { min, max, center: min < 0 && max > 0 ? 0 : (min + max) / 2 };
+}
+
+// 数値モードで値を塗る色（地図の色分け表現と同じ結果になる）
+function getValueColor(value) {
+    if (valueModeSettings.method === 'continuous') {
+        const { min, max, center } = getValueRange();
+        const { ramp, reverse } = valueModeSettings;
+        return getInterpolateColor(value, getInterpolateStops(min, max, ramp, reverse, center));
+    }
+    const { breaks, colors } = getValueClasses();
+    return getStepColor(value, breaks, colors);
+}
+
+// 数値モードの色分け表現を構築（step: 階級区分 / interpolate: 連続）
+function buildValueColorExpression() {
+    if (codeValues.size === 0) {
+        return '#cccccc';
+    }
+
+    // 市区町村コード → 値
+    const valueExpression = ['match', ['get', 'N03_007']];
+    codeValues.forEach((value, code) => valueExpression.push(code, value));
+    valueExpression.push(0);
+
+    let colorExpression;
+    if (valueModeSettings.method === 'continuous') {
+        const { min, max, center } = getValueRange();
+        colorExpression = buildInterpolateExpression(
+            valueExpression, min, max, valueModeSettings.ramp, valueModeSettings.reverse, center
+        );
+    } else {
+        const { breaks, colors } = getValueClasses();
+        colorExpression = buildStepExpression(valueExpression, breaks, colors);
+    }
+
+    // 値のない市区町村はグレー
+    return ['case',
+        ['in', ['get', 'N03_007'], ['literal', Array.from(codeValues.keys())]],
+        colorExpression,
+        '#dfdfdf'
+    ];
+}
+
+// 市区町村レイヤーを追加
+async function addMunicipalityLayer() {
+    // PMTilesソースを追加（絶対URLを使用してFirefoxでの問題を回避）
+    map.addSource('municipalities', {
+        type: 'vector',
+        url: `pmtiles://${pmtilesUrl}`,
+        attribution: MUNICIPALITY_ATTRIBUTION
+    });
+
+    const colorExpression = buildColorExpression();
+    console.log('色分け表現:', colorExpression);
+
+    // 時系列でコマを切り替えるときに、前のコマの色を残しておくレイヤー（塗りつぶしの下）
+    map.addLayer({
+        id: 'municipality-fill-previous',
+        type: 'fill',
+        source: 'municipalities',
+        'source-layer': 'municipalities',
+        layout: {
+            visibility: 'none'
+        },
+        paint: {
+            'fill-color': colorExpression
+        }
+    });
+
+    // 塗りつぶしレイヤー
+    map.addLayer({
+        id: 'municipality-fill',
+        type: 'fill',
+        source: 'municipalities',
+        'source-layer': 'municipalities',
+        paint: {
+            'fill-color': colorExpression,
+            'fill-opacity': 1,
+            // 時系列の切り替えでは不透明度を毎フレーム指定するので、既定の遷移は使わない
+            'fill-opacity-transition': { duration: 0 }
+        }
+    });
+
+    // 複数カテゴリの斜線レイヤー（重なりの扱いが斜線のときだけ表示）
+    map.addLayer({
+        id: 'municipality-pattern',
+        type: 'fill',
+        source: 'municipalities',
+        'source-layer': 'municipalities',
+        layout: {
+            visibility: 'none'
+        },
+        filter: ['in', ['get', 'N03_007'], ['literal', []]]
+    });
+
+    // 湖沼レイヤーを追加（市区町村の上）
+    addLakesLayer();
+
+    // 境界線レイヤー（湖沼の上）
+    map.addLayer({
+        id: 'municipality-line',
+        type: 'line',
+        source: 'municipalities',
+        'source-layer': 'municipalities',
+        paint: {
+            'line-color': '#ccc',
+            'line-width': .5
+        }
+    });
+
+    // 都道府県境界線を追加
+    try {
+        const response = await fetch('prefectures-geo.json');
+        prefecturesGeo = await response.json();
+
+        map.addSource('prefectures', {
+            type: 'geojson',
+            data: prefecturesGeo,
+            attribution: MUNICIPALITY_ATTRIBUTION
+        });
+
+        // 都道府県単位で塗る場合の塗りつぶし（湖沼の下）
+        map.addLayer({
+            id: 'prefecture-fill',
+            type: 'fill',
+            source: 'prefectures',
+            layout: {
+                visibility: 'none'
+            },
+            paint: {
+                'fill-color': '#dfdfdf'
+            }
+        }, map.getLayer('lakes-fill') ? 'lakes-fill' : undefined);
+
+        // 都道府県境界線レイヤー
+        map.addLayer({
+            id: 'prefecture-border',
+            type: 'line',
+            source: 'prefectures',
+            layout: {
+                'line-cap': 'round',
+            },
+            paint: {
+                'line-color': '#666',
+                'line-width': 2,
+                'line-opacity': 1
+            }
+        });
+
+        console.log('都道府県境界線を追加しました');
+    } catch (error) {
+        console.warn('都道府県境界線の読み込みに失敗しました:', error);
+    }
+
+    // 地域単位で塗る場合の地域の境界線（最前面）
+    map.addSource('region-outlines', {
+        type: 'geojson',
+        data: { type: 'FeatureCollection', features: [] }
+    });
+    map.addLayer({
+        id: 'region-outline',
+        type: 'line',
+        source: 'region-outlines',
+        layout: {
+            'line-cap': 'round',
+            'line-join': 'round'
+        },
+        paint: {
+            'line-color': '#333',
+            'line-width': 2.5
+        }
+    });
+
+    // 施設などの地点（塗りつぶし・境界線の上）
+    addPointLayers();
+
+    // 市区町村・都道府県のラベル（最前面）
+    addLabelLayers();
+
+    // ホバー時のポップアップ
+    setupPopup();
+}
+
+// 地点のレイヤーを追加（近くの地点はまとめて件数を表示し、住所から置いた地点は薄く表示）
+function addPointLayers() {
+    map.addSource('points', {
+        type: 'geojson',
+        data: { type: 'FeatureCollection', features: [] },
+        cluster: true,
+        clusterRadius: 40,
+        clusterMaxZoom: 12
+    });
+
+    map.addLayer({
+        id: 'point-cluster',
+        type: 'circle',
+        source: 'points',
+        filter: ['has', 'point_count'],
+        paint: {
+            'circle-color': pointSettings.color,
+            'circle-opacity': 0.85,
+            'circle-radius': ['step', ['get', 'point_count'], 12, 10, 16, 100, 22],
+            'circle-stroke-color': '#fff',
+            'circle-stroke-width': 1.5
+        }
+    });
+    map.addLayer({
+        id: 'point-cluster-count',
+        type: 'symbol',
+        source: 'points',
+        filter: ['has', 'point_count'],
+        layout: {
+            'text-field': ['get', 'point_count_abbreviated'],
+            'text-font': LABEL_FONT,
+            'text-size': 11,
+            'text-allow-overlap': true
+        },
+        paint: {
+            'text-color': '#fff'
+        }
+    });
+    map.addLayer({
+        id: 'point-marker',
+        type: 'circle',
+        source: 'points',
+        filter: ['!', ['has', 'point_count']],
+        paint: {
+            'circle-color': pointSettings.color,
+            'circle-opacity': ['match', ['get', 'source'], 'address', 0.45, 1],
+            'circle-radius': 5,
+            'circle-stroke-color': '#fff',
+            'circle-stroke-width': 1.5
+        }
+    });
+}
+
+// 市区町村・都道府県のラベルレイヤーを追加（重なるラベルは priority の小さいものを残す）
+function addLabelLayers() {
+    const empty = { type: 'FeatureCollection', features: [] };
+    map.addSource('municipality-labels', { type: 'geojson', data: empty });
+    map.addSource('prefecture-labels', { type: 'geojson', data: empty });
+
+    [['municipality-label', 'municipality-labels', LABEL_FONT], ['prefecture-label', 'prefecture-labels', PREFECTURE_LABEL_FONT]]
+        .forEach(([id, source, font]) => {
+            map.addLayer({
+                id,
+                type: 'symbol',
+                source,
+                layout: {
+                    'text-field': ['get', 'name'],
+                    'text-font': font,
+                    'text-size': labelSettings.fontSize,
+                    'text-padding': 2,
+                    'symbol-sort-key': ['get', 'priority']
+                },
+                paint: {
+                    'text-color': labelSettings.textColor,
+                    'text-halo-color': labelSettings.haloColor,
+                    'text-halo-width': labelSettings.haloWidth
+                }
+            });
+        });
+
+    updateLabels();
+}
+
+// 湖沼レイヤーを追加
+function addLakesLayer() {
+    // lakesレイヤーがソースに存在するか確認
+    const source = map.getSource('municipalities');
+    if (!source) {
         console.warn('lakesソースが見つかりません');
         return;
     }
@@ -537,18 +3738,32 @@ function setupPopup() {
         closeOnClick: false
     });
 
+    // クリックで固定表示する詳細カード
+    const detailPopup = new maplibregl.Popup({
+        closeButton: true,
+        closeOnClick: false,
+        maxWidth: '360px',
+        className: 'detail-popup'
+    });
+
     map.on('mousemove', 'municipality-fill', (e) => {
         if (e.features.length > 0) {
             const feature = e.features[0];
-            const prefName = feature.properties.N03_001 || '';
-            const gunName = feature.properties.N03_003 || '';  // 郡・政令市名
-            const cityName = feature.properties.N03_004 || feature.properties.name || '不明';
-            const kuName = feature.properties.N03_005 || '';  // 区名（政令市の場合）
-            const fullName = gunName + cityName + kuName;  // 結合名
+            const rows = codeRows.get(feature.properties.N03_007) || [];
+
+            // テンプレートがあればその内容、なければ選んだ列を表示（行が複数あれば先頭の行）
+            let details = '';
+            if (rows.length > 0) {
+                details = popupSettings.template
+                    ? `<div class="popup-template">${renderTemplate(popupSettings.template, getTemplateFields(feature, rows[0]))}</div>`
+                    : renderFieldTable(popupSettings.attributes
+                        .filter(field => csvFields.includes(field))
+                        .map(field => [field, rows[0][field] || '']));
+            }
 
             popup
                 .setLngLat(e.lngLat)
-                .setHTML(`<strong>${prefName} ${fullName}</strong>`)
+                .setHTML(buildPopupHeader(feature) + details)
                 .addTo(map);
 
             map.getCanvas().style.cursor = 'pointer';
@@ -559,6 +3774,446 @@ function setupPopup() {
         popup.remove();
         map.getCanvas().style.cursor = '';
     });
+
+    // 地点: まとめた地点はクリックで拡大、地点はクリックで行のすべての列を表示
+    const pointLayers = ['point-cluster', 'point-marker'];
+    const isPointAt = point => map.queryRenderedFeatures(point, { layers: pointLayers.filter(id => map.getLayer(id)) }).length > 0;
+
+    map.on('click', 'point-cluster', async (e) => {
+        const feature = e.features[0];
+        const zoom = await map.getSource('points').getClusterExpansionZoom(feature.properties.cluster_id);
+        map.easeTo({ center: feature.geometry.coordinates, zoom });
+    });
+
+    map.on('click', 'point-marker', (e) => {
+        const feature = e.features[0];
+        const row = csvRows[feature.properties.row];
+        if (!row || selectionTool?.isEnabled() || labelEditor?.isEnabled()) return;
+
+        popup.remove();
+        detailPopup
+            .setLngLat(feature.geometry.coordinates)
+            .setHTML(renderFieldTable(csvFields.map(field => [field, row[field] || ''])))
+            .addTo(map);
+    });
+
+    // クリックで行のすべての列を表示（地図上で編集中は選択の操作を優先）
+    map.on('click', 'municipality-fill', (e) => {
+        if (selectionTool?.isEnabled() || labelEditor?.isEnabled() || e.features.length === 0 || isPointAt(e.point)) return;
+
+        const feature = e.features[0];
+        const rows = codeRows.get(feature.properties.N03_007) || [];
+        const sections = rows.map(row => {
+            const template = popupSettings.template
+                ? `<div class="popup-template">${renderTemplate(popupSettings.template, getTemplateFields(feature, row))}</div>`
+                : '';
+            return template + renderFieldTable(csvFields.map(field => [field, row[field] || '']));
+        });
+        if (sections.length === 0 && csvFields.includes(popupSettings.keyColumn)) {
+            sections.push('<div class="popup-empty">シートに該当する行はありません</div>');
+        }
+
+        popup.remove();
+        detailPopup
+            .setLngLat(e.lngLat)
+            .setHTML(buildPopupHeader(feature) + sections.join('<hr>'))
+            .addTo(map);
+    });
+}
+
+// 市区町村名と、含まれるカテゴリ（数値モードでは値）
+function buildPopupHeader(feature) {
+    const prefName = feature.properties.N03_001 || '';
+    const gunName = feature.properties.N03_003 || '';  // 郡・政令市名
+    const cityName = feature.properties.N03_004 || feature.properties.name || '不明';
+    const kuName = feature.properties.N03_005 || '';  // 区名（政令市の場合）
+    const fullName = gunName + cityName + kuName;  // 結合名
+    const code = feature.properties.N03_007;
+
+    let summary = '';
+    if (comparison) {
+        // 比較中は比較元 → 比較先のカテゴリ
+        const entry = comparison.entries.find(item => item.code === code);
+        if (entry) {
+            const { label, color } = DIFF_STATUSES[entry.status];
+            summary = `<div class="popup-category"><span class="popup-swatch" style="background: ${escapeHtml(color)}"></span>${label}: ` +
+                `${escapeHtml(entry.before.join('、') || 'なし')} → ${escapeHtml(entry.after.join('、') || 'なし')}</div>`;
+        }
+    } else if (displayMode === 'value') {
+        if (codeValues.has(code)) {
+            summary = `<div class="popup-category">${escapeHtml(getValueColumnLabel())}: ${escapeHtml(formatLegendValue(codeValues.get(code)))}</div>`;
+        }
+    } else {
+        // 含まれるカテゴリをすべて表示
+        summary = (codeCategories.get(code) || []).map(headerName => {
+            const color = CsvHeaderColors.get(headerName) || getDefaultColor(headerName);
+            return `<div class="popup-category"><span class="popup-swatch" style="background: ${escapeHtml(color)}"></span>${escapeHtml(headerName)}</div>`;
+        }).join('');
+    }
+
+    return `<strong>${escapeHtml(prefName)} ${escapeHtml(fullName)}</strong>${summary}`;
+}
+
+// テンプレートで使える値（シートの列と、市区町村名・都道府県・カテゴリ）
+function getTemplateFields(feature, row) {
+    const { N03_001: pref = '', N03_003: gun = '', N03_004: city = '', N03_005: ward = '' } = feature.properties;
+    return {
+        '市区町村': gun + city + ward,
+        '都道府県': pref,
+        'カテゴリ': (codeCategories.get(feature.properties.N03_007) || []).join('、'),
+        ...row
+    };
+}
+
+// ポップアップの列選択肢を更新
+function updatePopupColumnOptions() {
+    const keySelect = document.getElementById('popup-key-column');
+    const attributesEl = document.getElementById('popup-attributes');
+    const candidates = csvFields.filter(field => field !== csvPrefKey);
+
+    keySelect.innerHTML = '';
+    keySelect.appendChild(new Option('（使わない）', ''));
+    candidates.forEach(field => keySelect.appendChild(new Option(field, field)));
+    keySelect.value = candidates.includes(popupSettings.keyColumn) ? popupSettings.keyColumn : '';
+
+    attributesEl.innerHTML = '';
+    csvFields
+        .filter(field => field !== popupSettings.keyColumn)
+        .forEach(field => {
+            const label = document.createElement('label');
+            label.className = 'inline';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = field;
+            checkbox.checked = popupSettings.attributes.includes(field);
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(' ' + field));
+            attributesEl.appendChild(label);
+        });
+}
+
+// ポップアップの設定を操作パネルに反映
+function syncPopupControls() {
+    document.getElementById('popup-template').value = popupSettings.template;
+    updatePopupColumnOptions();
+}
+
+// ポップアップの設定パネルを初期化
+function setupPopupControls() {
+    const keySelect = document.getElementById('popup-key-column');
+    const attributesEl = document.getElementById('popup-attributes');
+    const templateInput = document.getElementById('popup-template');
+
+    const save = () => {
+        localStorage.setItem('popupSettings', JSON.stringify(popupSettings));
+        scheduleProjectSave();
+    };
+
+    syncPopupControls();
+
+    keySelect.addEventListener('change', () => {
+        popupSettings.keyColumn = keySelect.value;
+        updatePopupColumnOptions();
+        resolvePopupRows();
+        save();
+    });
+
+    attributesEl.addEventListener('change', () => {
+        popupSettings.attributes = Array.from(attributesEl.querySelectorAll('input:checked'), input => input.value);
+        save();
+    });
+
+    templateInput.addEventListener('input', () => {
+        popupSettings.template = templateInput.value;
+        save();
+    });
+}
+
+// ==========================================
+// 施設などの地点
+// ==========================================
+
+// 地点に使う列（地点を表示しないときは空）
+function getPointColumns() {
+    const { enabled, latColumn, lngColumn, addressColumn, useAddress } = pointSettings;
+    if (!enabled || !((latColumn && lngColumn) || (useAddress && addressColumn))) return [];
+    return [latColumn, lngColumn, addressColumn].filter(Boolean);
+}
+
+// 表示中の行を地点にして地図に反映
+function resolvePoints() {
+    const empty = { type: 'FeatureCollection', features: [] };
+    const statusEl = document.getElementById('point-status');
+    pointCodes = [];
+
+    if (getPointColumns().length === 0) {
+        map.getSource('points')?.setData(empty);
+        statusEl.textContent = '';
+        return;
+    }
+
+    const records = new Map(searchData.map(record => [record.code, record]));
+    const { collection, pointCodes: codes, counts } = buildPoints(csvRows, {
+        ...pointSettings,
+        addressOf: row => {
+            const address = (row[pointSettings.addressColumn] || '').trim();
+            return csvPrefKey ? qualifyEntry(address, row[csvPrefKey]) : address;
+        },
+        resolve: entry => matcher.resolve(entry),
+        // 政令市全体などコードが複数なら、中心の平均
+        centerOf: codes => {
+            const centers = codes.map(code => records.get(code)?.center).filter(Boolean);
+            if (centers.length === 0) return null;
+            return [0, 1].map(i => centers.reduce((sum, center) => sum + center[i], 0) / centers.length);
+        },
+        locate: municipalityLocator
+    });
+    pointCodes = codes;
+    map.getSource('points')?.setData(collection);
+
+    const wardUnknown = codes.filter(item => item.length > 1).length;
+    statusEl.textContent = `地点 ${collection.features.length} 件（緯度経度 ${counts.coordinates}・住所 ${counts.address}）` +
+        (counts.skipped > 0 ? `、位置が分からない行 ${counts.skipped} 件` : '') +
+        (wardUnknown > 0 ? `、区が分からない地点 ${wardUnknown} 件（区ごとの件数には含めません）` : '');
+
+    // 地点の件数で塗るときは、緯度経度の地点を含む市区町村を形状データから求める
+    if (displayMode === 'value' && valueModeSettings.valueColumn === POINT_COUNT_COLUMN && counts.coordinates > 0 && !municipalityLocator) {
+        loadMunicipalityLocator();
+    }
+}
+
+// 市区町村の形状データを読み込み、緯度経度の地点を数え直す
+async function loadMunicipalityLocator() {
+    if (isLoadingLocator) return;
+
+    isLoadingLocator = true;
+    try {
+        const topology = await getMunicipalityTopology();
+        municipalityLocator = createMunicipalityLocator(topology);
+        applySpecifiedCities();
+    } catch (error) {
+        console.warn('地点を市区町村に振り分けられません:', error);
+        updateStatus('緯度経度の地点を市区町村ごとに数えられません: ' + error.message, '#dc3545');
+    } finally {
+        isLoadingLocator = false;
+    }
+}
+
+// 地点の列の選択肢を更新
+function updatePointColumnOptions() {
+    [['point-lat-column', 'latColumn'], ['point-lng-column', 'lngColumn'], ['point-address-column', 'addressColumn']]
+        .forEach(([id, key]) => {
+            const select = document.getElementById(id);
+            select.innerHTML = '';
+            select.appendChild(new Option('（使わない）', ''));
+            csvFields.forEach(field => select.appendChild(new Option(field, field)));
+            select.value = csvFields.includes(pointSettings[key]) ? pointSettings[key] : '';
+        });
+}
+
+// 地点の設定を操作パネルと地図に反映
+function syncPointControls() {
+    document.getElementById('point-enabled').checked = pointSettings.enabled;
+    document.getElementById('point-use-address').checked = pointSettings.useAddress;
+    document.getElementById('point-color').value = pointSettings.color;
+    updatePointColumnOptions();
+
+    ['point-cluster', 'point-marker'].forEach(id => {
+        if (map.getLayer(id)) map.setPaintProperty(id, 'circle-color', pointSettings.color);
+    });
+}
+
+// 地点のパネルを初期化
+function setupPointControls() {
+    const enabledInput = document.getElementById('point-enabled');
+    const latSelect = document.getElementById('point-lat-column');
+    const lngSelect = document.getElementById('point-lng-column');
+    const addressSelect = document.getElementById('point-address-column');
+    const useAddressInput = document.getElementById('point-use-address');
+    const colorInput = document.getElementById('point-color');
+
+    const save = () => {
+        localStorage.setItem('pointSettings', JSON.stringify(pointSettings));
+        scheduleProjectSave();
+    };
+
+    syncPointControls();
+
+    // 地点に使う列はカテゴリから外すので、列の一覧から作り直す
+    [enabledInput, latSelect, lngSelect, addressSelect, useAddressInput].forEach(el => el.addEventListener('change', () => {
+        pointSettings.enabled = enabledInput.checked;
+        pointSettings.latColumn = latSelect.value;
+        pointSettings.lngColumn = lngSelect.value;
+        pointSettings.addressColumn = addressSelect.value;
+        pointSettings.useAddress = useAddressInput.checked;
+        buildSpecifiedCities();
+        applySpecifiedCities();
+        save();
+    }));
+
+    colorInput.addEventListener('input', () => {
+        pointSettings.color = colorInput.value;
+        syncPointControls();
+        insetControl.refresh();
+        save();
+    });
+}
+
+// ==========================================
+// 隣接する市区町村
+// ==========================================
+
+// 隣接グラフを読み込み（過去の年度はその年度のグラフ）
+async function loadAdjacency(vintage = null) {
+    adjacencyFromShapes = false;
+    try {
+        const url = vintage ? vintage.adjacency : ADJACENCY_URL;
+        if (!url) throw new Error('この年度の隣接グラフはありません');
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        adjacency = parseAdjacency(await response.json());
+        console.log(`隣接グラフを読み込みました: ${adjacency.size} 件`);
+    } catch (error) {
+        console.warn('市区町村の隣接グラフを読み込めませんでした:', error);
+        adjacency = null;
+        // 最新の行政区域なら、使うときに形状データ（なければ地図のタイル）から作る
+        adjacencyFromShapes = !vintage;
+    }
+    updateAdjacencyControls();
+}
+
+// 隣接グラフを用意する（adjacency.json がなければ形状データから作る）。使えなければ false
+async function ensureAdjacency() {
+    if (adjacency) return true;
+    if (!adjacencyFromShapes) return false;
+
+    try {
+        const graph = buildAdjacencyFromTopology(await getMunicipalityTopology());
+        // 作成中に年度を切り替えていたら使わない
+        if (!adjacencyFromShapes) return false;
+        adjacency = graph;
+        console.log(`隣接グラフを形状データから作成しました: ${adjacency.size} 件`);
+        return true;
+    } catch (error) {
+        console.warn('市区町村の隣接グラフを作成できませんでした:', error);
+        adjacencyFromShapes = false;
+        updateStatus('隣接グラフを作成できません: ' + error.message, '#dc3545');
+        return false;
+    } finally {
+        updateAdjacencyControls();
+    }
+}
+
+// 起点の市区町村コード
+function getAdjacencyOrigin() {
+    if (adjacencySettings.origin === 'search') return selectedSearchResult?.codes || [];
+    return Array.from(specifiedCities.get(editCategory) || []).flatMap(entry => matcher.resolve(entry).codes);
+}
+
+// 市区町村名の一覧（多ければ先頭だけ）
+function formatMunicipalityNames(codes, limit = 10) {
+    const records = new Map(searchData.map(record => [record.code, record]));
+    const names = codes.map(code => {
+        const record = records.get(code);
+        return record ? record.pref + record.full + (record.ward || '') : code;
+    });
+    return names.slice(0, limit).join('、') + (names.length > limit ? ` ほか${names.length - limit}件` : '');
+}
+
+// 起点からN隣以内の市区町村を追加先のカテゴリに追加（検索で選んだ市区町村は起点も追加）
+async function expandToNeighbors() {
+    const origin = getAdjacencyOrigin();
+    if (origin.length === 0) {
+        updateStatus('起点の市区町村がありません', '#dc3545');
+        return;
+    }
+    if (!await ensureAdjacency()) return;
+
+    const neighbors = expandNeighbors(adjacency, origin, adjacencySettings.hops);
+    const codes = adjacencySettings.origin === 'search' ? [...origin, ...neighbors] : neighbors;
+    addMunicipalities(codes);
+    highlightMunicipality(neighbors);
+}
+
+// 塗った地域のすき間を、強調をやめるまでハイライト
+async function showGaps() {
+    const resultEl = document.getElementById('adjacency-result');
+    if (!await ensureAdjacency()) return;
+    const gaps = findGaps(adjacency, getColoredCodes(), adjacencySettings.gapSize);
+    const codes = gaps.flat();
+    if (codes.length === 0) {
+        clearHighlight();
+        resultEl.textContent = 'すき間はありません';
+        return;
+    }
+
+    highlightMunicipality(codes, null);
+    resultEl.textContent = `すき間 ${gaps.length} か所: ${formatMunicipalityNames(codes)}`;
+}
+
+// 起点からの隣数で塗る（数値モードに切り替え、起点は今の起点で固定する）
+async function colorByHops() {
+    const origin = getAdjacencyOrigin();
+    if (origin.length === 0) {
+        updateStatus('起点の市区町村がありません', '#dc3545');
+        return;
+    }
+    if (!await ensureAdjacency()) return;
+
+    adjacencySettings.originCodes = origin;
+    localStorage.setItem('adjacencySettings', JSON.stringify(adjacencySettings));
+    displayMode = 'value';
+    valueModeSettings.valueColumn = HOP_DISTANCE_COLUMN;
+    localStorage.setItem('displayMode', displayMode);
+    localStorage.setItem('valueModeSettings', JSON.stringify(valueModeSettings));
+    syncValueModeControls();
+    applySpecifiedCities();
+    scheduleProjectSave();
+}
+
+// 隣接グラフの有無と表示モードに合わせてボタンを切り替え
+function updateAdjacencyControls() {
+    const available = Boolean(adjacency) || adjacencyFromShapes;
+    // 追加はカテゴリの編集と同じく、数値モードではできない
+    document.getElementById('adjacency-expand').disabled = !available || displayMode === 'value' || specifiedCities.size === 0;
+    document.getElementById('adjacency-color').disabled = !available;
+    document.getElementById('adjacency-gaps').disabled = !available;
+    document.getElementById('adjacency-hint').hidden = available;
+    document.getElementById('adjacency-shapes-hint').hidden = Boolean(adjacency) || !adjacencyFromShapes;
+}
+
+// 隣接する市区町村の設定を操作パネルに反映
+function syncAdjacencyControls() {
+    document.getElementById('adjacency-origin').value = adjacencySettings.origin;
+    document.getElementById('adjacency-hops').value = adjacencySettings.hops;
+    document.getElementById('adjacency-gap-size').value = adjacencySettings.gapSize;
+    updateAdjacencyControls();
+}
+
+// 隣接する市区町村のパネルを初期化
+function setupAdjacencyControls() {
+    const originSelect = document.getElementById('adjacency-origin');
+    const hopsInput = document.getElementById('adjacency-hops');
+    const gapSizeInput = document.getElementById('adjacency-gap-size');
+
+    syncAdjacencyControls();
+
+    [originSelect, hopsInput, gapSizeInput].forEach(el => el.addEventListener('change', () => {
+        adjacencySettings.origin = originSelect.value;
+        adjacencySettings.hops = Math.min(20, Math.max(1, parseInt(hopsInput.value, 10) || 1));
+        adjacencySettings.gapSize = Math.min(50, Math.max(1, parseInt(gapSizeInput.value, 10) || 3));
+        localStorage.setItem('adjacencySettings', JSON.stringify(adjacencySettings));
+        scheduleProjectSave();
+
+        // 隣数で塗っている間は範囲の変更をすぐ反映
+        if (displayMode === 'value' && valueModeSettings.valueColumn === HOP_DISTANCE_COLUMN) {
+            applySpecifiedCities();
+        }
+    }));
+
+    document.getElementById('adjacency-expand').addEventListener('click', expandToNeighbors);
+    document.getElementById('adjacency-color').addEventListener('click', colorByHops);
+    document.getElementById('adjacency-gaps').addEventListener('click', showGaps);
 }
 
 // ステータス更新
@@ -578,12 +4233,16 @@ init();
 
 /**
  * 検索用データを読み込み
+ * @param {Object|null} vintage 過去の年度（vintages.json の要素、null は最新）
  */
-async function loadSearchData() {
+async function loadSearchData(vintage = null) {
     try {
-        const response = await fetch(SEARCH_DATA_URL);
+        const response = await fetch(vintage ? vintage.searchData : SEARCH_DATA_URL);
         if (response.ok) {
             searchData = await response.json();
+            // 合併前の名前・コードは最新の年度のときだけ現在の市区町村に読み替える
+            matcher = createMunicipalityMatcher(searchData, vintage ? [] : crosswalkEntries);
+            municipalitySearch = createMunicipalitySearch(searchData);
             console.log(`検索用データを読み込みました: ${searchData.length} 件`);
         }
     } catch (error) {
@@ -592,52 +4251,106 @@ async function loadSearchData() {
 }
 
 /**
- * 検索結果を表示
+ * 検索候補の中身（名称・読みの一致部分を強調）
  */
-function showSearchResults(query) {
-    const searchResults = document.getElementById('search-results');
-    const normalizedQuery = query.toLowerCase();
-
-    // 検索（都道府県名、市区町村名、フルネームで検索）
-    const results = searchData.filter(m =>
-        m.full.toLowerCase().includes(normalizedQuery) ||
-        m.city.toLowerCase().includes(normalizedQuery) ||
-        m.pref.toLowerCase().includes(normalizedQuery)
-    ).slice(0, 10); // 最大10件
-
-    if (results.length === 0) {
-        searchResults.innerHTML = '<div class="search-no-results">該当する市区町村がありません</div>';
-        return;
+function renderSearchOption(result, query) {
+    const fragment = document.createDocumentFragment();
+
+    const name = document.createElement('span');
+    name.className = 'city-name';
+    appendHighlighted(name, result.name, query);
+    if (result.wards > 0) {
+        const wards = document.createElement('span');
+        wards.className = 'ward-count';
+        wards.textContent = `（全${result.wards}区）`;
+        name.appendChild(wards);
+    }
+
+    const pref = document.createElement('span');
+    pref.className = 'pref-name';
+    appendHighlighted(pref, result.pref, query);
+    fragment.append(name, pref);
+
+    if (result.kana) {
+        const kana = document.createElement('span');
+        kana.className = 'kana';
+        appendHighlighted(kana, result.kana, toHiragana(query));
+        fragment.appendChild(kana);
     }
+    return fragment;
+}
+
+/**
+ * 検索候補を決定: 移動してハイライトし、カテゴリへの追加欄を表示
+ */
+function selectSearchResult(result) {
+    selectedSearchResult = result;
+    document.getElementById('search-input').value = result.name;
 
-    searchResults.innerHTML = results.map(m => `
-        <div class="search-result-item" data-code="${m.code}" data-bounds='${JSON.stringify(m.bounds)}' data-full="${m.full}">
-            <span class="city-name">${m.full}</span>
-            <span class="pref-name">${m.pref}</span>
-        </div>
-    `).join('');
+    // 市区町村（政令市全体なら全区）に移動し、選択を解除するまでハイライト
+    flyToMunicipality(result.bounds, result.codes, null);
+    updateSearchSelection();
+}
 
-    // 結果クリックでその市区町村に移動
-    searchResults.querySelectorAll('.search-result-item').forEach(item => {
-        item.addEventListener('mousedown', () => {
-            const code = item.dataset.code;
-            const bounds = JSON.parse(item.dataset.bounds);
-            const fullName = item.dataset.full;
+// 検索で選んだ市区町村の選択を解除
+function clearSearchSelection() {
+    selectedSearchResult = null;
+    clearHighlight();
+    updateSearchSelection();
+}
 
-            // 検索結果をクリア
-            searchResults.innerHTML = '';
-            document.getElementById('search-input').value = fullName;
+// 検索で選んだ市区町村と、追加先のカテゴリの選択肢を更新
+function updateSearchSelection() {
+    const container = document.getElementById('search-selection');
+    const categorySelect = document.getElementById('search-category');
+    const addButton = document.getElementById('search-add');
+    container.hidden = !selectedSearchResult;
+    if (!selectedSearchResult) return;
 
-            // 市区町村に移動してハイライト
-            flyToMunicipality(bounds, code);
-        });
+    const { name, pref, wards } = selectedSearchResult;
+    document.getElementById('search-selection-name').textContent = `${pref}${name}${wards > 0 ? `（全${wards}区）` : ''}`;
+
+    const categories = Array.from(specifiedCities.keys());
+    const current = categorySelect.value || editCategory;
+    categorySelect.replaceChildren(...categories.map(key => new Option(key, key)));
+    categorySelect.value = categories.includes(current) ? current : categories[0] || '';
+
+    // 数値モードとカテゴリがない間は追加できない
+    const addable = displayMode !== 'value' && categories.length > 0;
+    categorySelect.disabled = !addable;
+    addButton.disabled = !addable;
+    addButton.title = addable ? '' : 'カテゴリ（列）のあるデータを読み込むか、「地図上で編集」でカテゴリを作成してください';
+}
+
+// 検索欄を初期化
+function setupSearchControls() {
+    createSearchCombobox({
+        input: document.getElementById('search-input'),
+        listbox: document.getElementById('search-results'),
+        status: document.getElementById('search-status'),
+        // 名称・読み（かな・ローマ字）で検索し、近い順に最大10件
+        search: query => municipalitySearch?.search(query, 10) || [],
+        renderOption: renderSearchOption,
+        onSelect: selectSearchResult,
+        onClear: clearSearchSelection
+    });
+
+    document.getElementById('search-add').addEventListener('click', () => {
+        const category = document.getElementById('search-category').value;
+        if (selectedSearchResult && category) {
+            addMunicipalities(selectedSearchResult.codes, category);
+        }
+    });
+    document.getElementById('search-clear').addEventListener('click', () => {
+        document.getElementById('search-input').value = '';
+        clearSearchSelection();
     });
 }
 
 /**
  * 市区町村に移動してハイライト
  */
-function flyToMunicipality(bounds, code) {
+function flyToMunicipality(bounds, codes, duration) {
     // バウンドに移動
     map.fitBounds(bounds, {
         padding: 50,
@@ -646,14 +4359,14 @@ function flyToMunicipality(bounds, code) {
     });
 
     // ハイライト表示
-    highlightMunicipality(code);
+    highlightMunicipality(codes, duration);
 }
 
 /**
  * 市区町村をハイライト表示
  */
-function highlightMunicipality(code) {
-    highlightedCode = code;
+function highlightMunicipality(codes, duration = 5000) {
+    highlightedCodes = codes;
 
     // ハイライトレイヤーがなければ追加
     if (!map.getLayer('municipality-highlight')) {
@@ -672,21 +4385,22 @@ function highlightMunicipality(code) {
     }
 
     // フィルターを更新
-    map.setFilter('municipality-highlight', ['==', 'N03_007', code]);
+    map.setFilter('municipality-highlight', ['in', ['get', 'N03_007'], ['literal', codes]]);
 
-    // 5秒後にハイライトを消す
+    // 一定時間後にハイライトを消す（null なら消さない）
+    if (duration === null) return;
     setTimeout(() => {
-        if (highlightedCode === code) {
+        if (highlightedCodes === codes) {
             clearHighlight();
         }
-    }, 5000);
+    }, duration);
 }
 
 /**
  * ハイライトをクリア
  */
 function clearHighlight() {
-    highlightedCode = null;
+    highlightedCodes = null;
     if (map.getLayer('municipality-highlight')) {
         map.setFilter('municipality-highlight', ['==', 'N03_007', '']);
     }
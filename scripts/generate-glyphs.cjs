@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+
+/**
+ * ラベル用グリフ（PBF）生成スクリプト
+ * @fontsource/noto-sans のフォント（latin・latin-ext）から、MapLibre のグリフ形式（SDF）のPBFを
+ * public/fonts/<フォント名>/<開始>-<終了>.pbf に作成します（0〜65535 の256文字ごと、グリフのない範囲も作成）
+ *
+ * 使い方: node scripts/generate-glyphs.cjs
+ *   依存: opentype.js, @fontsource/noto-sans, pbf（devDependencies / dependencies）
+ *
+ * 漢字・かなはブラウザのフォントで描く（localIdeographFontFamily）ので、ここでは英数字・記号だけを扱います。
+ * グリフの大きさ・余白・SDF の範囲は MapLibre が想定するサーバーのグリフ（24px、余白3px、半径8px）に合わせています。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const opentype = require('opentype.js');
+
+// 設定
+const CONFIG = {
+    fontDir: path.join(__dirname, '..', 'node_modules', '@fontsource', 'noto-sans', 'files'),
+    outputDir: path.join(__dirname, '..', 'public', 'fonts'),
+    // フォント名（text-font で指定する名前）と、グリフを取り出すファイル（先のファイルを優先）
+    fontstacks: [
+        { name: 'Noto Sans Regular', files: ['noto-sans-latin-400-normal.woff', 'noto-sans-latin-ext-400-normal.woff'] },
+        { name: 'Noto Sans Bold', files: ['noto-sans-latin-700-normal.woff', 'noto-sans-latin-ext-700-normal.woff'] }
+    ],
+    fontSize: 24,
+    buffer: 3,
+    radius: 8,
+    cutoff: 0.25,
+    // 1ピクセルあたりの標本数（縦・横）
+    samples: 4,
+    // MapLibre が文字の上端の位置を求めるときに引く値（ローカルのフォントで描くグリフの 27.5 に近い整数）
+    topOffset: 27
+};
+
+const INF = 1e20;
+
+// 曲線を折れ線にする分割数
+const CURVE_STEPS = 8;
+
+// パスのコマンドを閉じた折れ線（[x, y] の列）のリストにする
+function flattenPath(commands) {
+    const rings = [];
+    let ring = [];
+    let [x, y] = [0, 0];
+    commands.forEach(command => {
+        if (command.type === 'M') {
+            if (ring.length > 1) rings.push(ring);
+            ring = [[command.x, command.y]];
+        } else if (command.type === 'L') {
+            ring.push([command.x, command.y]);
+        } else if (command.type === 'Q') {
+            for (let i = 1; i <= CURVE_STEPS; i++) {
+                const t = i / CURVE_STEPS;
+                const s = 1 - t;
+                ring.push([
+                    s * s * x + 2 * s * t * command.x1 + t * t * command.x,
+                    s * s * y + 2 * s * t * command.y1 + t * t * command.y
+                ]);
+            }
+        } else if (command.type === 'C') {
+            for (let i = 1; i <= CURVE_STEPS; i++) {
+                const t = i / CURVE_STEPS;
+                const s = 1 - t;
+                ring.push([
+                    s * s * s * x + 3 * s * s * t * command.x1 + 3 * s * t * t * command.x2 + t * t * t * command.x,
+                    s * s * s * y + 3 * s * s * t * command.y1 + 3 * s * t * t * command.y2 + t * t * t * command.y
+                ]);
+            }
+        } else if (command.type === 'Z') {
+            if (ring.length > 1) rings.push(ring);
+            ring = [];
+            return;
+        }
+        [x, y] = ring[ring.length - 1];
+    });
+    if (ring.length > 1) rings.push(ring);
+    return rings;
+}
+
+// 折れ線の内側（非ゼロ規則）の塗りの割合（0〜1）を、ピクセルごとに求める
+function rasterize(rings, width, height, originX, originY) {
+    const { samples } = CONFIG;
+    const alpha = new Float64Array(width * height);
+    const edges = rings.flatMap(ring => ring.map((a, i) => [a, ring[(i + 1) % ring.length]]));
+
+    for (let row = 0; row < height * samples; row++) {
+        const y = originY + (row + 0.5) / samples;
+        const crossings = [];
+        edges.forEach(([[x0, y0], [x1, y1]]) => {
+            if ((y0 <= y) === (y1 <= y)) return;
+            crossings.push({ x: x0 + ((y - y0) / (y1 - y0)) * (x1 - x0), winding: y1 > y0 ? 1 : -1 });
+        });
+        crossings.sort((a, b) => a.x - b.x);
+
+        let winding = 0;
+        crossings.forEach((crossing, i) => {
+            winding += crossing.winding;
+            if (winding === 0 || i + 1 >= crossings.length) return;
+            // crossing.x 〜 次の交点の間が内側
+            const from = (crossing.x - originX) * samples - 0.5;
+            const to = (crossings[i + 1].x - originX) * samples - 0.5;
+            for (let column = Math.max(0, Math.ceil(from)); column <= Math.min(width * samples - 1, Math.floor(to)); column++) {
+                alpha[Math.floor(row / samples) * width + Math.floor(column / samples)] += 1 / (samples * samples);
+            }
+        });
+    }
+    return alpha;
+}
+
+// 1次元の距離変換（Felzenszwalb & Huttenlocher）
+function edt1d(grid, offset, stride, length, f, v, z) {
+    v[0] = 0;
+    z[0] = -INF;
+    z[1] = INF;
+    f[0] = grid[offset];
+
+    for (let q = 1, k = 0, s = 0; q < length; q++) {
+        f[q] = grid[offset + q * stride];
+        const q2 = q * q;
+        do {
+            const r = v[k];
+            s = (f[q] - f[r] + q2 - r * r) / (q - r) / 2;
+        } while (s <= z[k] && --k > -1);
+
+        k++;
+        v[k] = q;
+        z[k] = s;
+        z[k + 1] = INF;
+    }
+
+    for (let q = 0, k = 0; q < length; q++) {
+        while (z[k + 1] < q) k++;
+        const r = v[k];
+        const qr = q - r;
+        grid[offset + q * stride] = f[r] + qr * qr;
+    }
+}
+
+// 2次元の距離変換（距離の2乗）
+function edt(grid, width, height) {
+    const size = Math.max(width, height);
+    const f = new Float64Array(size);
+    const v = new Uint16Array(size);
+    const z = new Float64Array(size + 1);
+    for (let x = 0; x < width; x++) edt1d(grid, x, width, height, f, v, z);
+    for (let y = 0; y < height; y++) edt1d(grid, y * width, 1, width, f, v, z);
+}
+
+// 塗りの割合から SDF（輪郭で 191、内側ほど大きい値）を作る
+function toSdf(alpha, width, height) {
+    const { radius, cutoff } = CONFIG;
+    const outer = new Float64Array(alpha.length);
+    const inner = new Float64Array(alpha.length);
+    alpha.forEach((a, i) => {
+        if (a >= 1) {
+            outer[i] = 0;
+            inner[i] = INF;
+        } else if (a <= 0) {
+            outer[i] = INF;
+            inner[i] = 0;
+        } else {
+            const d = 0.5 - a;
+            outer[i] = d > 0 ? d * d : 0;
+            inner[i] = d < 0 ? d * d : 0;
+        }
+    });
+    edt(outer, width, height);
+    edt(inner, width, height);
+
+    const data = new Uint8Array(alpha.length);
+    for (let i = 0; i < alpha.length; i++) {
+        const d = Math.sqrt(outer[i]) - Math.sqrt(inner[i]);
+        data[i] = Math.max(0, Math.min(255, Math.round(255 - 255 * (d / radius + cutoff))));
+    }
+    return data;
+}
+
+// フォントのグリフ1文字を MapLibre のグリフ（SDF と位置・送り幅）にする
+function renderGlyph(id, font, glyph) {
+    const { fontSize, buffer, topOffset } = CONFIG;
+    const advance = Math.round((glyph.advanceWidth * fontSize) / font.unitsPerEm);
+    const commands = glyph.getPath(0, 0, fontSize).commands;
+    const rings = flattenPath(commands);
+    if (rings.length === 0) {
+        return { id, bitmap: new Uint8Array(0), width: 0, height: 0, left: 0, top: -topOffset, advance };
+    }
+
+    // getPath は y が下向き（ベースラインが 0、上が負）
+    const points = rings.flat();
+    const left = Math.floor(Math.min(...points.map(([x]) => x)));
+    const right = Math.ceil(Math.max(...points.map(([x]) => x)));
+    const ascent = Math.ceil(-Math.min(...points.map(([, y]) => y)));
+    const descent = Math.ceil(Math.max(...points.map(([, y]) => y)));
+    const width = Math.max(1, right - left);
+    const height = Math.max(1, ascent + descent);
+
+    const paddedWidth = width + buffer * 2;
+    const paddedHeight = height + buffer * 2;
+    const alpha = rasterize(rings, paddedWidth, paddedHeight, left - buffer, -ascent - buffer);
+    const bitmap = toSdf(alpha, paddedWidth, paddedHeight);
+
+    return { id, bitmap, width, height, left, top: ascent - topOffset, advance };
+}
+
+// グリフのPBF（glyphs.proto: glyphs > fontstack > glyph）を作る
+function encodeRange(PbfWriter, name, start, end, glyphs) {
+    const pbf = new PbfWriter();
+    pbf.writeMessage(1, (_, stack) => {
+        stack.writeStringField(1, name);
+        stack.writeStringField(2, `${start}-${end}`);
+        glyphs.forEach(glyph => stack.writeMessage(3, (item, message) => {
+            message.writeVarintField(1, item.id);
+            if (item.bitmap.length > 0) message.writeBytesField(2, item.bitmap);
+            message.writeVarintField(3, item.width);
+            message.writeVarintField(4, item.height);
+            message.writeSVarintField(5, item.left);
+            message.writeSVarintField(6, item.top);
+            message.writeVarintField(7, item.advance);
+        }, glyph));
+    });
+    return Buffer.from(pbf.finish());
+}
+
+// フォントのファイルを読み込み、文字コードとグリフの対応を作る（先のファイルを優先）
+function loadCharacters(files) {
+    const characters = new Map();
+    files.forEach(file => {
+        const filePath = path.join(CONFIG.fontDir, file);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`フォントのファイルが見つかりません: ${filePath}（npm install を実行してください）`);
+        }
+        const data = fs.readFileSync(filePath);
+        const font = opentype.parse(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+        Object.entries(font.tables.cmap.glyphIndexMap).forEach(([code, index]) => {
+            if (!characters.has(Number(code))) characters.set(Number(code), { font, glyph: font.glyphs.get(index) });
+        });
+        console.log(`   📖 ${file}: ${Object.keys(font.tables.cmap.glyphIndexMap).length} 文字`);
+    });
+    return characters;
+}
+
+async function main() {
+    console.log('\n========================================');
+    console.log('  ラベル用グリフ（PBF）生成スクリプト');
+    console.log('========================================\n');
+
+    // pbf は ES Modules のみ
+    const { PbfWriter } = await import('pbf');
+
+    for (const { name, files } of CONFIG.fontstacks) {
+        console.log(`🔤 ${name}`);
+        const characters = loadCharacters(files);
+
+        const outputDir = path.join(CONFIG.outputDir, name);
+        fs.mkdirSync(outputDir, { recursive: true });
+
+        let glyphCount = 0;
+        for (let start = 0; start < 65536; start += 256) {
+            const end = start + 255;
+            const glyphs = [];
+            for (let code = start; code <= end; code++) {
+                const character = characters.get(code);
+                if (character) glyphs.push(renderGlyph(code, character.font, character.glyph));
+            }
+            glyphCount += glyphs.length;
+            fs.writeFileSync(path.join(outputDir, `${start}-${end}.pbf`), encodeRange(PbfWriter, name, start, end, glyphs));
+        }
+        console.log(`   ✅ ${glyphCount} 文字を ${path.relative(process.cwd(), outputDir)} に出力しました\n`);
+    }
+
+    // フォントのライセンス（SIL Open Font License）を同梱
+    fs.copyFileSync(path.join(CONFIG.fontDir, '..', 'LICENSE'), path.join(CONFIG.outputDir, 'LICENSE'));
+    console.log('📄 フォントのライセンスを public/fonts/LICENSE にコピーしました');
+    console.log('\n✨ 完了しました\n');
+}
+
+main().catch(error => {
+    console.error(`❌ エラー: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * 市区町村TopoJSON生成スクリプト (mapshaper使用版)
+ * N03-20240101.geojsonから市区町村コードごとにフィーチャーを集約・軽量化してpublic/municipalities-topo.jsonを生成します
+ * 塗り分け結果の書き出し（GeoJSON / TopoJSON / KML）で使用します
+ *
+ * 依存: mapshaper（devDependencies。npm install でインストールされます）
+ */
+
+const { execSync } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+
+// 設定
+const CONFIG = {
+    geojsonPath: path.join(__dirname, '..', 'N03-20240101.geojson'),
+    outputDir: path.join(__dirname, '..', 'public'),
+    outputFile: 'municipalities-topo.json',
+    simplifyPercentage: '1%', // PMTilesと同じ1%まで削減
+};
+
+function main() {
+    console.log('\n========================================');
+    console.log('  市区町村TopoJSON生成スクリプト (軽量化版)');
+    console.log('========================================\n');
+
+    // 入力ファイルの確認
+    if (!fs.existsSync(CONFIG.geojsonPath)) {
+        console.error(`❌ エラー: 入力ファイルが見つかりません: ${CONFIG.geojsonPath}`);
+        process.exit(1);
+    }
+
+    // 出力ディレクトリの作成
+    if (!fs.existsSync(CONFIG.outputDir)) {
+        fs.mkdirSync(CONFIG.outputDir, { recursive: true });
+        console.log(`📁 ディレクトリを作成しました: ${CONFIG.outputDir}`);
+    }
+
+    const outputPath = path.join(CONFIG.outputDir, CONFIG.outputFile);
+
+    // mapshaperコマンドの構築
+    // 1. -simplify 1% keep-shapes: 頂点数を削減して軽量化 (keep-shapesで消滅を防ぐ)
+    // 2. -dissolve N03_007: 行政区域コードでポリゴンを結合し、名称を引き継ぐ
+    // 3. -rename-layers municipalities: TopoJSONのオブジェクト名
+    // 4. -o format=topojson: 隣接する市区町村が境界線を共有するTopoJSON形式で出力
+    const command = `npx --no-install mapshaper "${CONFIG.geojsonPath}" \
+        -simplify ${CONFIG.simplifyPercentage} keep-shapes \
+        -dissolve N03_007 copy-fields=N03_001,N03_003,N03_004,N03_005 \
+        -rename-layers municipalities \
+        -o "${outputPath}" format=topojson`;
+
+    console.log('🔄 mapshaperを実行してTopoJSONを生成・軽量化しています...');
+    console.log(`   設定: simplify=${CONFIG.simplifyPercentage}, dissolve=N03_007`);
+
+    try {
+        // stdio: 'inherit' でmapshaperの出力を表示
+        execSync(command, { stdio: 'inherit' });
+
+        // 生成されたファイルのサイズを確認
+        if (fs.existsSync(outputPath)) {
+            const stats = fs.statSync(outputPath);
+            const sizeMB = (stats.size / (1024 * 1024)).toFixed(2);
+
+            console.log(`\n✅ 生成完了: ${outputPath}`);
+            console.log(`📊 ファイルサイズ: ${sizeMB} MB`);
+        } else {
+            console.error('\n❌ エラー: 出力ファイルが生成されませんでした。');
+            process.exit(1);
+        }
+
+    } catch (error) {
+        console.error('\n❌ mapshaperの実行中にエラーが発生しました。');
+        console.error('npm install で mapshaper をインストールしたか確認してください。');
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+/**
+ * 市区町村の統計データ生成スクリプト
+ * N03-20240101.geojson から市区町村コードごとの面積を計算し、国勢調査の人口表と合わせて
+ * public/municipality-stats.json を生成します（統計パネルで使用します）
+ *
+ * 使い方: node scripts/generate-municipality-stats.cjs --source "令和2年国勢調査 人口等基本集計（e-Stat）"
+ *   --source: 人口表の出典（統計パネルに表示。人口表を使う場合は必須）
+ *
+ * 人口表: e-Stat などからダウンロードした国勢調査の市区町村別人口のCSV（UTF-8）
+ *   CONFIG.codeColumns・CONFIG.populationColumns のいずれかと同じ名前の列
+ *   （市区町村コード、6桁の場合は先頭5桁を使用／総人口）が必要です
+ *   「人口密度」「人口増減率」などの列と取り違えないよう、列名は完全一致で探します
+ *   人口表がなければ面積だけを出力します
+ *
+ * 出力形式: { "source": 人口の出典, "municipalities": { 市区町村コード: [面積(km²), 人口] } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Papa = require('papaparse');
+
+// 設定
+const CONFIG = {
+    geojsonPath: path.join(__dirname, '..', 'N03-20240101.geojson'),
+    censusCsvPath: path.join(__dirname, '..', 'census-population.csv'),
+    // 人口表の列名（前後の空白を除いて完全一致）
+    codeColumns: ['市区町村コード', '地域コード', '団体コード', '全国地方公共団体コード', 'code'],
+    populationColumns: ['人口', '総人口', '人口総数', '総数', 'population'],
+    outputDir: path.join(__dirname, '..', 'public'),
+    outputFile: 'municipality-stats.json',
+};
+
+// 人口表の出典（--source "..." または --source=...）
+function getSourceArg() {
+    const args = process.argv.slice(2);
+    const index = args.findIndex(arg => arg === '--source' || arg.startsWith('--source='));
+    if (index === -1) return '';
+    const value = args[index].includes('=') ? args[index].slice('--source='.length) : args[index + 1];
+    return (value || '').trim();
+}
+
+// 地球の半径（m、GRS80の長半径）
+const EARTH_RADIUS = 6378137;
+
+/**
+ * リングの面積（m²、球面上の近似）
+ */
+function ringArea(ring) {
+    const toRad = Math.PI / 180;
+    let total = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        const [lng1, lat1] = ring[i];
+        const [lng2, lat2] = ring[i + 1];
+        total += (lng2 - lng1) * toRad * (2 + Math.sin(lat1 * toRad) + Math.sin(lat2 * toRad));
+    }
+    return Math.abs(total * EARTH_RADIUS * EARTH_RADIUS / 2);
+}
+
+/**
+ * ポリゴンの面積（外周から穴を引く）
+ */
+function polygonArea(rings) {
+    return rings.reduce((area, ring, i) => area + (i === 0 ? 1 : -1) * ringArea(ring), 0);
+}
+
+function geometryArea(geometry) {
+    if (!geometry) return 0;
+    if (geometry.type === 'Polygon') return polygonArea(geometry.coordinates);
+    if (geometry.type === 'MultiPolygon') return geometry.coordinates.reduce((area, rings) => area + polygonArea(rings), 0);
+    return 0;
+}
+
+/**
+ * 市区町村コードごとの面積（km²）
+ */
+function calculateAreas() {
+    if (!fs.existsSync(CONFIG.geojsonPath)) {
+        throw new Error(`GeoJSONファイルが見つかりません: ${CONFIG.geojsonPath}`);
+    }
+    console.log('🔄 市区町村の面積を計算中...');
+
+    const geojson = JSON.parse(fs.readFileSync(CONFIG.geojsonPath, 'utf8'));
+    const areas = new Map();
+    geojson.features.forEach(feature => {
+        const code = feature.properties.N03_007;
+        if (!code) return;
+        areas.set(code, (areas.get(code) || 0) + geometryArea(feature.geometry));
+    });
+    return areas;
+}
+
+/**
+ * 国勢調査の人口表（市区町村コード → 人口）
+ */
+function readPopulation() {
+    if (!fs.existsSync(CONFIG.censusCsvPath)) {
+        console.log(`⚠️ 人口表が見つからないため、面積だけを出力します: ${CONFIG.censusCsvPath}`);
+        return new Map();
+    }
+
+    const { data, meta } = Papa.parse(fs.readFileSync(CONFIG.censusCsvPath, 'utf8').replace(/^\uFEFF/, ''), {
+        header: true,
+        skipEmptyLines: true
+    });
+    const findField = names => meta.fields.find(field => names.includes(field.trim()));
+    const codeField = findField(CONFIG.codeColumns);
+    const populationField = findField(CONFIG.populationColumns);
+    if (!codeField || !populationField) {
+        throw new Error(
+            `人口表に市区町村コード（${CONFIG.codeColumns.join('・')}）と人口（${CONFIG.populationColumns.join('・')}）の列がありません: ${meta.fields.join(', ')}`
+        );
+    }
+
+    const population = new Map();
+    data.forEach(row => {
+        const code = String(row[codeField]).trim().slice(0, 5);
+        const value = Number(String(row[populationField]).replace(/,/g, ''));
+        if (/^\d{5}$/.test(code) && Number.isFinite(value)) {
+            population.set(code, value);
+        }
+    });
+    console.log(`📋 人口表: ${population.size} 件（列: ${codeField}, ${populationField}）`);
+    return population;
+}
+
+function main() {
+    console.log('\n========================================');
+    console.log('  市区町村の統計データ生成スクリプト');
+    console.log('========================================\n');
+
+    try {
+        const source = getSourceArg();
+        if (fs.existsSync(CONFIG.censusCsvPath) && !source) {
+            throw new Error('人口表の出典を --source "..." で指定してください（例: --source "令和2年国勢調査 人口等基本集計（e-Stat）"）');
+        }
+
+        const areas = calculateAreas();
+        const population = readPopulation();
+
+        const municipalities = {};
+        Array.from(areas.keys()).sort().forEach(code => {
+            municipalities[code] = [Math.round(areas.get(code) / 1e4) / 100, population.get(code) ?? null];
+        });
+        const missing = Object.values(municipalities).filter(([, value]) => value === null).length;
+
+        if (!fs.existsSync(CONFIG.outputDir)) {
+            fs.mkdirSync(CONFIG.outputDir, { recursive: true });
+        }
+        const outputPath = path.join(CONFIG.outputDir, CONFIG.outputFile);
+        fs.writeFileSync(outputPath, JSON.stringify({
+            source: population.size > 0 ? source : null,
+            municipalities
+        }));
+
+        console.log(`\n✅ 生成完了: ${outputPath}`);
+        console.log(`📊 ${Object.keys(municipalities).length} 市区町村（人口なし: ${missing}）`);
+    } catch (error) {
+        console.error(`❌ エラーが発生しました: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+main();
@@ -2,16 +2,27 @@
 
 /**
  * 検索用データ生成スクリプト
- * GeoJSONから市区町村リストと中心座標を抽出します
+ * GeoJSONから市区町村リスト（政令市の区名を含む）と中心座標を抽出し、
+ * 境界線を共有する市区町村の隣接グラフ（adjacency.json、N03_007 → 隣接するコード）も出力します
+ *
+ * 使い方: node scripts/generate-search-data.cjs [入力GeoJSON] [出力ディレクトリ]
+ *   省略時は N03-20240101.geojson から public に出力（過去の年度は generate-vintages.cjs から呼ばれる）
+ *
+ * 読み: 総務省「全国地方公共団体コード」をCSV（UTF-8）にした municipality-readings.csv（同梱）から、
+ *   市区町村名の読み（kana、政令市の区は cityKana に市の読みも）を追加します
+ *   「コード」を含む列・「都道府県名」「市区町村名」を含む漢字の列・「カナ」を含む市区町村名の読みの列が必要です
+ *   同梱のCSVは jp-local-gov（MIT License）の団体コード表に、2024年に再編した浜松市の区を加えたものです
  */
 
 const fs = require('fs');
 const path = require('path');
+const Papa = require('papaparse');
 
 // 設定
 const CONFIG = {
-    geojsonPath: path.join(__dirname, '..', 'N03-20240101.geojson'),
-    outputDir: path.join(__dirname, '..', 'public'),
+    geojsonPath: process.argv[2] ? path.resolve(process.argv[2]) : path.join(__dirname, '..', 'N03-20240101.geojson'),
+    readingsCsvPath: path.join(__dirname, '..', 'municipality-readings.csv'),
+    outputDir: process.argv[3] ? path.resolve(process.argv[3]) : path.join(__dirname, '..', 'public'),
 };
 
 // ユーティリティ関数
@@ -87,8 +98,99 @@ function calculateBounds(coordinates) {
     ];
 }
 
+/**
+ * カタカナ・半角カナをひらがなにする
+ */
+function toHiragana(text) {
+    return String(text || '')
+        .normalize('NFKC')
+        .replace(/[ァ-ヶ]/g, char => String.fromCharCode(char.charCodeAt(0) - 0x60));
+}
+
+/**
+ * 市区町村の読み（コード → 読み、都道府県+市区町村名 → 読み）
+ */
+function readReadings() {
+    const readings = { byCode: new Map(), byName: new Map() };
+    if (!fs.existsSync(CONFIG.readingsCsvPath)) {
+        log(`読みのCSVが見つからないため、読みなしで生成します: ${CONFIG.readingsCsvPath}`, 'warning');
+        return readings;
+    }
+
+    const { data, meta } = Papa.parse(fs.readFileSync(CONFIG.readingsCsvPath, 'utf8').replace(/^\uFEFF/, ''), {
+        header: true,
+        skipEmptyLines: true
+    });
+    const codeField = meta.fields.find(field => field.includes('コード'));
+    const prefField = meta.fields.find(field => field.includes('都道府県名') && !field.includes('カナ'));
+    const nameField = meta.fields.find(field => field.includes('市区町村名') && !field.includes('カナ'));
+    const kanaField = meta.fields.find(field => field.includes('市区町村名') && field.includes('カナ'));
+    if (!codeField || !prefField || !nameField || !kanaField) {
+        throw new Error(`読みのCSVに必要な列がありません: ${meta.fields.join(', ')}`);
+    }
+
+    data.forEach(row => {
+        const kana = toHiragana(row[kanaField]).replace(/\s/g, '');
+        if (!kana) return;
+        readings.byCode.set(String(row[codeField]).trim().slice(0, 5), kana);
+        readings.byName.set(String(row[prefField]).trim() + String(row[nameField]).trim().normalize('NFKC'), kana);
+    });
+    log(`読みのCSV: ${readings.byCode.size} 件`, 'info');
+    return readings;
+}
+
+/**
+ * 隣接グラフ（市区町村コード → 境界線を共有する市区町村コード）
+ * N03のポリゴンは隣り合う市区町村で境界の頂点の座標が同じなので、範囲が重なる組み合わせについて
+ * 重なる範囲の頂点を比べ、共有する頂点が2つ以上（点で接するだけではない）なら隣接とみなします
+ * @param {Array<{ code: string, coords: Array<[number, number]>, minX: number, minY: number, maxX: number, maxY: number }>} shapes
+ */
+function buildAdjacency(shapes) {
+    const adjacency = new Map(shapes.map(shape => [shape.code, new Set()]));
+    const sorted = shapes.slice().sort((a, b) => a.minX - b.minX);
+    const key = ([x, y]) => `${x},${y}`;
+
+    for (let i = 0; i < sorted.length; i++) {
+        const a = sorted[i];
+        for (let j = i + 1; j < sorted.length && sorted[j].minX <= a.maxX; j++) {
+            const b = sorted[j];
+            if (b.minY > a.maxY || b.maxY < a.minY) continue;
+
+            const west = b.minX;
+            const east = Math.min(a.maxX, b.maxX);
+            const south = Math.max(a.minY, b.minY);
+            const north = Math.min(a.maxY, b.maxY);
+            const inside = ([x, y]) => x >= west && x <= east && y >= south && y <= north;
+
+            const vertices = new Set();
+            a.coords.forEach(coord => {
+                if (inside(coord)) vertices.add(key(coord));
+            });
+            if (vertices.size < 2) continue;
+
+            // リングの始点と終点は同じ頂点なので、一致した頂点は消して二重に数えない
+            let shared = 0;
+            for (const coord of b.coords) {
+                if (!inside(coord) || !vertices.delete(key(coord))) continue;
+                if (++shared >= 2) break;
+            }
+            if (shared >= 2) {
+                adjacency.get(a.code).add(b.code);
+                adjacency.get(b.code).add(a.code);
+            }
+        }
+    }
+
+    const result = {};
+    Array.from(adjacency.keys()).sort().forEach(code => {
+        result[code] = Array.from(adjacency.get(code)).sort();
+    });
+    return result;
+}
+
 /**
  * GeoJSONから市区町村データを抽出
+ * @returns {{ municipalities: Array, shapes: Array }} shapes: 隣接グラフ用の市区町村ごとの頂点と範囲
  */
 function extractMunicipalities() {
     log('市区町村データを抽出中...', 'step');
@@ -109,6 +211,7 @@ function extractMunicipalities() {
         const prefName = props.N03_001 || '';
         const gunName = props.N03_003 || '';
         const cityName = props.N03_004 || '';
+        const wardName = props.N03_005 || '';
         
         if (!cityName || !code) return;
         
@@ -120,6 +223,7 @@ function extractMunicipalities() {
                 prefName,
                 gunName,
                 cityName,
+                wardName,
                 fullName,
                 coordinates: [],
                 bounds: null
@@ -134,6 +238,8 @@ function extractMunicipalities() {
     
     // 各市区町村の中心座標とバウンドを計算
     const municipalities = [];
+    const shapes = [];
+    const readings = readReadings();
     
     municipalitiesMap.forEach((m) => {
         // 全座標をフラット化（スタックオーバーフロー回避のためイテレーティブに）
@@ -182,13 +288,21 @@ function extractMunicipalities() {
             [Math.round(minX * 10000) / 10000, Math.round(minY * 10000) / 10000],
             [Math.round(maxX * 10000) / 10000, Math.round(maxY * 10000) / 10000]
         ];
+        shapes.push({ code: m.code, coords: allCoords, minX, minY, maxX, maxY });
         
+        // 読みはコードで探し、見つからなければ名称で探す（政令市の区は「市名+区名」）
+        const kana = readings.byCode.get(m.code) || readings.byName.get(m.prefName + m.cityName + m.wardName) || '';
+        const cityKana = m.wardName ? readings.byName.get(m.prefName + m.cityName) || '' : '';
+
         municipalities.push({
             code: m.code,
             pref: m.prefName,
             gun: m.gunName,
             city: m.cityName,
+            ward: m.wardName,
             full: m.fullName,
+            ...(kana && { kana }),
+            ...(cityKana && { cityKana }),
             center,
             bounds
         });
@@ -197,7 +311,7 @@ function extractMunicipalities() {
     // コード順にソート
     municipalities.sort((a, b) => a.code.localeCompare(b.code));
     
-    return municipalities;
+    return { municipalities, shapes };
 }
 
 /**
@@ -211,7 +325,7 @@ async function main() {
     try {
         ensureDir(CONFIG.outputDir);
         
-        const municipalities = extractMunicipalities();
+        const { municipalities, shapes } = extractMunicipalities();
         
         // 検索用JSONを保存（コンパクト形式）
         const searchDataPath = path.join(CONFIG.outputDir, 'search-data.json');
@@ -226,6 +340,14 @@ async function main() {
         const prefPath = path.join(CONFIG.outputDir, 'prefectures.json');
         fs.writeFileSync(prefPath, JSON.stringify(prefectures));
         log(`都道府県リストを保存しました: ${prefPath}`, 'success');
+
+        // 隣接グラフ（検索用データと同じディレクトリ）
+        log('隣接グラフを計算中...', 'step');
+        const adjacency = buildAdjacency(shapes);
+        const adjacencyPath = path.join(CONFIG.outputDir, 'adjacency.json');
+        fs.writeFileSync(adjacencyPath, JSON.stringify(adjacency));
+        const edgeCount = Object.values(adjacency).reduce((total, neighbors) => total + neighbors.length, 0) / 2;
+        log(`隣接グラフを保存しました: ${adjacencyPath} (${edgeCount} 組)`, 'success');
         
         // サンプル出力
         console.log('\nサンプルデータ（東京都の最初の5件）:');
@@ -233,7 +355,7 @@ async function main() {
             .filter(m => m.pref === '東京都')
             .slice(0, 5)
             .forEach(m => {
-                console.log(`  ${m.code}: ${m.full} @ [${m.center.join(', ')}]`);
+                console.log(`  ${m.code}: ${m.full}${m.ward} (${m.kana || '読みなし'}) @ [${m.center.join(', ')}]`);
             });
         
         console.log('\n========================================');
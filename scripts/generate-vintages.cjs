@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+
+/**
+ * 過去の行政区域（年度別）と新旧対応表の生成スクリプト
+ * CONFIG.vintages の年度ごとに検索用データ・隣接グラフ（と --pmtiles ならPMTiles）を public/vintages/<年>/ に作成し、
+ * 年度の一覧（public/vintages.json）と、最新の行政区域への新旧対応表（public/crosswalk.json）を生成します
+ *
+ * 使い方: node scripts/generate-vintages.cjs [--pmtiles]
+ *   入力: 国土数値情報（行政区域）の各年度のデータをGeoJSONにしたもの（Shapefileは mapshaper で変換）
+ *   --pmtiles: 年度ごとのPMTilesも作成（build-pmtiles.sh を使用。mapshaper・tippecanoe が必要）
+ *
+ * 新旧対応表の後継の市区町村は、次の順で決めます
+ *   1. 同じ市区町村コードが最新にもある（名称変更など） → そのコード
+ *   2. 同じ都道府県・名称が最新にもある（政令市への移行など） → その名称のすべての区域
+ *   3. 旧市区町村の中心を含む最新の市区町村（含まれなければ中心が最も近い市区町村）
+ */
+
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+// 設定
+const CONFIG = {
+    currentYear: 2024,
+    currentGeojsonPath: path.join(__dirname, '..', 'N03-20240101.geojson'),
+    currentSearchDataPath: path.join(__dirname, '..', 'public', 'search-data.json'),
+    // 過去の年度（年と入力GeoJSON）
+    vintages: [
+        { year: 2000, geojson: 'N03-20000101.geojson' },
+        { year: 2010, geojson: 'N03-20100101.geojson' },
+        { year: 2020, geojson: 'N03-20200101.geojson' },
+    ],
+    outputDir: path.join(__dirname, '..', 'public'),
+    // アプリから見た年度別PMTilesのURL（{year} は年に置き換え）
+    pmtilesUrl: './vintages/{year}/japan_municipalities.pmtiles',
+};
+
+const BUILD_PMTILES = process.argv.includes('--pmtiles');
+
+// 点がリングの内側か（レイキャスティング）
+function pointInRing([x, y], ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * 最新の行政区域の形状（市区町村コード → { polygons, bounds }）
+ */
+function loadCurrentShapes() {
+    console.log('🔄 最新の行政区域を読み込み中...');
+    const geojson = JSON.parse(fs.readFileSync(CONFIG.currentGeojsonPath, 'utf8'));
+    const shapes = new Map();
+
+    geojson.features.forEach(feature => {
+        const code = feature.properties.N03_007;
+        const geometry = feature.geometry;
+        if (!code || !geometry) return;
+
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+            : geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+        if (!shapes.has(code)) {
+            shapes.set(code, { polygons: [], bounds: [Infinity, Infinity, -Infinity, -Infinity] });
+        }
+        const shape = shapes.get(code);
+        polygons.forEach(rings => {
+            shape.polygons.push(rings);
+            rings[0].forEach(([x, y]) => {
+                shape.bounds[0] = Math.min(shape.bounds[0], x);
+                shape.bounds[1] = Math.min(shape.bounds[1], y);
+                shape.bounds[2] = Math.max(shape.bounds[2], x);
+                shape.bounds[3] = Math.max(shape.bounds[3], y);
+            });
+        });
+    });
+    return shapes;
+}
+
+// 点を含む最新の市区町村コード（なければ中心が最も近い市区町村）
+function findContainingCode(point, shapes, currentRecords) {
+    const [x, y] = point;
+    for (const [code, { polygons, bounds }] of shapes) {
+        if (x < bounds[0] || x > bounds[2] || y < bounds[1] || y > bounds[3]) continue;
+        const inside = polygons.some(rings =>
+            pointInRing(point, rings[0]) && !rings.slice(1).some(hole => pointInRing(point, hole))
+        );
+        if (inside) return code;
+    }
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+    currentRecords.forEach(record => {
+        const distance = (record.center[0] - x) ** 2 + (record.center[1] - y) ** 2;
+        if (distance < nearestDistance) {
+            nearest = record.code;
+            nearestDistance = distance;
+        }
+    });
+    return nearest;
+}
+
+/**
+ * 年度ごとの検索用データ・隣接グラフ（とPMTiles）を作成
+ */
+function buildVintage({ year, geojson }) {
+    const inputPath = path.join(__dirname, '..', geojson);
+    const outputDir = path.join(CONFIG.outputDir, 'vintages', String(year));
+    if (!fs.existsSync(inputPath)) {
+        console.log(`⚠️ ${year}年の入力ファイルが見つからないためスキップします: ${inputPath}`);
+        return null;
+    }
+
+    console.log(`\n📅 ${year}年の行政区域`);
+    execSync(`node "${path.join(__dirname, 'generate-search-data.cjs')}" "${inputPath}" "${outputDir}"`, { stdio: 'inherit' });
+    const pmtilesPath = path.join(outputDir, 'japan_municipalities.pmtiles');
+    if (BUILD_PMTILES) {
+        execSync(`"${path.join(__dirname, 'build-pmtiles.sh')}" "${inputPath}" "${pmtilesPath}"`, { stdio: 'inherit' });
+    }
+
+    const manifest = {
+        year,
+        searchData: `./vintages/${year}/search-data.json`,
+        adjacency: `./vintages/${year}/adjacency.json`
+    };
+    // PMTilesがない年度は、アプリが最新のタイルで境界線を表示する
+    if (fs.existsSync(pmtilesPath)) {
+        manifest.pmtiles = CONFIG.pmtilesUrl.replace('{year}', year);
+    } else {
+        console.log(`⚠️ ${year}年のPMTilesがないため、境界線は最新のタイルで表示されます（--pmtiles で作成）`);
+    }
+
+    return {
+        year,
+        records: JSON.parse(fs.readFileSync(path.join(outputDir, 'search-data.json'), 'utf8')),
+        manifest
+    };
+}
+
+/**
+ * 新旧対応表（最新にない旧市区町村 → 後継の市区町村コード）
+ * 同じ旧市区町村が複数の年度にあれば、新しい年度のものを残す
+ */
+function buildCrosswalk(vintages, currentRecords, shapes) {
+    const currentByCode = new Map(currentRecords.map(record => [record.code, record]));
+    const nameOf = record => record.pref + record.full + (record.ward || '');
+    const currentByName = new Map();
+    currentRecords.forEach(record => {
+        [nameOf(record), record.pref + record.full].forEach(name => {
+            if (!currentByName.has(name)) currentByName.set(name, []);
+            if (!currentByName.get(name).includes(record.code)) currentByName.get(name).push(record.code);
+        });
+    });
+
+    const entries = new Map();
+    [...vintages].sort((a, b) => b.year - a.year).forEach(({ year, records }) => {
+        records.forEach(record => {
+            const current = currentByCode.get(record.code);
+            if (current && nameOf(current) === nameOf(record)) return;
+
+            const key = record.code + nameOf(record);
+            if (entries.has(key)) return;
+
+            const successors = current ? [record.code]
+                : currentByName.get(nameOf(record)) || [findContainingCode(record.center, shapes, currentRecords)];
+            entries.set(key, {
+                code: record.code,
+                pref: record.pref,
+                gun: record.gun,
+                city: record.city,
+                ward: record.ward || '',
+                full: record.full,
+                year,
+                successors
+            });
+        });
+    });
+    return Array.from(entries.values()).sort((a, b) => a.code.localeCompare(b.code) || a.year - b.year);
+}
+
+function main() {
+    console.log('\n========================================');
+    console.log('  過去の行政区域・新旧対応表の生成スクリプト');
+    console.log('========================================\n');
+
+    try {
+        if (!fs.existsSync(CONFIG.currentSearchDataPath)) {
+            throw new Error(`最新の検索用データがありません（先に npm run generate:search）: ${CONFIG.currentSearchDataPath}`);
+        }
+        const currentRecords = JSON.parse(fs.readFileSync(CONFIG.currentSearchDataPath, 'utf8'));
+        const vintages = CONFIG.vintages.map(buildVintage).filter(Boolean);
+
+        const crosswalk = buildCrosswalk(vintages, currentRecords, loadCurrentShapes());
+        fs.writeFileSync(path.join(CONFIG.outputDir, 'crosswalk.json'), JSON.stringify({
+            current: CONFIG.currentYear,
+            entries: crosswalk
+        }));
+        fs.writeFileSync(path.join(CONFIG.outputDir, 'vintages.json'), JSON.stringify({
+            current: CONFIG.currentYear,
+            vintages: vintages.map(vintage => vintage.manifest)
+        }, null, 2));
+
+        console.log(`\n✅ 年度: ${vintages.map(vintage => vintage.year).join(', ') || 'なし'}`);
+        console.log(`✅ 新旧対応表: ${crosswalk.length} 件`);
+    } catch (error) {
+        console.error(`❌ エラーが発生しました: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+main();
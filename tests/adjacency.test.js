@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+import { topology } from 'topojson-server';
+import { buildAdjacencyFromTopology, expandNeighbors, findGaps, hopDistances } from '../lib/adjacency';
+
+// 東西に並んだ 01〜03 と、離れた島の 04
+const square = (code, west) => ({
+    type: 'Feature',
+    properties: { N03_007: code },
+    geometry: { type: 'Polygon', coordinates: [[[west, 35], [west + 1, 35], [west + 1, 36], [west, 36], [west, 35]]] }
+});
+const municipalities = topology({
+    municipalities: {
+        type: 'FeatureCollection',
+        features: [square('01', 135), square('02', 136), square('03', 137), square('04', 140)]
+    }
+});
+
+describe('buildAdjacencyFromTopology', () => {
+    it('境界線を共有する市区町村を隣接とする', () => {
+        const graph = buildAdjacencyFromTopology(municipalities);
+        expect(Object.fromEntries(graph)).toEqual({ '01': ['02'], '02': ['01', '03'], '03': ['02'], '04': [] });
+    });
+
+    it('作ったグラフで隣数・すき間を求められる', () => {
+        const graph = buildAdjacencyFromTopology(municipalities);
+        expect(Object.fromEntries(hopDistances(graph, ['01']))).toEqual({ '01': 0, '02': 1, '03': 2 });
+        expect(expandNeighbors(graph, ['01'], 1)).toEqual(['02']);
+        expect(findGaps(graph, new Set(['01', '03']))).toEqual([['02']]);
+    });
+});
@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest';
+import { classify, parseNumber } from '../lib/classification';
+
+describe('classify', () => {
+    it('Jenks はまとまった値の切れ目で区切る', () => {
+        expect(classify([1, 2, 3, 10, 11, 12, 20, 21, 22], 'jenks', 3)).toEqual([10, 20]);
+        // [1, 2, 4, 5] [7, 9, 10] [20] が分散の和の最小
+        expect(classify([1, 2, 4, 5, 7, 9, 10, 20], 'jenks', 3)).toEqual([7, 20]);
+        expect(classify([20, 10, 9, 7, 5, 4, 2, 1], 'jenks', 2)).toEqual([20]);
+    });
+
+    it('Jenks は値の種類より多い階級を作らない', () => {
+        expect(classify([1, 2, 3], 'jenks', 5)).toEqual([2, 3]);
+    });
+
+    it('値がない・数値でない値は境界値なし', () => {
+        ['quantile', 'equalInterval', 'jenks', 'manual'].forEach(method => {
+            expect(classify([], method, 5, [1, 2])).toEqual([]);
+            expect(classify([NaN, Infinity], method, 5, [1, 2])).toEqual([]);
+        });
+    });
+
+    it('すべて同じ値なら境界値なし', () => {
+        ['quantile', 'equalInterval', 'jenks'].forEach(method => {
+            expect(classify([5, 5, 5], method, 3)).toEqual([]);
+        });
+        expect(classify([5, 5, 5], 'manual', 3, [5])).toEqual([]);
+    });
+
+    it('分位数は各階級の件数がそろうように区切る', () => {
+        expect(classify([10, 9, 8, 7, 6, 5, 4, 3, 2, 1], 'quantile', 4)).toEqual([3, 6, 8]);
+        // 同じ値が多いと境界値が重なるので1つにまとめる
+        expect(classify([1, 1, 1, 1, 1, 1, 2, 3], 'quantile', 4)).toEqual([2]);
+    });
+
+    it('等間隔は最小値〜最大値を等分し、幅の有効数字3桁で丸める', () => {
+        expect(classify([0, 100], 'equalInterval', 4)).toEqual([25, 50, 75]);
+        expect(classify([0, 1234567, 3000000], 'equalInterval', 4)).toEqual([750000, 1500000, 2250000]);
+        // 範囲の狭い値でも境界値が重ならない
+        expect(classify([10000.1, 10000.3, 10000.5], 'equalInterval', 3)).toEqual([10000.233, 10000.367]);
+    });
+
+    it('手動の境界値は並べ替え、範囲外と数値でないものを除く', () => {
+        expect(classify([5, 10, 20], 'manual', 3, [15, 7, NaN, 30, 1, 5])).toEqual([7, 15]);
+        expect(classify([5, 10, 20], 'manual', 3, [15, 7, 15])).toEqual([7, 15]);
+    });
+});
+
+describe('parseNumber', () => {
+    it('桁区切り・パーセント・全角数字を数値にする', () => {
+        expect(parseNumber('1,234')).toBe(1234);
+        expect(parseNumber('12.5%')).toBe(12.5);
+        expect(parseNumber('１２３')).toBe(123);
+        expect(parseNumber(' -1e3 ')).toBe(-1000);
+        expect(parseNumber(42)).toBe(42);
+    });
+
+    it('数値でなければ null', () => {
+        expect(parseNumber('')).toBeNull();
+        expect(parseNumber('abc')).toBeNull();
+        expect(parseNumber('12a')).toBeNull();
+        expect(parseNumber(null)).toBeNull();
+        expect(parseNumber(undefined)).toBeNull();
+    });
+});
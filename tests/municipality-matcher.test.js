@@ -0,0 +1,49 @@
+import { readFileSync } from 'fs';
+import { describe, expect, it } from 'vitest';
+import { createMunicipalityMatcher } from '../lib/municipality-matcher';
+
+const searchData = JSON.parse(readFileSync(new URL('../public/search-data.json', import.meta.url), 'utf8'));
+const crosswalk = JSON.parse(readFileSync(new URL('../public/crosswalk.json', import.meta.url), 'utf8'));
+
+// 政令市の区は city に市名、ward に区名が入る
+const records = [
+    { code: '01101', pref: '北海道', gun: '', city: '札幌市', ward: '中央区', full: '札幌市' },
+    { code: '01102', pref: '北海道', gun: '', city: '札幌市', ward: '北区', full: '札幌市' },
+    { code: '27127', pref: '大阪府', gun: '', city: '大阪市', ward: '北区', full: '大阪市' },
+    { code: '13117', pref: '東京都', gun: '', city: '北区', ward: '', full: '北区' }
+];
+
+describe('createMunicipalityMatcher', () => {
+    it('政令市の区を「市名+区名」で解決する', () => {
+        const matcher = createMunicipalityMatcher(records);
+        expect(matcher.resolve('札幌市中央区')).toMatchObject({ status: 'matched', codes: ['01101'] });
+        expect(matcher.resolve('大阪府大阪市北区')).toMatchObject({ status: 'matched', codes: ['27127'] });
+    });
+
+    it('政令市の名前だけならすべての区に解決する', () => {
+        const matcher = createMunicipalityMatcher(records);
+        expect(matcher.resolve('札幌市')).toMatchObject({ status: 'matched', codes: ['01101', '01102'] });
+    });
+
+    it('区名だけの東京都の特別区は区として解決する', () => {
+        const matcher = createMunicipalityMatcher(records);
+        expect(matcher.resolve('北区')).toMatchObject({ status: 'matched', codes: ['13117'] });
+    });
+
+    it('同梱の search-data.json で政令市の区を解決できる', () => {
+        const matcher = createMunicipalityMatcher(searchData);
+        ['札幌市中央区', '横浜市中区', '大阪市北区', '浜松市浜名区'].forEach(name => {
+            const result = matcher.resolve(name);
+            expect(result.status, name).toBe('matched');
+            expect(result.codes, name).toHaveLength(1);
+        });
+    });
+
+    it('同梱の crosswalk.json で再編前の浜松市の区を今の区に読み替える', () => {
+        const matcher = createMunicipalityMatcher(searchData, crosswalk.entries);
+        expect(matcher.resolve('浜松市中区')).toMatchObject({ status: 'matched', codes: ['22138'] });
+        expect(matcher.resolve('静岡県浜松市浜北区')).toMatchObject({ status: 'matched', codes: ['22139'] });
+        // 分割された北区は後継のすべての区
+        expect(matcher.resolve('浜松市北区')).toMatchObject({ status: 'matched', codes: ['22138', '22139'] });
+    });
+});
@@ -0,0 +1,32 @@
+import { readFileSync } from 'fs';
+import { describe, expect, it } from 'vitest';
+import { createMunicipalitySearch } from '../lib/municipality-search';
+
+const searchData = JSON.parse(readFileSync(new URL('../public/search-data.json', import.meta.url), 'utf8'));
+
+describe('createMunicipalitySearch', () => {
+    const { search } = createMunicipalitySearch(searchData);
+
+    it('かなの読みで探せる', () => {
+        const [first] = search('よこはま');
+        expect(first).toMatchObject({ name: '横浜市', pref: '神奈川県' });
+        expect(first.wards).toBeGreaterThan(1);
+    });
+
+    it('ローマ字の読みで探せる', () => {
+        expect(search('yokohama')[0]).toMatchObject({ name: '横浜市', pref: '神奈川県' });
+        expect(search('sapporo')[0]).toMatchObject({ name: '札幌市', pref: '北海道' });
+    });
+
+    it('政令市は市全体を1件、続けて区を候補にする', () => {
+        const results = search('札幌市');
+        expect(results[0]).toMatchObject({ name: '札幌市', wards: 10 });
+        const names = results.map(result => result.name);
+        expect(new Set(names).size).toBe(names.length);
+        expect(names).toContain('札幌市中央区');
+    });
+
+    it('区名の読みで区を探せる', () => {
+        expect(search('さっぽろしちゅうおうく')[0]).toMatchObject({ name: '札幌市中央区', codes: ['01101'] });
+    });
+});
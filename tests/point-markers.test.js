@@ -0,0 +1,119 @@
+import { describe, expect, it } from 'vitest';
+import { topology } from 'topojson-server';
+import { createMunicipalityMatcher } from '../lib/municipality-matcher';
+import { buildPoints, countPoints, createMunicipalityLocator, detectPointColumns, resolveAddress } from '../lib/point-markers';
+
+const records = [
+    { code: '01101', pref: '北海道', gun: '', city: '札幌市', ward: '中央区', full: '札幌市' },
+    { code: '01102', pref: '北海道', gun: '', city: '札幌市', ward: '北区', full: '札幌市' },
+    { code: '13101', pref: '東京都', gun: '', city: '千代田区', ward: '', full: '千代田区' }
+];
+const matcher = createMunicipalityMatcher(records);
+
+const square = (code, [west, south, east, north]) => ({
+    type: 'Feature',
+    properties: { N03_007: code },
+    geometry: { type: 'Polygon', coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]] }
+});
+
+// 隣り合う2つの四角形の市区町村（札幌市中央区・北区）と、離れた千代田区
+const municipalities = topology({
+    municipalities: {
+        type: 'FeatureCollection',
+        features: [
+            square('01101', [141.0, 43.0, 141.5, 43.5]),
+            square('01102', [141.5, 43.0, 142.0, 43.5]),
+            square('13101', [139.7, 35.6, 139.8, 35.7])
+        ]
+    }
+});
+
+const options = {
+    latColumn: '緯度',
+    lngColumn: '経度',
+    addressColumn: '住所',
+    useAddress: true,
+    addressOf: row => row['住所'],
+    resolve: entry => matcher.resolve(entry),
+    centerOf: () => [141.5, 43.25],
+    locate: createMunicipalityLocator(municipalities)
+};
+
+describe('createMunicipalityLocator', () => {
+    it('位置を含む市区町村のコードを返す', () => {
+        const locate = createMunicipalityLocator(municipalities);
+        expect(locate([141.2, 43.2])).toBe('01101');
+        expect(locate([141.7, 43.2])).toBe('01102');
+        expect(locate([139.75, 35.65])).toBe('13101');
+    });
+
+    it('どの市区町村にも含まれなければ null', () => {
+        const locate = createMunicipalityLocator(municipalities);
+        expect(locate([140.0, 40.0])).toBeNull();
+    });
+});
+
+describe('resolveAddress', () => {
+    it('住所の先頭の市区町村名で照合する', () => {
+        expect(resolveAddress('北海道札幌市中央区北1条西2丁目', options.resolve)).toMatchObject({ status: 'matched', codes: ['01101'] });
+    });
+
+    it('区まで分からない政令市の住所はすべての区', () => {
+        expect(resolveAddress('北海道札幌市北5条', options.resolve)).toMatchObject({ status: 'matched', codes: ['01101', '01102'] });
+    });
+});
+
+describe('buildPoints', () => {
+    it('緯度経度の地点は形状データで市区町村を求め、住所だけの行は市区町村の中心に置く', () => {
+        const rows = [
+            { 緯度: '43.2', 経度: '141.2', 住所: '' },
+            { 緯度: '', 経度: '', 住所: '北海道札幌市北区北7条' },
+            { 緯度: '', 経度: '', 住所: '東京都港区' },
+            { 緯度: '', 経度: '', 住所: '' }
+        ];
+        const { collection, pointCodes, counts } = buildPoints(rows, options);
+
+        expect(counts).toEqual({ coordinates: 1, address: 1, skipped: 1 });
+        expect(pointCodes).toEqual([['01101'], ['01102']]);
+        expect(collection.features.map(item => item.properties)).toEqual([
+            { row: 0, source: 'coordinates' },
+            { row: 1, source: 'address' }
+        ]);
+        expect(collection.features[1].geometry.coordinates).toEqual([141.5, 43.25]);
+    });
+
+    it('形状データに含まれない緯度経度は住所から市区町村を求める', () => {
+        const rows = [{ 緯度: '40', 経度: '140', 住所: '東京都千代田区丸の内1丁目' }];
+        expect(buildPoints(rows, options).pointCodes).toEqual([['13101']]);
+        expect(buildPoints(rows, { ...options, locate: null }).pointCodes).toEqual([['13101']]);
+    });
+
+    it('日本の範囲外の緯度経度（列の取り違えなど）は住所を使う', () => {
+        const rows = [{ 緯度: '141.2', 経度: '43.2', 住所: '北海道札幌市中央区' }];
+        const { collection, counts } = buildPoints(rows, options);
+        expect(counts).toEqual({ coordinates: 0, address: 1, skipped: 0 });
+        expect(collection.features[0].properties.source).toBe('address');
+    });
+});
+
+describe('countPoints', () => {
+    it('市区町村ごとに数え、区まで分からない地点は数えない', () => {
+        const { counts, ambiguous } = countPoints([['01101'], ['01101'], ['01102'], ['01101', '01102'], []]);
+        expect(Object.fromEntries(counts)).toEqual({ '01101': 2, '01102': 1 });
+        expect(ambiguous).toBe(1);
+    });
+
+    it('集計単位が1つに決まれば複数の市区町村にまたがる地点も数える', () => {
+        const unitsOf = code => [code.startsWith('01') ? '北海道' : '東京都'];
+        const { counts, ambiguous } = countPoints([['01101', '01102'], ['13101']], unitsOf);
+        expect(Object.fromEntries(counts)).toEqual({ 北海道: 1, 東京都: 1 });
+        expect(ambiguous).toBe(0);
+    });
+});
+
+describe('detectPointColumns', () => {
+    it('見出しから緯度・経度・住所の列を推測する', () => {
+        expect(detectPointColumns(['名称', 'Latitude', 'LNG', '所在地'])).toEqual({ latColumn: 'Latitude', lngColumn: 'LNG', addressColumn: '所在地' });
+        expect(detectPointColumns(['名称'])).toEqual({ latColumn: '', lngColumn: '', addressColumn: '' });
+    });
+});
@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest';
+import { topology } from 'topojson-server';
+import { buildStatistics, computeAreaStats, parseMunicipalityStats } from '../lib/statistics';
+
+const records = [
+    { code: '01101', pref: '北海道' },
+    { code: '13101', pref: '東京都' },
+    { code: '13102', pref: '東京都' }
+];
+
+describe('computeAreaStats', () => {
+    it('形状データから市区町村ごとの面積（km²）を計算し、人口はなし', () => {
+        const square = (code, west, south, size) => ({
+            type: 'Feature',
+            properties: { N03_007: code },
+            geometry: {
+                type: 'Polygon',
+                coordinates: [[[west, south], [west + size, south], [west + size, south + size], [west, south + size], [west, south]]]
+            }
+        });
+        const stats = computeAreaStats(topology({
+            municipalities: { type: 'FeatureCollection', features: [square('13101', 0, 0, 1), square('13102', 0, 60, 1)] }
+        }));
+
+        // 赤道付近の1度四方は約12,391km²、北緯60度付近では約半分
+        expect(stats.area.get('13101')).toBeCloseTo(12391, -1);
+        expect(stats.area.get('13102') / stats.area.get('13101')).toBeCloseTo(0.49, 2);
+        expect(stats.population.size).toBe(0);
+        expect(stats.source).toBeNull();
+    });
+});
+
+describe('buildStatistics', () => {
+    it('カテゴリごとに市区町村数・都道府県・面積・人口と全国比を集計する', () => {
+        const stats = parseMunicipalityStats({
+            source: '国勢調査',
+            municipalities: { '01101': [100, 1000], '13101': [10, null], '13102': [90, 3000] }
+        });
+        const [row] = buildStatistics([{ label: 'A', color: '#f00', codes: ['13101', '13102'] }], records, stats);
+        expect(row).toMatchObject({ count: 2, prefectures: ['東京都'], area: 100, areaShare: 0.5, population: 3000, populationShare: 0.75 });
+    });
+
+    it('統計データがなければ面積・人口は空欄', () => {
+        const [row] = buildStatistics([{ label: 'A', color: '#f00', codes: ['01101'] }], records, null);
+        expect(row).toMatchObject({ count: 1, area: null, areaShare: null, population: null, populationShare: null });
+    });
+});
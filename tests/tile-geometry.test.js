@@ -0,0 +1,107 @@
+import { describe, expect, it } from 'vitest';
+import { PbfWriter } from 'pbf';
+import { feature } from 'topojson-client';
+import { clipRing, readTilePieces, buildTileTopology } from '../lib/tile-geometry';
+
+const EXTENT = 4096;
+
+// ベクトルタイル（レイヤー municipalities）を作る。rings は閉じていない [x, y] の列
+function encodeTile(features) {
+    const keys = [];
+    const values = [];
+    const indexOf = (list, value) => {
+        if (!list.includes(value)) list.push(value);
+        return list.indexOf(value);
+    };
+    const zigzag = n => (n << 1) ^ (n >> 31);
+
+    const encoded = features.map(({ properties, rings }) => {
+        const tags = Object.entries(properties).flatMap(([key, value]) => [indexOf(keys, key), indexOf(values, value)]);
+        const geometry = [];
+        let [cx, cy] = [0, 0];
+        rings.forEach(ring => {
+            ring.forEach(([x, y], i) => {
+                if (i === 0) geometry.push(1 | (1 << 3));
+                if (i === 1) geometry.push(2 | ((ring.length - 1) << 3));
+                geometry.push(zigzag(x - cx), zigzag(y - cy));
+                [cx, cy] = [x, y];
+            });
+            geometry.push(7 | (1 << 3));
+        });
+        return { tags, geometry };
+    });
+
+    const pbf = new PbfWriter();
+    pbf.writeMessage(3, (_, layer) => {
+        layer.writeVarintField(15, 2);
+        layer.writeStringField(1, 'municipalities');
+        encoded.forEach(item => layer.writeMessage(2, ({ tags, geometry }, f) => {
+            f.writePackedVarint(2, tags);
+            f.writeVarintField(3, 3);
+            f.writePackedVarint(4, geometry);
+        }, item));
+        keys.forEach(key => layer.writeStringField(3, key));
+        values.forEach(value => layer.writeMessage(4, (text, v) => v.writeStringField(1, text), value));
+        layer.writeVarintField(5, EXTENT);
+    });
+    return pbf.finish();
+}
+
+const rect = (x0, y0, x1, y1) => [[x0, y0], [x1, y0], [x1, y1], [x0, y1]];
+const props = (code, city) => ({ N03_001: '東京都', N03_004: city, N03_007: code });
+
+// z1 の左右2枚のタイル。A は境目（x = 4096）をまたぎ、B は右のタイルで A と接する
+const tiles = {
+    '1/0/0': encodeTile([{ properties: props('13101', '甲'), rings: [rect(3000, 1000, 4200, 2000)] }]),
+    '1/1/0': encodeTile([
+        { properties: props('13101', '甲'), rings: [rect(-104, 1000, 500, 2000)] },
+        { properties: props('13102', '乙'), rings: [rect(500, 1000, 1000, 2000)] }
+    ])
+};
+
+const pmtiles = {
+    getHeader: async () => ({ minZoom: 0, maxZoom: 1, minLon: -180, minLat: -85, maxLon: 180, maxLat: 85 }),
+    getZxy: async (z, x, y) => (tiles[`${z}/${x}/${y}`] ? { data: tiles[`${z}/${x}/${y}`] } : undefined)
+};
+
+describe('clipRing', () => {
+    it('タイルの範囲の外側を切り取る', () => {
+        const ring = [...rect(-100, 10, 50, 20), [-100, 10]].map(([x, y]) => ({ x, y }));
+        expect(clipRing(ring, EXTENT).map(({ x, y }) => [x, y])).toEqual([[0, 10], [50, 10], [50, 20], [0, 20], [0, 10]]);
+    });
+
+    it('範囲の外だけのリングは空', () => {
+        const ring = [...rect(-100, 10, -50, 20), [-100, 10]].map(([x, y]) => ({ x, y }));
+        expect(clipRing(ring, EXTENT)).toEqual([]);
+    });
+});
+
+describe('readTilePieces', () => {
+    it('市区町村の属性と経度・緯度の形状を取り出す', () => {
+        const pieces = readTilePieces(tiles['1/0/0'], 1, 0, 0);
+        expect(pieces).toHaveLength(1);
+        expect(pieces[0].properties).toEqual({ N03_001: '東京都', N03_003: '', N03_004: '甲', N03_005: '', N03_007: '13101' });
+        const lngs = pieces[0].coordinates[0][0].map(([lng]) => lng);
+        expect(Math.min(...lngs)).toBeCloseTo(3000 / 8192 * 360 - 180, 6);
+        expect(Math.max(...lngs)).toBe(0);
+    });
+});
+
+describe('buildTileTopology', () => {
+    it('タイルの境目で分かれた形状を市区町村コードごとに結合する', async () => {
+        const topology = await buildTileTopology(pmtiles, { zoom: 1 });
+        const { features } = feature(topology, topology.objects.municipalities);
+        expect(features.map(item => item.properties.N03_007).sort()).toEqual(['13101', '13102']);
+
+        const a = features.find(item => item.properties.N03_007 === '13101');
+        expect(a.geometry.coordinates).toHaveLength(1);
+        const lngs = a.geometry.coordinates[0][0].map(([lng]) => lng);
+        expect(Math.min(...lngs)).toBeCloseTo(3000 / 8192 * 360 - 180, 4);
+        expect(Math.max(...lngs)).toBeCloseTo(4596 / 8192 * 360 - 180, 4);
+    });
+
+    it('読み取れるタイルがなければエラー', async () => {
+        const empty = { ...pmtiles, getZxy: async () => undefined };
+        await expect(buildTileTopology(empty, { zoom: 1 })).rejects.toThrow('市区町村タイルから形状を読み取れませんでした');
+    });
+});